@@ -0,0 +1,262 @@
+/**
+ * LeadLib - Lead Activity Log
+ * Usage:
+ *   LeadLib.logLeadActivity(spreadsheetId, leadId, type, summary, details);
+ *   LeadLib.addLeadNote(spreadsheetId, leadId, note);
+ *   LeadLib.getLeadTimeline(spreadsheetId, leadId);
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Internal ActivityLog class
+  self.ActivityLog = function(spreadsheetId) {
+    this.spreadsheetId = spreadsheetId;
+    this.spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    this.activitySheetName = 'Activity';
+    this.headers = ['Timestamp', 'Lead ID', 'Type', 'Summary', 'Details', 'User'];
+    this.types = ['status_change', 'note', 'email_sent', 'enrichment', 'edit'];
+  };
+
+  /**
+   * Get the Activity sheet, creating it on first use
+   * @returns {Sheet} Activity sheet
+   */
+  self.ActivityLog.prototype.getSheet = function() {
+    let sheet = this.spreadsheet.getSheetByName(this.activitySheetName);
+
+    if (!sheet) {
+      sheet = this.spreadsheet.insertSheet(this.activitySheetName);
+      sheet.getRange(1, 1, 1, this.headers.length).setValues([this.headers]);
+
+      // Format header row
+      const headerRange = sheet.getRange(1, 1, 1, this.headers.length);
+      headerRange.setBackground('#fbbc04');
+      headerRange.setFontColor('white');
+      headerRange.setFontWeight('bold');
+      headerRange.setHorizontalAlignment('center');
+
+      // Set column widths
+      const columnWidths = [160, 280, 120, 300, 300, 200];
+      for (let i = 0; i < columnWidths.length; i++) {
+        sheet.setColumnWidth(i + 1, columnWidths[i]);
+      }
+
+      sheet.setFrozenRows(1);
+    }
+
+    return sheet;
+  };
+
+  /**
+   * Record a single activity entry
+   * @param {String} leadId - Lead ID
+   * @param {String} type - Activity type
+   * @param {String} summary - Short, human-readable summary
+   * @param {Object} details - Optional structured details
+   * @returns {Boolean} Success status
+   */
+  self.ActivityLog.prototype.record = function(leadId, type, summary, details) {
+    return this.recordMany([{ leadId: leadId, type: type, summary: summary, details: details }]);
+  };
+
+  /**
+   * Record several activity entries in one write
+   * @param {Array} entries - { leadId, type, summary, details }
+   * @returns {Boolean} Success status
+   */
+  self.ActivityLog.prototype.recordMany = function(entries) {
+    try {
+      if (!entries || entries.length === 0) {
+        return true;
+      }
+
+      entries.forEach(entry => {
+        if (this.types.indexOf(entry.type) === -1) {
+          throw new Error('Unknown activity type: ' + entry.type);
+        }
+      });
+
+      const sheet = this.getSheet();
+      const user = this._currentUser();
+      const timestamp = new Date().toISOString();
+      const rows = entries.map(entry => [
+        timestamp,
+        entry.leadId || '',
+        entry.type,
+        entry.summary || '',
+        entry.details ? JSON.stringify(entry.details) : '',
+        user
+      ]);
+
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, this.headers.length).setValues(rows);
+      return true;
+
+    } catch (error) {
+      console.error('Error recording activity:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Get a lead's activity, newest first
+   * @param {String} leadId - Lead ID
+   * @returns {Array} Activity entries
+   */
+  self.ActivityLog.prototype.getTimeline = function(leadId) {
+    const sheet = this.spreadsheet.getSheetByName(this.activitySheetName);
+
+    if (!sheet || sheet.getLastRow() < 2) {
+      return [];
+    }
+
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, this.headers.length).getValues();
+
+    return data
+      .filter(row => row[1] === leadId)
+      .map(row => ({
+        timestamp: row[0] instanceof Date ? row[0].toISOString() : row[0],
+        leadId: row[1],
+        type: row[2],
+        summary: row[3],
+        details: this._parseDetails(row[4]),
+        user: row[5]
+      }))
+      .reverse();
+  };
+
+  /**
+   * Latest activity timestamp for every lead
+   * @returns {Object} Lead ID -> ISO timestamp
+   */
+  self.ActivityLog.prototype.getLastActivity = function() {
+    const sheet = this.spreadsheet.getSheetByName(this.activitySheetName);
+    const latest = {};
+
+    if (!sheet || sheet.getLastRow() < 2) {
+      return latest;
+    }
+
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().forEach(row => {
+      const at = row[0] instanceof Date ? row[0].toISOString() : String(row[0]);
+      if (row[1] && (!latest[row[1]] || at > latest[row[1]])) {
+        latest[row[1]] = at;
+      }
+    });
+    return latest;
+  };
+
+  /**
+   * Move activity entries from some leads to another (used when merging)
+   * @param {Array} fromIds - Lead IDs whose entries move
+   * @param {String} toId - Lead ID that receives them
+   * @returns {Number} Number of entries moved
+   */
+  self.ActivityLog.prototype.reassign = function(fromIds, toId) {
+    const sheet = this.spreadsheet.getSheetByName(this.activitySheetName);
+
+    if (!sheet || sheet.getLastRow() < 2) {
+      return 0;
+    }
+
+    const range = sheet.getRange(2, 2, sheet.getLastRow() - 1, 1);
+    let moved = 0;
+    const ids = range.getValues().map(row => {
+      if (fromIds.indexOf(row[0]) === -1) return row;
+      moved++;
+      return [toId];
+    });
+
+    if (moved > 0) {
+      range.setValues(ids);
+    }
+    return moved;
+  };
+
+  /**
+   * Parse a stored details cell
+   * @param {String} value - Cell value
+   * @returns {Object|null} Details
+   */
+  self.ActivityLog.prototype._parseDetails = function(value) {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return { text: String(value) };
+    }
+  };
+
+  /**
+   * Email of the user performing the action
+   * @returns {String} User email, or "system" for unattended runs
+   */
+  self.ActivityLog.prototype._currentUser = function() {
+    try {
+      return Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail() || 'system';
+    } catch (error) {
+      return 'system';
+    }
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Record an activity for a lead
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} leadId - Lead ID
+   * @param {String} type - Activity type
+   * @param {String} summary - Summary
+   * @param {Object} details - Optional details
+   * @returns {Object} Result object
+   */
+  self.logLeadActivity = function(spreadsheetId, leadId, type, summary, details) {
+    const manager = new self.SheetManager(spreadsheetId);
+    if (!manager.getLeadById(leadId)) {
+      return { success: false, message: 'Lead not found' };
+    }
+
+    const log = new self.ActivityLog(spreadsheetId);
+    if (log.types.indexOf(type) === -1) {
+      return { success: false, message: 'Unknown activity type: ' + type };
+    }
+
+    const success = log.record(leadId, type, summary, details);
+    return { success: success, message: success ? 'Activity recorded' : 'Failed to record activity' };
+  };
+
+  /**
+   * Add a note to a lead's timeline
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} leadId - Lead ID
+   * @param {String} note - Note text
+   * @returns {Object} Result object
+   */
+  self.addLeadNote = function(spreadsheetId, leadId, note) {
+    const text = String(note || '').trim();
+    if (!text) {
+      return { success: false, message: 'Note text is required' };
+    }
+
+    return self.logLeadActivity(spreadsheetId, leadId, 'note', text);
+  };
+
+  /**
+   * Get a lead's activity timeline
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} leadId - Lead ID
+   * @returns {Object} Result object
+   */
+  self.getLeadTimeline = function(spreadsheetId, leadId) {
+    try {
+      const log = new self.ActivityLog(spreadsheetId);
+      return { success: true, timeline: log.getTimeline(leadId) };
+    } catch (error) {
+      console.error('Error getting lead timeline:', error);
+      return { success: false, message: error.message };
+    }
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
@@ -0,0 +1,323 @@
+/**
+ * LeadLib - JSON API Authentication
+ * Usage:
+ *   LeadLib.authorizeApiRequest(token, requiredRole);
+ *   LeadLib.createApiToken(name, role);
+ *   LeadLib.allowApiUser(email, role);
+ *
+ * Callers of the doPost API identify themselves with an API token or with
+ * the Google account they are signed in as. Tokens are only ever stored as
+ * SHA-256 hashes in script properties; the plain token is shown once, when
+ * it is created. Allowed accounts live in one script property as an
+ * email -> role map. Roles are viewer < rep < admin.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Roles from least to most privileged
+  const API_ROLES = ['viewer', 'rep', 'admin'];
+
+  // Internal ApiAuth class
+  self.ApiAuth = function() {
+    this.properties = PropertiesService.getScriptProperties();
+    this.tokenPrefix = 'api_token_';
+    this.usersProperty = 'API_ALLOWED_USERS';
+  };
+
+  /**
+   * Authenticate a caller and check it has at least a role
+   * @param {String} token - API token from the request, if any
+   * @param {String} requiredRole - Least role the action needs
+   * @returns {Object} { success, principal } or { success: false, status, code, error }
+   */
+  self.ApiAuth.prototype.authorize = function(token, requiredRole) {
+    const principal = this.authenticate(token);
+
+    if (!principal) {
+      return {
+        success: false,
+        status: 401,
+        code: 'unauthenticated',
+        error: token ? 'Invalid API token' : 'Authentication required: send an API token or sign in with an allowed account'
+      };
+    }
+
+    if (API_ROLES.indexOf(principal.role) < API_ROLES.indexOf(requiredRole)) {
+      return {
+        success: false,
+        status: 403,
+        code: 'forbidden',
+        error: `This action requires the ${requiredRole} role; ${principal.name} has ${principal.role}`
+      };
+    }
+
+    return { success: true, principal: principal };
+  };
+
+  /**
+   * Identify the caller by token, else by signed-in account
+   * @param {String} token - API token, if any
+   * @returns {Object|null} { type, id, name, role } or null when unknown
+   */
+  self.ApiAuth.prototype.authenticate = function(token) {
+    if (token) {
+      const record = this._getTokenRecord(this._hash(token));
+      return record ? { type: 'token', id: record.id, name: record.name, role: record.role } : null;
+    }
+
+    const email = this._currentUser();
+    const role = email ? this._getUsers()[email] : null;
+    return role ? { type: 'user', id: email, name: email, role: role } : null;
+  };
+
+  /**
+   * Create an API token
+   * @param {String} name - Who or what the token is for
+   * @param {String} role - viewer, rep or admin
+   * @returns {Object} { token, id, name, role }; the token is not retrievable later
+   */
+  self.ApiAuth.prototype.createToken = function(name, role) {
+    this._validateRole(role);
+    if (!name || !String(name).trim()) {
+      throw new Error('Token name is required');
+    }
+
+    const token = 'lla_' + (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+    const hash = this._hash(token);
+    const record = {
+      id: hash.slice(0, 12),
+      name: String(name).trim(),
+      role: role,
+      createdAt: new Date().toISOString(),
+      createdBy: this._currentUser()
+    };
+
+    this.properties.setProperty(this.tokenPrefix + hash, JSON.stringify(record));
+    return { token: token, id: record.id, name: record.name, role: record.role };
+  };
+
+  /**
+   * Revoke an API token by its ID
+   * @param {String} tokenId - Token ID from listTokens
+   * @returns {Boolean} Whether a token was revoked
+   */
+  self.ApiAuth.prototype.revokeToken = function(tokenId) {
+    const all = this.properties.getProperties();
+    const key = Object.keys(all).find(name =>
+      name.indexOf(this.tokenPrefix) === 0 && JSON.parse(all[name]).id === tokenId);
+
+    if (!key) {
+      return false;
+    }
+
+    this.properties.deleteProperty(key);
+    return true;
+  };
+
+  /**
+   * List API tokens (never the tokens themselves)
+   * @returns {Array} { id, name, role, createdAt, createdBy }
+   */
+  self.ApiAuth.prototype.listTokens = function() {
+    const all = this.properties.getProperties();
+    return Object.keys(all)
+      .filter(key => key.indexOf(this.tokenPrefix) === 0)
+      .map(key => JSON.parse(all[key]))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  };
+
+  /**
+   * Allow a Google account, or change its role
+   * @param {String} email - Account email
+   * @param {String} role - viewer, rep or admin
+   */
+  self.ApiAuth.prototype.allowUser = function(email, role) {
+    this._validateRole(role);
+    const normalized = String(email || '').toLowerCase().trim();
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(normalized)) {
+      throw new Error('Invalid email: ' + email);
+    }
+
+    const users = this._getUsers();
+    users[normalized] = role;
+    this.properties.setProperty(this.usersProperty, JSON.stringify(users));
+  };
+
+  /**
+   * Remove a Google account from the allowlist
+   * @param {String} email - Account email
+   * @returns {Boolean} Whether the account was listed
+   */
+  self.ApiAuth.prototype.removeUser = function(email) {
+    const users = this._getUsers();
+    const normalized = String(email || '').toLowerCase().trim();
+    if (!users[normalized]) {
+      return false;
+    }
+
+    delete users[normalized];
+    this.properties.setProperty(this.usersProperty, JSON.stringify(users));
+    return true;
+  };
+
+  /**
+   * List allowed accounts
+   * @returns {Array} { email, role }
+   */
+  self.ApiAuth.prototype.listUsers = function() {
+    const users = this._getUsers();
+    return Object.keys(users).sort().map(email => ({ email: email, role: users[email] }));
+  };
+
+  /**
+   * Read the email -> role allowlist
+   * @returns {Object} Allowlist
+   */
+  self.ApiAuth.prototype._getUsers = function() {
+    try {
+      return JSON.parse(this.properties.getProperty(this.usersProperty) || '{}');
+    } catch (error) {
+      console.error('Error reading API allowlist:', error);
+      return {};
+    }
+  };
+
+  /**
+   * Read a stored token by hash
+   * @param {String} hash - Token hash
+   * @returns {Object|null} Token record
+   */
+  self.ApiAuth.prototype._getTokenRecord = function(hash) {
+    const stored = this.properties.getProperty(this.tokenPrefix + hash);
+    return stored ? JSON.parse(stored) : null;
+  };
+
+  /**
+   * SHA-256 of a token, web-safe base64 without padding
+   * @param {String} token - API token
+   * @returns {String} Hash
+   */
+  self.ApiAuth.prototype._hash = function(token) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(token), Utilities.Charset.UTF_8);
+    return Utilities.base64EncodeWebSafe(digest).replace(/=+$/, '');
+  };
+
+  /**
+   * Throw unless a role is known
+   * @param {String} role - Role name
+   */
+  self.ApiAuth.prototype._validateRole = function(role) {
+    if (API_ROLES.indexOf(role) === -1) {
+      throw new Error(`Invalid role "${role}". Use one of: ${API_ROLES.join(', ')}`);
+    }
+  };
+
+  /**
+   * Email of the signed-in caller
+   * @returns {String} Lowercased email, or ''
+   */
+  self.ApiAuth.prototype._currentUser = function() {
+    try {
+      return String(Session.getActiveUser().getEmail() || '').toLowerCase();
+    } catch (error) {
+      return '';
+    }
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Authenticate and authorize a JSON API request
+   * @param {String} token - API token from the request, if any
+   * @param {String} requiredRole - Least role the action needs
+   * @returns {Object} Result object; status is 401 or 403 when denied
+   */
+  self.authorizeApiRequest = function(token, requiredRole) {
+    try {
+      return new self.ApiAuth().authorize(token, requiredRole);
+    } catch (error) {
+      console.error('Error authorizing API request:', error);
+      return { success: false, status: 500, code: 'internal_error', error: 'Could not check credentials' };
+    }
+  };
+
+  /**
+   * Create an API token
+   * @param {String} name - Who or what the token is for
+   * @param {String} role - viewer, rep or admin
+   * @returns {Object} Result object with the token, shown only this once
+   */
+  self.createApiToken = function(name, role) {
+    try {
+      const created = new self.ApiAuth().createToken(name, role);
+      return Object.assign({ success: true, message: `Created ${created.role} token "${created.name}"` }, created);
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Revoke an API token
+   * @param {String} tokenId - Token ID
+   * @returns {Object} Result object
+   */
+  self.revokeApiToken = function(tokenId) {
+    try {
+      const revoked = new self.ApiAuth().revokeToken(tokenId);
+      return { success: revoked, message: revoked ? 'Token revoked' : 'Token not found' };
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * List API tokens and allowed accounts
+   * @returns {Object} Result object
+   */
+  self.listApiAccess = function() {
+    try {
+      const auth = new self.ApiAuth();
+      return { success: true, tokens: auth.listTokens(), users: auth.listUsers() };
+    } catch (error) {
+      console.error('Error listing API access:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Allow a Google account to call the API
+   * @param {String} email - Account email
+   * @param {String} role - viewer, rep or admin
+   * @returns {Object} Result object
+   */
+  self.allowApiUser = function(email, role) {
+    try {
+      new self.ApiAuth().allowUser(email, role);
+      return { success: true, message: `${email} can now call the API as ${role}` };
+    } catch (error) {
+      console.error('Error allowing API user:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Remove a Google account from the API allowlist
+   * @param {String} email - Account email
+   * @returns {Object} Result object
+   */
+  self.removeApiUser = function(email) {
+    try {
+      const removed = new self.ApiAuth().removeUser(email);
+      return { success: removed, message: removed ? `${email} removed` : `${email} was not allowed` };
+    } catch (error) {
+      console.error('Error removing API user:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
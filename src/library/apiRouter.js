@@ -0,0 +1,320 @@
+/**
+ * LeadLib - Web App API Router
+ * Usage:
+ *   const router = new LeadLib.ApiRouter({ authorize: LeadLib.authorizeApiRequest });
+ *   router.add({ method: 'GET', path: '/v1/leads/:leadId', action: 'getLeadDetails',
+ *     role: 'viewer', params: { leadId: { type: 'string', required: true } },
+ *     handler: params => getLeadDetailsApi(params.leadId) });
+ *   router.handle({ method: 'GET', path: '/v1/leads/abc', params: {}, token: token });
+ *   router.handleAction('getLeadDetails', { leadId: 'abc' }, token);
+ *
+ * Routes map a method and versioned path (":name" segments are path
+ * parameters) to a handler, with a declared parameter schema that is
+ * coerced and validated before the handler runs. Path requests get the
+ * { ok, data, error, meta } envelope; legacy action requests get the
+ * handler's own result, as before. Schema types: string, number, integer,
+ * boolean, array (comma-separated in query strings) and object (JSON).
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Internal ApiRouter class
+  self.ApiRouter = function(options = {}) {
+    this.version = options.version || 'v1';
+    this.authorize = options.authorize || null; // (token, role) -> { success, status, code, error }
+    this.routes = [];
+  };
+
+  /**
+   * Register a route
+   * @param {Object} route - { method, path, action, role, description, params, paged,
+   *   additionalParams (pass undeclared parameters to the handler), handler }
+   * @returns {ApiRouter} This router, for chaining
+   */
+  self.ApiRouter.prototype.add = function(route) {
+    this.routes.push(Object.assign({ method: 'GET', role: 'admin', params: {}, paged: false, additionalParams: false }, route, {
+      method: (route.method || 'GET').toUpperCase(),
+      segments: this._segments(route.path)
+    }));
+    return this;
+  };
+
+  /**
+   * Handle a path request
+   * @param {Object} request - { method, path, params, token }
+   * @returns {Object} { ok, data, error, meta }
+   */
+  self.ApiRouter.prototype.handle = function(request) {
+    const startTime = new Date().getTime();
+    const method = String(request.method || 'GET').toUpperCase();
+    const meta = { version: this.version, path: request.path, method: method };
+    const envelope = (ok, data, error) => {
+      meta.durationMs = new Date().getTime() - startTime;
+      return { ok: ok, data: ok ? data : null, error: error, meta: meta };
+    };
+
+    let candidates;
+    try {
+      candidates = this.routes
+        .map(route => ({ route: route, pathParams: this._match(route, request.path) }))
+        .filter(candidate => candidate.pathParams);
+    } catch (error) {
+      if (!(error instanceof URIError)) throw error;
+      return envelope(false, null, {
+        code: 'validation_error', status: 400, retryable: false, message: `Malformed path: ${request.path}`
+      });
+    }
+    const found = candidates.find(candidate => candidate.route.method === method);
+
+    if (!found) {
+      return envelope(false, null, candidates.length > 0 ?
+        { code: 'method_not_allowed', status: 405, retryable: false,
+          message: `${method} is not supported for ${request.path}; use ${candidates.map(c => c.route.method).join(' or ')}` } :
+        { code: 'not_found', status: 404, retryable: false, message: `No route for ${request.path}; see /${this.version}/actions` });
+    }
+
+    meta.action = found.route.action;
+    const run = this._run(found.route, Object.assign({}, request.params, found.pathParams), request.token, true);
+    if (run.error) {
+      return envelope(false, null, run.error);
+    }
+
+    return this._toEnvelope(found.route, run.result, meta, envelope);
+  };
+
+  /**
+   * Handle a legacy { action, params } request
+   * @param {String} action - Action name
+   * @param {Object} params - Parameters
+   * @param {String} token - API token, if any
+   * @returns {Object} The handler's result, or { success: false, status, code, error }
+   */
+  self.ApiRouter.prototype.handleAction = function(action, params, token) {
+    const route = this.routes.find(candidate => candidate.action === action);
+    if (!route) {
+      return { success: false, status: 404, code: 'not_found', error: 'Unknown action: ' + action };
+    }
+
+    const run = this._run(route, params || {}, token, false);
+    if (run.error) {
+      return Object.assign({ success: false }, run.error, { error: run.error.message });
+    }
+    return run.result;
+  };
+
+  /**
+   * Describe every route, for the actions listing
+   * @returns {Array} { method, path, action, role, description, params }
+   */
+  self.ApiRouter.prototype.describe = function() {
+    return this.routes.map(route => ({
+      method: route.method,
+      path: route.path,
+      action: route.action,
+      role: route.role,
+      description: route.description || '',
+      params: route.params,
+      paged: route.paged
+    }));
+  };
+
+  /**
+   * Authorize, validate and run a route's handler
+   * @param {Object} route - Route
+   * @param {Object} input - Raw parameters
+   * @param {String} token - API token, if any
+   * @param {Boolean} strict - Reject parameters the schema doesn't declare
+   * @returns {Object} { result } or { error }
+   */
+  self.ApiRouter.prototype._run = function(route, input, token, strict) {
+    if (route.role && this.authorize) {
+      const auth = this.authorize(token, route.role);
+      if (!auth.success) {
+        return { error: { code: auth.code, status: auth.status, retryable: false, message: auth.error } };
+      }
+    }
+
+    const validation = this.validate(route, input, strict);
+    if (validation.errors.length > 0) {
+      return {
+        error: {
+          code: 'validation_error',
+          status: 400,
+          retryable: false,
+          message: validation.errors.map(error => error.message).join('; '),
+          details: validation.errors
+        }
+      };
+    }
+
+    try {
+      return { result: route.handler(validation.params) };
+    } catch (error) {
+      console.error(`Error handling ${route.action}:`, error);
+      return { error: Object.assign({ status: 500 }, self.toErrorResult(error)) };
+    }
+  };
+
+  /**
+   * Coerce and validate parameters against a route's schema
+   * @param {Object} route - Route
+   * @param {Object} input - Raw parameters
+   * @param {Boolean} strict - Reject parameters the schema doesn't declare (else pass them through)
+   * @returns {Object} { params, errors } where errors are { param, message }
+   */
+  self.ApiRouter.prototype.validate = function(route, input, strict) {
+    const params = {};
+    const errors = [];
+
+    // Legacy callers may send extras the old switch passed straight through
+    Object.keys(input || {}).forEach(name => {
+      if (route.params[name]) return;
+      if (strict && !route.additionalParams) {
+        errors.push({ param: name, message: `Unknown parameter "${name}"` });
+      } else {
+        params[name] = input[name];
+      }
+    });
+
+    Object.keys(route.params).forEach(name => {
+      const schema = route.params[name];
+      const raw = input ? input[name] : undefined;
+
+      if (raw === undefined || raw === null || raw === '') {
+        if (schema.required) {
+          errors.push({ param: name, message: `"${name}" is required` });
+        } else if (schema.default !== undefined) {
+          params[name] = schema.default;
+        }
+        return;
+      }
+
+      const value = this._coerce(raw, schema.type);
+      if (value === undefined) {
+        errors.push({ param: name, message: `"${name}" must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}` });
+        return;
+      }
+      if (schema.enum && [].concat(value).some(item => schema.enum.indexOf(item) === -1)) {
+        errors.push({ param: name, message: `"${name}" must be one of: ${schema.enum.join(', ')}` });
+        return;
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        errors.push({ param: name, message: `"${name}" must be at least ${schema.min}` });
+        return;
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        errors.push({ param: name, message: `"${name}" must be at most ${schema.max}` });
+        return;
+      }
+      params[name] = value;
+    });
+
+    return { params: params, errors: errors };
+  };
+
+  /**
+   * Coerce a value (often a query string) to a schema type
+   * @param {*} value - Raw value
+   * @param {String} type - Schema type
+   * @returns {*} Coerced value, or undefined when it doesn't fit
+   */
+  self.ApiRouter.prototype._coerce = function(value, type) {
+    switch (type) {
+      case 'number':
+      case 'integer': {
+        const number = Number(value);
+        if (isNaN(number) || (type === 'integer' && !Number.isInteger(number))) return undefined;
+        return number;
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (['true', '1', 'yes'].indexOf(String(value).toLowerCase()) !== -1) return true;
+        if (['false', '0', 'no'].indexOf(String(value).toLowerCase()) !== -1) return false;
+        return undefined;
+      case 'array':
+        if (Array.isArray(value)) return value;
+        return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(item => item) : undefined;
+      case 'object':
+        if (typeof value === 'object' && !Array.isArray(value)) return value;
+        try {
+          const parsed = JSON.parse(value);
+          return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : undefined;
+        } catch (error) {
+          return undefined;
+        }
+      default:
+        return typeof value === 'object' ? undefined : String(value);
+    }
+  };
+
+  /**
+   * Turn a handler's { success, ... } result into an envelope
+   * @param {Object} route - Route
+   * @param {Object} result - Handler result
+   * @param {Object} meta - Envelope meta (extended with paging)
+   * @param {Function} envelope - (ok, data, error) -> envelope
+   * @returns {Object} Envelope
+   */
+  self.ApiRouter.prototype._toEnvelope = function(route, result, meta, envelope) {
+    const body = Object.assign({}, result);
+    const ok = body.success === true || (body.success === undefined && !body.error);
+
+    if (!ok) {
+      return envelope(false, null, {
+        code: body.code || 'request_failed',
+        status: body.status || 400,
+        retryable: !!body.retryable,
+        message: body.message || body.error || 'Request failed'
+      });
+    }
+
+    delete body.success;
+    if (route.paged) {
+      meta.page = body.page;
+      meta.pageSize = body.pageSize;
+      meta.total = body.total;
+      meta.hasMore = body.hasMore !== undefined ? body.hasMore : body.page * body.pageSize < body.total;
+      if (body.nextCursor) meta.nextCursor = body.nextCursor;
+      if (body.facets) meta.facets = body.facets;
+      return envelope(true, body.rows);
+    }
+    return envelope(true, body);
+  };
+
+  /**
+   * Match a path against a route
+   * @param {Object} route - Route
+   * @param {String} path - Request path
+   * @returns {Object|null} Path parameters, or null when it doesn't match
+   * @throws {URIError} When a path parameter has a malformed % escape
+   */
+  self.ApiRouter.prototype._match = function(route, path) {
+    const segments = this._segments(path);
+    if (segments.length !== route.segments.length) {
+      return null;
+    }
+
+    const pathParams = {};
+    for (let i = 0; i < segments.length; i++) {
+      if (route.segments[i].charAt(0) === ':') {
+        pathParams[route.segments[i].slice(1)] = decodeURIComponent(segments[i]);
+      } else if (route.segments[i] !== segments[i]) {
+        return null;
+      }
+    }
+    return pathParams;
+  };
+
+  /**
+   * Split a path into segments, ignoring empty ones
+   * @param {String} path - Path
+   * @returns {Array} Segments
+   */
+  self.ApiRouter.prototype._segments = function(path) {
+    return String(path || '').split('?')[0].split('/').filter(segment => segment);
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
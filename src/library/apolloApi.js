@@ -2,18 +2,31 @@
  * LeadLib - Apollo.io API Integration
  * Usage:
  *   LeadLib.fetchLeads(filters);
+ *   LeadLib.enrichOrganization(domain);
+ *   LeadLib.enrichPerson(lead);
  *   LeadLib.clearApolloCache();
  *   LeadLib.getApolloUsageStats();
+ *   LeadLib.setApolloApiKey(apiKey);
+ *
+ * The API key is sent in the X-Api-Key header and lives only in user
+ * properties (or script properties for a shared key), never in the
+ * spreadsheet or a request body.
  */
 
 var LeadLib = (function(ns) {
   const self = ns || {};
 
-  // Internal Apollo API class
-  self.ApolloAPI = function() {
+  // Property holding the Apollo API key, in user or script properties
+  const API_KEY_PROPERTY = 'APOLLO_API_KEY';
+
+  // Internal Apollo API class; pass { budget: CreditBudget } to meter calls
+  self.ApolloAPI = function(options = {}) {
     this.baseUrl = 'https://api.apollo.io/v1';
-    this.apiKey = PropertiesService.getUserProperties().getProperty('APOLLO_API_KEY');
-    this.cache = CacheService.getScriptCache();
+    this.budget = options.budget || null;
+    this.http = options.http || new self.HttpClient({ service: 'Apollo' });
+    this.apiKey = options.apiKey || self.getApolloApiKey();
+    // A budgeted API knows its spreadsheet, whose "Cache Duration" then applies
+    this.cache = new self.CacheManager(this.budget ? this.budget.spreadsheetId : null);
   };
 
   /**
@@ -22,102 +35,252 @@ var LeadLib = (function(ns) {
    * @returns {Array} Array of lead objects
    */
   self.ApolloAPI.prototype.fetchLeads = function(filters) {
+    return this.fetchLeadsPage(filters, filters.page || 1).leads;
+  };
+
+  /**
+   * Fetch a single page of leads along with Apollo's pagination info
+   * @param {Object} filters - Filter criteria
+   * @param {Number} page - Page number (1-based)
+   * @returns {Object} { leads, pagination }
+   */
+  self.ApolloAPI.prototype.fetchLeadsPage = function(filters, page) {
     try {
-      const cacheKey = this._generateCacheKey(filters);
-      const cachedData = this.getCachedLeads(cacheKey);
+      const pageFilters = Object.assign({}, filters, { page: page });
+      const cacheKey = this._generateCacheKey(pageFilters);
+      const cachedPage = this.getCachedPage(cacheKey);
       
-      if (cachedData && cachedData.length > 0) {
+      if (cachedPage && cachedPage.leads.length > 0) {
         console.log('Returning cached leads');
-        return cachedData;
+        return Object.assign(cachedPage, { cached: true });
       }
 
-      const payload = this._buildPayload(filters);
+      const payload = this._buildPayload(pageFilters);
       const response = this._makeApiCall('/mixed_people/search', payload);
       
       if (response && response.people) {
         const leads = this._processApiResponse(response.people);
-        this.cacheLeads(leads, cacheKey);
-        return leads;
+        const pagination = this._processPagination(response.pagination, payload);
+        this.cacheLeads(leads, cacheKey, pagination);
+        return { leads: leads, pagination: pagination, cached: false };
       }
       
-      return [];
+      return { leads: [], pagination: this._processPagination(null, payload), cached: false };
     } catch (error) {
+      // Typed errors carry the cause; callers report them as { code, message, retryable }
       console.error('Error fetching leads:', error);
-      throw new Error('Failed to fetch leads from Apollo.io');
+      throw error;
     }
   };
 
+  /**
+   * Enrich an organization by website domain. Results (including "no
+   * match") are cached per domain so repeated leads at one company cost a
+   * single credit.
+   * @param {String} domain - Company domain, e.g. "acme.com"
+   * @returns {Object} { organization, cached } where organization is null when Apollo has no match
+   */
+  self.ApolloAPI.prototype.enrichOrganization = function(domain) {
+    const cacheKey = 'org_' + String(domain).toLowerCase();
+    const cached = this._getCachedEnrichment(cacheKey);
+    if (cached) {
+      return { organization: cached.result, cached: true };
+    }
+
+    const response = this._makeApiCall('/organizations/enrich', { domain: domain }, 'GET');
+    const organization = response && response.organization ? this._processOrganization(response.organization) : null;
+    this._cacheEnrichment(cacheKey, organization);
+    return { organization: organization, cached: false };
+  };
+
+  /**
+   * Enrich a person by Apollo person ID, falling back to email. Results are
+   * cached per person ID (or email when there is no ID).
+   * @param {Object} lead - Lead with apolloId and/or email
+   * @returns {Object} { person, cached } where person is null when Apollo has no match
+   */
+  self.ApolloAPI.prototype.enrichPerson = function(lead) {
+    const key = lead.apolloId || String(lead.email || '').toLowerCase();
+    if (!key) {
+      return { person: null, cached: true };
+    }
+
+    const cacheKey = 'person_' + key;
+    const cached = this._getCachedEnrichment(cacheKey);
+    if (cached) {
+      return { person: cached.result, cached: true };
+    }
+
+    const payload = {};
+    if (lead.apolloId) {
+      payload.id = lead.apolloId;
+    } else {
+      payload.email = lead.email;
+    }
+
+    const response = this._makeApiCall('/people/match', payload);
+    const person = response && response.person ? this._processPerson(response.person) : null;
+    this._cacheEnrichment(cacheKey, person);
+    return { person: person, cached: false };
+  };
+
+  /**
+   * Extract enrichment fields from an Apollo organization
+   * @param {Object} org - Organization from the API
+   * @returns {Object} Organization fields in lead terms
+   */
+  self.ApolloAPI.prototype._processOrganization = function(org) {
+    const technologies = org.technology_names ||
+      (org.current_technologies || []).map(technology => technology.name);
+
+    return {
+      organizationId: org.id || '',
+      company: org.name || '',
+      industry: org.industry || '',
+      employees: org.estimated_num_employees || 0,
+      foundedYear: org.founded_year || '',
+      website: org.website_url || '',
+      description: org.short_description || '',
+      companyPhone: org.primary_phone?.sanitized_number || org.sanitized_phone || '',
+      revenue: org.annual_revenue || '',
+      funding: org.total_funding || '',
+      fundingStage: org.latest_funding_stage || '',
+      technologies: (technologies || []).filter(name => name),
+      keywords: (org.keywords || []).filter(keyword => keyword),
+      companyLinkedin: org.linkedin_url || '',
+      companyTwitter: org.twitter_url || '',
+      companyFacebook: org.facebook_url || ''
+    };
+  };
+
+  /**
+   * Extract enrichment fields from an Apollo person
+   * @param {Object} person - Person from the API
+   * @returns {Object} Person fields in lead terms
+   */
+  self.ApolloAPI.prototype._processPerson = function(person) {
+    return {
+      apolloId: person.id || '',
+      title: person.title || '',
+      // Where the person works now, which may not be the company we stored
+      company: person.organization?.name || '',
+      organizationId: person.organization_id || person.organization?.id || '',
+      email: person.email || '',
+      emailStatus: person.email_status || '',
+      phone: person.phone_numbers?.[0]?.sanitized_number || '',
+      location: [person.city, person.state, person.country].filter(part => part).join(', '),
+      linkedin: person.linkedin_url || '',
+      twitter: person.twitter_url || '',
+      facebook: person.facebook_url || '',
+      github: person.github_url || ''
+    };
+  };
+
+  /**
+   * Cache an enrichment result (null results are cached too)
+   * @param {string} key - Cache key
+   * @param {Object|null} result - Processed result
+   */
+  self.ApolloAPI.prototype._cacheEnrichment = function(key, result) {
+    this.cache.put('enrichment', key, { result: result, timestamp: new Date().getTime() });
+  };
+
+  /**
+   * Get a cached enrichment result
+   * @param {string} key - Cache key
+   * @returns {Object|null} { result } or null on a cache miss
+   */
+  self.ApolloAPI.prototype._getCachedEnrichment = function(key) {
+    return this.cache.get('enrichment', key);
+  };
+
+  /**
+   * Normalize Apollo pagination info
+   * @param {Object} pagination - Pagination block from API response
+   * @param {Object} payload - Request payload
+   * @returns {Object} Pagination info
+   */
+  self.ApolloAPI.prototype._processPagination = function(pagination, payload) {
+    const info = pagination || {};
+    return {
+      page: info.page || payload.page || 1,
+      perPage: info.per_page || payload.per_page || 25,
+      totalEntries: info.total_entries || 0,
+      totalPages: info.total_pages || 0
+    };
+  };
+
   /**
    * Build API payload from filters
    * @param {Object} filters - Filter criteria
    * @returns {Object} API payload
    */
   self.ApolloAPI.prototype._buildPayload = function(filters) {
-    const payload = {
-      api_key: this.apiKey,
-      q_organization_domains: filters.domains || '',
-      person_titles: filters.roles || ['CEO', 'Owner', 'Founder', 'President'],
-      organization_num_employees_ranges: filters.employeeRanges || '',
-      organization_industry_tag_ids: filters.industryTags || '',
-      organization_locations: filters.locations || '',
-      organization_founded_year: filters.foundedYear || '',
+    const searchParams = new self.FilterMapper().toApolloParams(filters);
+
+    return Object.assign({
+      person_titles: ['CEO', 'Owner', 'Founder', 'President']
+    }, searchParams, {
       page: filters.page || 1,
       per_page: Math.min(filters.perPage || 25, 100)
-    };
-
-    // Remove empty values
-    Object.keys(payload).forEach(key => {
-      if (!payload[key] || payload[key] === '') {
-        delete payload[key];
-      }
     });
-
-    return payload;
   };
 
   /**
    * Make API call to Apollo.io
    * @param {string} endpoint - API endpoint
-   * @param {Object} payload - Request payload
+   * @param {Object} payload - Request payload (query parameters for GET)
+   * @param {string} method - HTTP method, POST by default
    * @returns {Object} API response
+   * @throws {AuthError|RateLimitError|QuotaError|ValidationError|UpstreamError|BudgetExceededError}
    */
-  self.ApolloAPI.prototype._makeApiCall = function(endpoint, payload) {
-    const url = this.baseUrl + endpoint;
+  self.ApolloAPI.prototype._makeApiCall = function(endpoint, payload, method = 'POST') {
+    let url = this.baseUrl + endpoint;
     const options = {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Cache-Control': 'no-cache'
-      },
-      payload: JSON.stringify(payload)
+      method: method,
+      headers: this._headers()
     };
 
-    let retries = 0;
-    while (retries < 3) {
-      try {
-        const response = UrlFetchApp.fetch(url, options);
-        const responseCode = response.getResponseCode();
-        
-        if (responseCode === 200) {
-          return JSON.parse(response.getContentText());
-        } else if (responseCode === 429) {
-          // Rate limit - wait and retry
-          console.log('Rate limited, waiting...');
-          Utilities.sleep(2000);
-          retries++;
-        } else {
-          console.error('API Error:', responseCode, response.getContentText());
-          throw new Error('API request failed with code: ' + responseCode);
-        }
-      } catch (error) {
-        retries++;
-        if (retries >= 3) {
-          throw error;
-        }
-        console.log('Retrying API call...');
-        Utilities.sleep(1000);
-      }
+    if (method === 'GET') {
+      url += '?' + Object.keys(payload)
+        .map(key => encodeURIComponent(key) + '=' + encodeURIComponent(payload[key]))
+        .join('&');
+    } else {
+      options.payload = JSON.stringify(payload);
+    }
+
+    // Pre-flight: refuse the call rather than go over a credit cap
+    if (this.budget) {
+      this.budget.check(1);
+    }
+
+    const body = this.http.request(url, options);
+    if (this.budget) {
+      this.budget.record(1, endpoint);
     }
+    return body;
+  };
+
+  /**
+   * Request headers, including the API key
+   * @returns {Object} Headers
+   */
+  self.ApolloAPI.prototype._headers = function() {
+    return {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache',
+      'X-Api-Key': this.apiKey || ''
+    };
+  };
+
+  /**
+   * Check the API key against Apollo's auth health endpoint. Spends no
+   * credits and caches nothing.
+   * @returns {Boolean} Whether Apollo accepted the key
+   */
+  self.ApolloAPI.prototype.testConnection = function() {
+    const response = this.http.request(this.baseUrl + '/auth/health', { method: 'GET', headers: this._headers() });
+    return !!(response && response.is_logged_in);
   };
 
   /**
@@ -127,16 +290,20 @@ var LeadLib = (function(ns) {
    */
   self.ApolloAPI.prototype._processApiResponse = function(people) {
     return people.map(person => ({
-      id: person.id || '',
+      apolloId: person.id || '',
+      organizationId: person.organization?.id || person.organization_id || '',
       name: person.name || '',
+      firstName: person.first_name || '',
+      lastName: person.last_name || '',
       title: person.title || '',
       company: person.organization?.name || '',
       industry: person.organization?.industry || '',
       employees: person.organization?.estimated_num_employees || 0,
       foundedYear: person.organization?.founded_year || '',
       email: person.email || '',
+      emailStatus: person.email_status || '',
       phone: person.phone_numbers?.[0]?.sanitized_number || '',
-      location: person.city + ', ' + person.state || '',
+      location: [person.city, person.state, person.country].filter(part => part).join(', '),
       linkedin: person.linkedin_url || '',
       website: person.organization?.website_url || '',
       description: person.organization?.short_description || '',
@@ -151,35 +318,31 @@ var LeadLib = (function(ns) {
    * @returns {string} Cache key
    */
   self.ApolloAPI.prototype._generateCacheKey = function(filters) {
-    const keyData = {
-      roles: filters.roles || [],
-      employeeRanges: filters.employeeRanges || [],
-      industryTags: filters.industryTags || [],
-      locations: filters.locations || [],
-      foundedYear: filters.foundedYear || '',
-      page: filters.page || 1
-    };
+    const payload = this._buildPayload(filters);
+
+    // Sort keys so equivalent searches always hash the same way
+    const keyData = Object.keys(payload).sort().map(key => [key, payload[key]]);
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(keyData));
     
-    return 'apollo_leads_' + Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(keyData));
+    return 'search_' + Utilities.base64EncodeWebSafe(digest);
   };
 
   /**
    * Cache leads data
    * @param {Array} leads - Leads to cache
    * @param {string} key - Cache key
+   * @param {Object} pagination - Optional pagination info
    */
-  self.ApolloAPI.prototype.cacheLeads = function(leads, key) {
-    try {
-      const cacheData = {
-        leads: leads,
-        timestamp: new Date().getTime(),
-        count: leads.length
-      };
-      
-      this.cache.put(key, JSON.stringify(cacheData), 3600); // 1 hour
+  self.ApolloAPI.prototype.cacheLeads = function(leads, key, pagination) {
+    const cacheData = {
+      leads: leads,
+      pagination: pagination || null,
+      timestamp: new Date().getTime(),
+      count: leads.length
+    };
+    
+    if (this.cache.put('apollo', key, cacheData)) {
       console.log('Leads cached with key:', key);
-    } catch (error) {
-      console.error('Error caching leads:', error);
     }
   };
 
@@ -189,43 +352,31 @@ var LeadLib = (function(ns) {
    * @returns {Array} Cached leads or empty array
    */
   self.ApolloAPI.prototype.getCachedLeads = function(key) {
-    try {
-      const cached = this.cache.get(key);
-      if (cached) {
-        const cacheData = JSON.parse(cached);
-        const age = new Date().getTime() - cacheData.timestamp;
-        
-        // Check if cache is still valid (1 hour)
-        if (age < 3600000) {
-          console.log('Cache hit for key:', key);
-          return cacheData.leads;
-        } else {
-          console.log('Cache expired for key:', key);
-          this.cache.remove(key);
-        }
-      }
-    } catch (error) {
-      console.error('Error reading cache:', error);
+    const cachedPage = this.getCachedPage(key);
+    return cachedPage ? cachedPage.leads : [];
+  };
+
+  /**
+   * Get a cached page of leads
+   * @param {string} key - Cache key
+   * @returns {Object|null} { leads, pagination } or null
+   */
+  self.ApolloAPI.prototype.getCachedPage = function(key) {
+    // Entries expire with the cache duration, so anything found is fresh
+    const cacheData = this.cache.get('apollo', key);
+    if (cacheData) {
+      console.log('Cache hit for key:', key);
+      return { leads: cacheData.leads, pagination: cacheData.pagination };
     }
-    
-    return [];
+    return null;
   };
 
   /**
-   * Clear all cached leads
+   * Clear all cached searches (enrichment results are kept)
    */
   self.ApolloAPI.prototype.clearCache = function() {
-    try {
-      const keys = this.cache.getKeys();
-      keys.forEach(key => {
-        if (key.startsWith('apollo_leads_')) {
-          this.cache.remove(key);
-        }
-      });
-      console.log('Apollo cache cleared');
-    } catch (error) {
-      console.error('Error clearing cache:', error);
-    }
+    this.cache.invalidate('apollo');
+    console.log('Apollo cache cleared');
   };
 
   /**
@@ -234,7 +385,7 @@ var LeadLib = (function(ns) {
    */
   self.ApolloAPI.prototype.getUsageStats = function() {
     try {
-      const response = this._makeApiCall('/usage', { api_key: this.apiKey });
+      const response = this._makeApiCall('/usage', {});
       return {
         monthly_usage: response.monthly_usage || 0,
         monthly_limit: response.monthly_limit || 0,
@@ -259,6 +410,26 @@ var LeadLib = (function(ns) {
     return api.fetchLeads(options);
   };
 
+  /**
+   * Enrich an organization by domain
+   * @param {String} domain - Company domain
+   * @returns {Object} { organization, cached }
+   */
+  self.enrichOrganization = function(domain) {
+    const api = new self.ApolloAPI();
+    return api.enrichOrganization(domain);
+  };
+
+  /**
+   * Enrich a person by Apollo person ID or email
+   * @param {Object} lead - Lead with apolloId and/or email
+   * @returns {Object} { person, cached }
+   */
+  self.enrichPerson = function(lead) {
+    const api = new self.ApolloAPI();
+    return api.enrichPerson(lead);
+  };
+
   /**
    * Clear Apollo cache
    */
@@ -276,6 +447,37 @@ var LeadLib = (function(ns) {
     return api.getUsageStats();
   };
 
+  /**
+   * Get the Apollo API key: the user's own key, else the shared script key
+   * @param {Boolean} shared - Only look at the shared script key
+   * @returns {String} API key, or ''
+   */
+  self.getApolloApiKey = function(shared) {
+    return (!shared && PropertiesService.getUserProperties().getProperty(API_KEY_PROPERTY)) ||
+      PropertiesService.getScriptProperties().getProperty(API_KEY_PROPERTY) || '';
+  };
+
+  /**
+   * Store the Apollo API key
+   * @param {String} apiKey - API key
+   * @param {Boolean} shared - Store for every user of the script instead of only the current user
+   */
+  self.setApolloApiKey = function(apiKey, shared) {
+    const properties = shared ? PropertiesService.getScriptProperties() : PropertiesService.getUserProperties();
+    properties.setProperty(API_KEY_PROPERTY, String(apiKey).trim());
+  };
+
+  /**
+   * Masked form of an API key that is safe to show in the UI
+   * @param {String} apiKey - API key
+   * @returns {String} e.g. "********abcd", or '' when there is no key
+   */
+  self.maskApiKey = function(apiKey) {
+    const key = String(apiKey || '');
+    if (!key) return '';
+    return key.length > 8 ? '********' + key.slice(-4) : '********';
+  };
+
   // Return augmented namespace
   return self;
 })(typeof LeadLib !== 'undefined' ? LeadLib : {});
\ No newline at end of file
@@ -0,0 +1,436 @@
+/**
+ * LeadLib - Cache Manager
+ * Usage:
+ *   LeadLib.getCachedStats(spreadsheetId, forceRefresh);
+ *   LeadLib.getQuickStats(spreadsheetId);
+ *   LeadLib.getLeadPage(spreadsheetId, { page, pageSize, sort, ...filters });
+ *   LeadLib.warmCache(spreadsheetId);
+ *   LeadLib.clearCache(spreadsheetId, 'all');
+ *   LeadLib.watchSheetEdits(spreadsheetId);
+ *
+ * Wraps CacheService in named regions (stats, quick counts, lead pages,
+ * Apollo searches, Apollo enrichment). Entries live for the "Cache
+ * Duration" setting (CacheService caps it at 6 hours; 0 turns caching off)
+ * and values over the 100KB item limit are split across chunk entries.
+ * CacheService can't list or delete by prefix, so each region has a version
+ * stamp that is part of every key: invalidating a region replaces the stamp
+ * and the old entries are never read again. SheetManager invalidates the
+ * lead regions whenever it writes the Leads sheet; hand edits to the Leads
+ * or Settings sheet do the same through installable edit and change
+ * triggers (watchSheetEdits), whose handler the host script must define as a
+ * top-level `onSheetEdit` function calling LeadLib.handleSheetEdit.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // scoped: versioned per spreadsheet; leads: stale once the Leads sheet changes; ttl: fixed lifetime
+  const CACHE_REGIONS = {
+    stats: { scoped: true, leads: true },
+    quick: { scoped: true, leads: true },
+    leads: { scoped: true, leads: true },
+    apollo: { scoped: false },
+    enrichment: { scoped: false, ttl: 21600 } // Costs credits to refill, so always the maximum
+  };
+
+  const MAX_TTL = 21600; // CacheService limit: 6 hours
+  const CHUNK_SIZE = 30000; // UTF-16 units; at most 3 UTF-8 bytes each, under the 100KB item limit
+  const CHUNK_MARKER = 'chunked:'; // JSON never starts with "c", so this can't clash with a value
+
+  // Internal CacheManager class
+  self.CacheManager = function(spreadsheetId) {
+    this.spreadsheetId = spreadsheetId || '';
+    this.cache = CacheService.getScriptCache();
+    this.defaultTtl = 3600;
+    this.maxChunks = 50; // Skip caching values over ~1.5MB rather than crowd out everything else
+    this.editTriggerHandler = 'onSheetEdit';
+    this.watchedSheets = ['Leads', 'Settings']; // Lead regions are built from these
+  };
+
+  /**
+   * Read a cached value
+   * @param {String} region - Region name
+   * @param {String} name - Entry name within the region
+   * @returns {*} Value, or null on a miss
+   */
+  self.CacheManager.prototype.get = function(region, name) {
+    try {
+      const version = this._version(region, false);
+      if (!version) {
+        return null;
+      }
+
+      const key = this._key(region, version, name);
+      const raw = this.cache.get(key);
+      if (raw === null) {
+        return null;
+      }
+      if (raw.indexOf(CHUNK_MARKER) !== 0) {
+        return JSON.parse(raw);
+      }
+
+      // Every chunk has to still be there, or the whole entry is a miss
+      const meta = JSON.parse(raw.slice(CHUNK_MARKER.length));
+      const chunkKeys = [];
+      for (let i = 0; i < meta.chunks; i++) {
+        chunkKeys.push(`${key}_${meta.id}_${i}`);
+      }
+      const chunks = this.cache.getAll(chunkKeys);
+      if (chunkKeys.some(chunkKey => chunks[chunkKey] === undefined)) {
+        return null;
+      }
+      return JSON.parse(chunkKeys.map(chunkKey => chunks[chunkKey]).join(''));
+    } catch (error) {
+      console.error(`Error reading ${region} cache:`, error);
+      return null;
+    }
+  };
+
+  /**
+   * Cache a value, chunking it when it is over the item limit
+   * @param {String} region - Region name
+   * @param {String} name - Entry name within the region
+   * @param {*} value - JSON-serializable value
+   * @param {String} computedUnder - Region version read before the value was
+   *   computed; the value is dropped if the region was invalidated since
+   * @returns {Boolean} Whether the value was cached
+   */
+  self.CacheManager.prototype.put = function(region, name, value, computedUnder) {
+    try {
+      const ttl = this.ttl(region);
+      if (ttl <= 0) {
+        return false;
+      }
+
+      const current = this._version(region, false);
+      if (computedUnder !== undefined && current !== computedUnder) {
+        console.log(`Not caching ${region}/${name}: the region was invalidated while it was computed`);
+        return false;
+      }
+
+      const key = this._key(region, current || this._version(region, true), name);
+      const json = JSON.stringify(value);
+
+      if (json.length <= CHUNK_SIZE) {
+        this.cache.put(key, json, ttl);
+        return true;
+      }
+
+      const chunkCount = Math.ceil(json.length / CHUNK_SIZE);
+      if (chunkCount > this.maxChunks) {
+        console.log(`Not caching ${region}/${name}: ${json.length} characters is over the chunk limit`);
+        return false;
+      }
+
+      // Chunk keys carry a write ID so a reader never mixes chunks from two writes
+      const id = Utilities.getUuid().slice(0, 8);
+      const entries = {};
+      for (let i = 0; i < chunkCount; i++) {
+        entries[`${key}_${id}_${i}`] = json.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE);
+      }
+      entries[key] = CHUNK_MARKER + JSON.stringify({ id: id, chunks: chunkCount });
+      this.cache.putAll(entries, ttl);
+      return true;
+    } catch (error) {
+      console.error(`Error writing ${region} cache:`, error);
+      return false;
+    }
+  };
+
+  /**
+   * Read a cached value, computing and caching it on a miss
+   * @param {String} region - Region name
+   * @param {String} name - Entry name within the region
+   * @param {Function} compute - Produces the value on a miss
+   * @param {Boolean} forceRefresh - Skip the cached value
+   * @returns {Object} { value, cached }
+   */
+  self.CacheManager.prototype.getOrCompute = function(region, name, compute, forceRefresh) {
+    // A write to the sheet during compute() invalidates the region; the
+    // value read before it must not be cached under the new version
+    const version = this._version(region, false);
+    const cached = forceRefresh ? null : this.get(region, name);
+    if (cached !== null) {
+      return { value: cached, cached: true };
+    }
+
+    const value = compute();
+    this.put(region, name, value, version);
+    return { value: value, cached: false };
+  };
+
+  /**
+   * Invalidate regions by replacing their version stamps
+   * @param {Array|String} regions - Region names (every region when omitted)
+   * @returns {Array} Regions invalidated
+   */
+  self.CacheManager.prototype.invalidate = function(regions) {
+    const names = regions ? [].concat(regions) : Object.keys(CACHE_REGIONS);
+    names.forEach(region => {
+      this._region(region);
+      this.cache.put(this._versionKey(region), Utilities.getUuid().slice(0, 8), MAX_TTL);
+    });
+    return names;
+  };
+
+  /**
+   * Invalidate every region derived from the Leads sheet
+   * @returns {Array} Regions invalidated
+   */
+  self.CacheManager.prototype.invalidateLeads = function() {
+    return this.invalidate(Object.keys(CACHE_REGIONS).filter(region => CACHE_REGIONS[region].leads));
+  };
+
+  /**
+   * Install the edit and change triggers that invalidate the lead regions
+   * on hand edits, unless this user already has them
+   * @returns {Boolean} Whether triggers were created
+   */
+  self.CacheManager.prototype.watchSheetEdits = function() {
+    const exists = ScriptApp.getProjectTriggers()
+      .some(trigger => trigger.getHandlerFunction() === this.editTriggerHandler);
+    if (exists) {
+      return false;
+    }
+
+    ScriptApp.newTrigger(this.editTriggerHandler).forSpreadsheet(this.spreadsheetId).onEdit().create();
+    ScriptApp.newTrigger(this.editTriggerHandler).forSpreadsheet(this.spreadsheetId).onChange().create();
+    console.log('Installed sheet edit triggers');
+    return true;
+  };
+
+  /**
+   * Invalidate the lead regions for an edit or change event that touches them
+   * @param {Object} event - Edit event (has range) or change event (has changeType)
+   * @returns {Array} Regions invalidated (empty when the event doesn't matter)
+   */
+  self.CacheManager.prototype.handleSheetEdit = function(event) {
+    const e = event || {};
+    if (e.range) {
+      const sheetName = e.range.getSheet().getName();
+      return this.watchedSheets.indexOf(sheetName) !== -1 ? this.invalidateLeads() : [];
+    }
+
+    // Change events also fire for edits (handled above) and formatting;
+    // inserted or removed rows, columns and sheets don't say which sheet
+    return ['EDIT', 'FORMAT'].indexOf(e.changeType) === -1 ? this.invalidateLeads() : [];
+  };
+
+  /**
+   * Lifetime of new entries in a region
+   * @param {String} region - Region name
+   * @returns {Number} Seconds (0 when caching is off)
+   */
+  self.CacheManager.prototype.ttl = function(region) {
+    if (this._region(region).ttl) {
+      return this._region(region).ttl;
+    }
+
+    if (this._ttl === undefined) {
+      const setting = this.spreadsheetId ?
+        new self.SheetManager(this.spreadsheetId).getSetting('Cache Duration') : '';
+      const seconds = setting === '' ? this.defaultTtl : parseInt(setting);
+      this._ttl = isNaN(seconds) ? this.defaultTtl : Math.max(0, Math.min(MAX_TTL, seconds));
+    }
+    return this._ttl;
+  };
+
+  /**
+   * Current version stamp of a region, read from the cache every time since
+   * another execution may invalidate it at any moment
+   * @param {String} region - Region name
+   * @param {Boolean} create - Start a new version when there is none
+   * @returns {String} Version, or '' when there is none and create is false
+   */
+  self.CacheManager.prototype._version = function(region, create) {
+    this._region(region);
+    const version = this.cache.get(this._versionKey(region)) || '';
+    if (version || !create) {
+      return version;
+    }
+
+    // Never put back a stamp that exists: it may be newer than one read earlier.
+    // Entries that outlive an expired stamp are just never read again
+    const created = Utilities.getUuid().slice(0, 8);
+    this.cache.put(this._versionKey(region), created, MAX_TTL);
+    return created;
+  };
+
+  /**
+   * Cache key of a region's version stamp
+   * @param {String} region - Region name
+   * @returns {String} Key
+   */
+  self.CacheManager.prototype._versionKey = function(region) {
+    return 'leadlib_version_' + region + (this._region(region).scoped ? '_' + this.spreadsheetId : '');
+  };
+
+  /**
+   * Cache key of an entry; long names are hashed to stay under the key limit
+   * @param {String} region - Region name
+   * @param {String} version - Region version
+   * @param {String} name - Entry name
+   * @returns {String} Key
+   */
+  self.CacheManager.prototype._key = function(region, version, name) {
+    const entry = String(name).length <= 100 ? String(name) :
+      Utilities.base64EncodeWebSafe(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, String(name)));
+    return `leadlib_${region}_${version}_${entry}`;
+  };
+
+  /**
+   * Look up a region, rejecting unknown names
+   * @param {String} region - Region name
+   * @returns {Object} Region definition
+   */
+  self.CacheManager.prototype._region = function(region) {
+    if (!CACHE_REGIONS[region]) {
+      throw new Error(`Unknown cache region "${region}". Use one of: ${Object.keys(CACHE_REGIONS).join(', ')}`);
+    }
+    return CACHE_REGIONS[region];
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Dashboard statistics, from cache when the leads haven't changed
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Boolean} forceRefresh - Recompute even when cached
+   * @returns {Object} Statistics object with cached and executionTime
+   */
+  self.getCachedStats = function(spreadsheetId, forceRefresh) {
+    const startTime = new Date().getTime();
+    const result = new self.CacheManager(spreadsheetId).getOrCompute('stats', 'all',
+      () => self.getStats(spreadsheetId), forceRefresh);
+
+    return Object.assign({}, result.value, {
+      cached: result.cached,
+      executionTime: new Date().getTime() - startTime
+    });
+  };
+
+  /**
+   * Lead and company counts from row counts alone, without reading rows
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} { totalLeads, companies, cached, executionTime }
+   */
+  self.getQuickStats = function(spreadsheetId) {
+    const startTime = new Date().getTime();
+    const result = new self.CacheManager(spreadsheetId).getOrCompute('quick', 'counts', () => {
+      const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+      const rows = name => {
+        const sheet = spreadsheet.getSheetByName(name);
+        return sheet ? Math.max(0, sheet.getLastRow() - 1) : 0;
+      };
+      return { totalLeads: rows('Leads'), companies: rows('Companies') };
+    });
+
+    return Object.assign({}, result.value, {
+      cached: result.cached,
+      executionTime: new Date().getTime() - startTime
+    });
+  };
+
+  /**
+   * A page of leads (as Lead DTOs), from cache when the leads haven't changed
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} params - SheetManager.queryLeads query plus forceRefresh
+   * @returns {Object} { rows, total, page, pageSize, hasMore, nextCursor, facets, cached }
+   */
+  self.getLeadPage = function(spreadsheetId, params = {}) {
+    const query = Object.assign({ pageSize: 10 }, params);
+    delete query.forceRefresh;
+
+    const name = JSON.stringify(Object.keys(query).sort().map(key => [key, query[key]]));
+    const result = new self.CacheManager(spreadsheetId).getOrCompute('leads', name, () => {
+      const found = new self.SheetManager(spreadsheetId).queryLeads(query);
+      return {
+        rows: found.leads.map(self.toLeadDto),
+        total: found.total,
+        page: found.page,
+        pageSize: found.pageSize,
+        hasMore: found.hasMore,
+        nextCursor: found.nextCursor,
+        facets: found.facets
+      };
+    }, params.forceRefresh);
+
+    return Object.assign({}, result.value, { cached: result.cached });
+  };
+
+  /**
+   * Pre-load the stats, quick counts and first lead page
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.warmCache = function(spreadsheetId) {
+    try {
+      const startTime = new Date().getTime();
+      self.getCachedStats(spreadsheetId, true);
+      self.getQuickStats(spreadsheetId);
+      self.getLeadPage(spreadsheetId, { page: 1, pageSize: 10 });
+
+      const executionTime = new Date().getTime() - startTime;
+      return {
+        success: true,
+        warmed: ['stats', 'quick', 'leads'],
+        message: `Caches warmed in ${executionTime}ms`,
+        executionTime: executionTime
+      };
+    } catch (error) {
+      console.error('Error warming cache:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Invalidate a cache region, the lead regions ("leads") or everything ("all")
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} cacheType - stats, quick, leads, apollo, enrichment or all
+   * @returns {Object} Result object
+   */
+  self.clearCache = function(spreadsheetId, cacheType) {
+    try {
+      const manager = new self.CacheManager(spreadsheetId);
+      const cleared = cacheType === 'all' || !cacheType ? manager.invalidate() :
+        cacheType === 'leads' ? manager.invalidateLeads() : manager.invalidate(cacheType);
+      return { success: true, cleared: cleared, message: 'Cleared cache: ' + cleared.join(', ') };
+    } catch (error) {
+      console.error('Error clearing cache:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Install the triggers that keep lead caches fresh after hand edits
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.watchSheetEdits = function(spreadsheetId) {
+    try {
+      const created = new self.CacheManager(spreadsheetId).watchSheetEdits();
+      return {
+        success: true,
+        created: created,
+        message: created ? 'Hand edits to the Leads and Settings sheets now refresh cached leads and stats' :
+          'Sheet edit triggers are already installed'
+      };
+    } catch (error) {
+      console.error('Error installing sheet edit triggers:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Handle an edit or change trigger event
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} event - Trigger event
+   * @returns {Array} Regions invalidated
+   */
+  self.handleSheetEdit = function(spreadsheetId, event) {
+    return new self.CacheManager(spreadsheetId).handleSheetEdit(event);
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
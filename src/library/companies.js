@@ -0,0 +1,338 @@
+/**
+ * LeadLib - Companies (Accounts)
+ * Usage:
+ *   LeadLib.getAccounts(spreadsheetId);
+ *   LeadLib.getAccount(spreadsheetId, companyId);
+ *   LeadLib.migrateCompanies(spreadsheetId);
+ *
+ * Company fields live once in the Companies sheet, keyed by website domain
+ * and Apollo organization ID (company name only when neither is known).
+ * Leads point at their company through the Company ID column.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Columns in the Companies sheet; key -> lead field it is copied from
+  const COMPANY_COLUMNS = [
+    { key: 'id', header: 'Company ID', width: 280 },
+    { key: 'name', header: 'Company Name', width: 200, field: 'company' },
+    { key: 'domain', header: 'Domain', width: 180 },
+    { key: 'organizationId', header: 'Apollo Organization ID', width: 200, field: 'organizationId' },
+    { key: 'industry', header: 'Industry', width: 120, field: 'industry' },
+    { key: 'employees', header: 'Employees', width: 80, field: 'employees' },
+    { key: 'foundedYear', header: 'Founded Year', width: 80, field: 'foundedYear' },
+    { key: 'website', header: 'Website', width: 200, field: 'website' },
+    { key: 'description', header: 'Description', width: 300, field: 'description' },
+    { key: 'updatedAt', header: 'Updated At', width: 160 }
+  ];
+
+  // Internal CompanyManager class
+  self.CompanyManager = function(spreadsheetId) {
+    this.spreadsheetId = spreadsheetId;
+    this.spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    this.companiesSheetName = 'Companies';
+    this.freeProviders = new self.EmailVerifier().freeProviders;
+  };
+
+  /**
+   * Get the Companies sheet, creating it on first use
+   * @returns {Sheet} Companies sheet
+   */
+  self.CompanyManager.prototype.getSheet = function() {
+    let sheet = this.spreadsheet.getSheetByName(this.companiesSheetName);
+
+    if (!sheet) {
+      sheet = this.spreadsheet.insertSheet(this.companiesSheetName);
+      sheet.getRange(1, 1, 1, COMPANY_COLUMNS.length).setValues([COMPANY_COLUMNS.map(column => column.header)]);
+
+      // Format header row
+      const headerRange = sheet.getRange(1, 1, 1, COMPANY_COLUMNS.length);
+      headerRange.setBackground('#00897b');
+      headerRange.setFontColor('white');
+      headerRange.setFontWeight('bold');
+      headerRange.setHorizontalAlignment('center');
+
+      // Set column widths
+      COMPANY_COLUMNS.forEach((column, i) => {
+        sheet.setColumnWidth(i + 1, column.width);
+      });
+
+      sheet.setFrozenRows(1);
+    }
+
+    return sheet;
+  };
+
+  /**
+   * List all companies
+   * @returns {Array} Company objects
+   */
+  self.CompanyManager.prototype.list = function() {
+    const sheet = this.spreadsheet.getSheetByName(this.companiesSheetName);
+
+    if (!sheet || sheet.getLastRow() < 2) {
+      return [];
+    }
+
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, COMPANY_COLUMNS.length).getValues();
+    return data.map(row => this._rowToCompany(row));
+  };
+
+  /**
+   * Attach each lead to a company, creating or updating Companies rows
+   * @param {Array} leads - Leads about to be written
+   * @returns {Array} Copies of the leads with companyId set
+   */
+  self.CompanyManager.prototype.linkLeads = function(leads) {
+    if (!leads || leads.length === 0) {
+      return leads;
+    }
+
+    const sheet = this.getSheet();
+    const companies = this.list();
+    const index = {};
+    companies.forEach((company, i) => {
+      this._companyKeys(company).forEach(key => {
+        if (index[key] === undefined) index[key] = i;
+      });
+    });
+
+    const changed = {};
+    const now = new Date().toISOString();
+    const linked = leads.map(lead => {
+      const incoming = this._companyFromLead(lead);
+      const keys = this._companyKeys(incoming);
+      if (keys.length === 0) {
+        return lead;
+      }
+
+      let i = keys.map(key => index[key]).find(position => position !== undefined);
+      if (i === undefined) {
+        i = companies.length;
+        companies.push(Object.assign(incoming, { id: 'company_' + Utilities.getUuid(), updatedAt: now }));
+        changed[i] = true;
+      } else if (this._mergeCompany(companies[i], incoming)) {
+        companies[i].updatedAt = now;
+        changed[i] = true;
+      }
+
+      // Later leads can match on keys this lead just added
+      this._companyKeys(companies[i]).forEach(key => {
+        if (index[key] === undefined) index[key] = i;
+      });
+
+      return Object.assign({}, lead, { companyId: companies[i].id });
+    });
+
+    Object.keys(changed).forEach(i => {
+      sheet.getRange(Number(i) + 2, 1, 1, COMPANY_COLUMNS.length).setValues([this._companyToRow(companies[i])]);
+    });
+
+    return linked;
+  };
+
+  /**
+   * Contacts, best stage reached and last activity for every company
+   * @returns {Array} Accounts, most contacts first
+   */
+  self.CompanyManager.prototype.getAccounts = function() {
+    const manager = new self.SheetManager(this.spreadsheetId);
+    const leads = manager.getLeads({});
+    const lastActivity = new self.ActivityLog(this.spreadsheetId).getLastActivity();
+
+    return this.list()
+      .map(company => this._account(company, leads.filter(lead => lead.companyId === company.id), manager, lastActivity))
+      .sort((a, b) => b.contacts - a.contacts || String(a.name).localeCompare(String(b.name)));
+  };
+
+  /**
+   * A single company with its stats and contacts
+   * @param {String} companyId - Company ID
+   * @returns {Object|null} Account with a contacts array, or null when not found
+   */
+  self.CompanyManager.prototype.getAccount = function(companyId) {
+    const company = this.list().find(c => c.id === companyId);
+    if (!company) {
+      return null;
+    }
+
+    const manager = new self.SheetManager(this.spreadsheetId);
+    const leads = manager.getLeads({ companyId: companyId });
+    const lastActivity = new self.ActivityLog(this.spreadsheetId).getLastActivity();
+
+    return Object.assign(this._account(company, leads, manager, lastActivity), { contactList: leads });
+  };
+
+  /**
+   * Build account stats from a company and its leads
+   * @param {Object} company - Company object
+   * @param {Array} leads - The company's leads
+   * @param {SheetManager} manager - Sheet manager (for the pipeline)
+   * @param {Object} lastActivity - Lead ID -> latest activity timestamp
+   * @returns {Object} Account
+   */
+  self.CompanyManager.prototype._account = function(company, leads, manager, lastActivity) {
+    const pipeline = manager.getPipeline();
+    let bestStage = '';
+    let last = '';
+
+    leads.forEach(lead => {
+      const reached = [lead.stage].concat((lead.stageHistory || []).map(entry => entry.stage));
+      reached.forEach(reachedStage => {
+        const stage = pipeline.resolveStage(reachedStage);
+        if (stage && (!bestStage || pipeline.rank(stage) > pipeline.rank(bestStage))) {
+          bestStage = stage;
+        }
+      });
+
+      [lastActivity[lead.id], lead.stageUpdatedAt].forEach(at => {
+        const value = at instanceof Date ? at.toISOString() : String(at || '');
+        if (value > last) last = value;
+      });
+    });
+
+    return Object.assign({}, company, {
+      contacts: leads.length,
+      bestStage: bestStage,
+      lastActivity: last
+    });
+  };
+
+  /**
+   * Fill empty company fields and refresh changed ones from a lead
+   * @param {Object} company - Existing company (updated in place)
+   * @param {Object} incoming - Company built from a lead
+   * @returns {Boolean} Whether anything changed
+   */
+  self.CompanyManager.prototype._mergeCompany = function(company, incoming) {
+    let changed = false;
+    COMPANY_COLUMNS.forEach(column => {
+      if (column.key === 'id' || column.key === 'updatedAt') return;
+
+      const value = incoming[column.key];
+      if (value === undefined || value === null || value === '' || value === 0) return;
+      if (String(value) !== String(company[column.key])) {
+        company[column.key] = value;
+        changed = true;
+      }
+    });
+    return changed;
+  };
+
+  /**
+   * Company fields carried by a lead
+   * @param {Object} lead - Lead object
+   * @returns {Object} Company object (without ID)
+   */
+  self.CompanyManager.prototype._companyFromLead = function(lead) {
+    const company = { domain: this.domainOf(lead) };
+    COMPANY_COLUMNS.forEach(column => {
+      if (column.field) company[column.key] = lead[column.field] || '';
+    });
+    return company;
+  };
+
+  /**
+   * Website domain of a lead's company, else its non-free email domain
+   * @param {Object} lead - Lead object
+   * @returns {String} Domain, or ''
+   */
+  self.CompanyManager.prototype.domainOf = function(lead) {
+    const website = String(lead.website || '').toLowerCase().trim()
+      .replace(/^https?:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/[/?#].*$/, '');
+    if (website) return website;
+
+    const emailDomain = String(lead.email || '').toLowerCase().trim().split('@')[1] || '';
+    return emailDomain && this.freeProviders.indexOf(emailDomain) === -1 ? emailDomain : '';
+  };
+
+  /**
+   * Keys a company can be matched on, strongest first
+   * @param {Object} company - Company object
+   * @returns {Array} Match keys
+   */
+  self.CompanyManager.prototype._companyKeys = function(company) {
+    const keys = [];
+    if (company.organizationId) keys.push('org:' + company.organizationId);
+    if (company.domain) keys.push('domain:' + company.domain);
+
+    // Name alone only links companies nothing else identifies
+    if (keys.length === 0) {
+      const name = String(company.name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+      if (name) keys.push('name:' + name);
+    }
+    return keys;
+  };
+
+  /**
+   * Convert a sheet row into a company object
+   * @param {Array} row - Row values
+   * @returns {Object} Company object
+   */
+  self.CompanyManager.prototype._rowToCompany = function(row) {
+    const company = {};
+    COMPANY_COLUMNS.forEach((column, i) => {
+      company[column.key] = row[i] instanceof Date ? row[i].toISOString() : row[i];
+    });
+    return company;
+  };
+
+  /**
+   * Convert a company object into a sheet row
+   * @param {Object} company - Company object
+   * @returns {Array} Row values
+   */
+  self.CompanyManager.prototype._companyToRow = function(company) {
+    return COMPANY_COLUMNS.map(column => company[column.key] === undefined ? '' : company[column.key]);
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * List companies with contact counts, best stage and last activity
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.getAccounts = function(spreadsheetId) {
+    try {
+      const companies = new self.CompanyManager(spreadsheetId);
+      return { success: true, accounts: companies.getAccounts() };
+    } catch (error) {
+      console.error('Error getting accounts:', error);
+      return { success: false, message: error.message };
+    }
+  };
+
+  /**
+   * Get a company with all of its contacts
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} companyId - Company ID
+   * @returns {Object} Result object
+   */
+  self.getAccount = function(spreadsheetId, companyId) {
+    try {
+      const companies = new self.CompanyManager(spreadsheetId);
+      const account = companies.getAccount(companyId);
+      return account ? { success: true, account: account } : { success: false, message: 'Company not found' };
+    } catch (error) {
+      console.error('Error getting account:', error);
+      return { success: false, message: error.message };
+    }
+  };
+
+  /**
+   * Create companies for existing leads and link them
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.migrateCompanies = function(spreadsheetId) {
+    const manager = new self.SheetManager(spreadsheetId);
+    return manager.migrateCompanies();
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
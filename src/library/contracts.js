@@ -0,0 +1,281 @@
+/**
+ * LeadLib - Web UI Contracts
+ * Usage:
+ *   LeadLib.toLeadDto(lead);
+ *   LeadLib.toStatsDto(LeadLib.getStats(spreadsheetId));
+ *   LeadLib.toSettingsDto(LeadLib.getSettings(spreadsheetId));
+ *   LeadLib.validateContract('LeadsData', response);
+ *   LeadLib.getContract('Lead');
+ *
+ * The shapes the *Api functions hand index.html through google.script.run,
+ * declared once so both sides read the same field names. google.script.run
+ * rejects Date objects, so DTOs carry only strings, numbers, booleans,
+ * arrays and plain objects: dates go out as ISO strings and settings values
+ * as the strings the UI compares against ("TRUE", "FALSE"). Field types are
+ * string, number, boolean, array, object, a union such as "number|string",
+ * another contract name, or "Name[]" for a list of one.
+ *
+ * test/contracts.test.js (npm test) runs the *Api functions against fake
+ * Apps Script services and checks every field index.html reads is declared
+ * here.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // What the web UI reads; keep in step with index.html
+  const CONTRACTS = {
+    Lead: {
+      id: 'string',
+      timestamp: 'string',
+      name: 'string',
+      honorific: 'string',
+      firstName: 'string',
+      lastName: 'string',
+      title: 'string',
+      company: 'string',
+      companyId: 'string',
+      industry: 'string',
+      employees: 'number',
+      foundedYear: 'number|string', // '' when unknown
+      email: 'string',
+      emailStatus: 'string',
+      emailSuggestion: 'string',
+      phone: 'string',
+      phoneDisplay: 'string',
+      phoneType: 'string',
+      phoneExtension: 'string',
+      phoneStatus: 'string',
+      phoneRaw: 'string',
+      location: 'string',
+      linkedin: 'string',
+      website: 'string',
+      description: 'string',
+      contacted: 'boolean',
+      source: 'string',
+      apolloId: 'string',
+      organizationId: 'string',
+      stage: 'string',
+      stageUpdatedAt: 'string',
+      stageHistory: 'array',
+      score: 'number|string', // '' until scored
+      revenue: 'number|string',
+      funding: 'number|string',
+      fundingStage: 'string',
+      technologies: 'array',
+      keywords: 'array',
+      companyPhone: 'string',
+      twitter: 'string',
+      facebook: 'string',
+      github: 'string',
+      companyLinkedin: 'string',
+      companyTwitter: 'string',
+      companyFacebook: 'string',
+      enrichedAt: 'string',
+      refreshStatus: 'string', // current, title_changed, company_changed, not_found or '' (see leadRefresher.js)
+      refreshedAt: 'string'
+    },
+    Stats: {
+      totalLeads: 'number',
+      contactedLeads: 'number',
+      notContactedLeads: 'number',
+      companies: 'number',
+      byStage: 'object',
+      byEmailStatus: 'object',
+      byIndustry: 'object',
+      byTitle: 'object',
+      byCompanySize: 'object'
+    },
+    Settings: {
+      settings: 'object', // Setting name -> string value; the API key only ever masked
+      apiKeySet: 'boolean'
+    },
+    LeadsData: {
+      leads: 'Lead[]',
+      total: 'number',
+      page: 'number',
+      pageSize: 'number',
+      hasMore: 'boolean',
+      facets: 'object', // Field -> value -> count over every matching lead
+      statistics: 'Stats'
+    }
+  };
+
+  /**
+   * Turn a cell value into something google.script.run can return
+   * @param {*} value - Value read from a sheet
+   * @returns {*} Value with Dates as ISO strings, recursively
+   */
+  function toPlain(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? '' : value.toISOString();
+    }
+    if (Array.isArray(value)) {
+      return value.map(toPlain);
+    }
+    if (value && typeof value === 'object') {
+      const plain = {};
+      Object.keys(value).forEach(key => {
+        plain[key] = toPlain(value[key]);
+      });
+      return plain;
+    }
+    return value;
+  }
+
+  /**
+   * Coerce a value to a contract field type
+   * @param {*} value - Raw value
+   * @param {String} type - Field type
+   * @returns {*} Coerced value
+   */
+  function coerce(value, type) {
+    const plain = toPlain(value);
+    const empty = plain === undefined || plain === null || plain === '';
+
+    switch (type) {
+      case 'string':
+        return empty ? '' : String(plain);
+      case 'number':
+        return Number(plain) || 0;
+      case 'number|string':
+        return empty || isNaN(plain) ? '' : Number(plain);
+      case 'boolean':
+        return plain === true || String(plain).toUpperCase() === 'TRUE';
+      case 'array':
+        return Array.isArray(plain) ? plain : [];
+      case 'object':
+        return plain && typeof plain === 'object' && !Array.isArray(plain) ? plain : {};
+      default:
+        return plain;
+    }
+  }
+
+  /**
+   * Check a value against a field type
+   * @param {*} value - Value
+   * @param {String} type - Field type
+   * @param {String} path - Field path, for messages
+   * @param {Array} errors - Collects { path, message }
+   */
+  function checkType(value, type, path, errors) {
+    if (/\[\]$/.test(type)) {
+      if (!Array.isArray(value)) {
+        errors.push({ path: path, message: `${path} must be an array of ${type.slice(0, -2)}` });
+        return;
+      }
+      value.forEach((item, index) => checkType(item, type.slice(0, -2), `${path}[${index}]`, errors));
+      return;
+    }
+
+    if (CONTRACTS[type]) {
+      checkContract(value, type, path, errors);
+      return;
+    }
+
+    const actual = value instanceof Date ? 'Date' : Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (type.split('|').indexOf(actual) === -1) {
+      errors.push({ path: path, message: `${path} must be ${type}, got ${actual}` });
+    }
+  }
+
+  /**
+   * Check an object against a named contract
+   * @param {*} value - Value
+   * @param {String} name - Contract name
+   * @param {String} path - Value path, for messages
+   * @param {Array} errors - Collects { path, message }
+   */
+  function checkContract(value, name, path, errors) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ path: path, message: `${path} must be a ${name} object` });
+      return;
+    }
+
+    const fields = CONTRACTS[name];
+    Object.keys(fields).forEach(field => {
+      const fieldPath = path + '.' + field;
+      if (value[field] === undefined) {
+        errors.push({ path: fieldPath, message: `${fieldPath} is missing` });
+      } else {
+        checkType(value[field], fields[field], fieldPath, errors);
+      }
+    });
+  }
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Lead as the web UI sees it
+   * @param {Object} lead - Lead object from SheetManager
+   * @returns {Object} Lead DTO
+   */
+  self.toLeadDto = function(lead) {
+    const dto = {};
+    Object.keys(CONTRACTS.Lead).forEach(field => {
+      dto[field] = coerce(lead[field], CONTRACTS.Lead[field]);
+    });
+    return dto;
+  };
+
+  /**
+   * Dashboard statistics as the web UI sees them
+   * @param {Object} stats - Stats from SheetManager.getStats
+   * @returns {Object} Stats DTO
+   */
+  self.toStatsDto = function(stats) {
+    const dto = {};
+    Object.keys(CONTRACTS.Stats).forEach(field => {
+      dto[field] = coerce((stats || {})[field], CONTRACTS.Stats[field]);
+    });
+    return dto;
+  };
+
+  /**
+   * Settings as the web UI sees them: every value a string, booleans as
+   * "TRUE"/"FALSE" (Sheets turns those cells into real booleans)
+   * @param {Object} result - Result of getSettings
+   * @returns {Object} Settings DTO
+   */
+  self.toSettingsDto = function(result) {
+    const settings = {};
+    Object.keys(result.settings || {}).forEach(name => {
+      const value = toPlain(result.settings[name]);
+      settings[name] = typeof value === 'boolean' ? (value ? 'TRUE' : 'FALSE') :
+        value === undefined || value === null ? '' : String(value);
+    });
+    return { settings: settings, apiKeySet: !!result.apiKeySet };
+  };
+
+  /**
+   * Check a value against a named contract
+   * @param {String} name - Contract name (Lead, Stats, Settings, LeadsData)
+   * @param {*} value - Value to check
+   * @returns {Object} { valid, errors } where errors are { path, message }
+   */
+  self.validateContract = function(name, value) {
+    if (!CONTRACTS[name]) {
+      throw new Error('Unknown contract: ' + name);
+    }
+
+    const errors = [];
+    checkContract(value, name, name, errors);
+    return { valid: errors.length === 0, errors: errors };
+  };
+
+  /**
+   * Fields of a named contract
+   * @param {String} name - Contract name (Lead, Stats, Settings, LeadsData)
+   * @returns {Object} Copy of the field -> type map
+   */
+  self.getContract = function(name) {
+    if (!CONTRACTS[name]) {
+      throw new Error('Unknown contract: ' + name);
+    }
+
+    return Object.assign({}, CONTRACTS[name]);
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
@@ -0,0 +1,210 @@
+/**
+ * LeadLib - Apollo Credit Budget
+ * Usage:
+ *   LeadLib.getCreditUsage(spreadsheetId);
+ *   LeadLib.checkCreditBudget(spreadsheetId, credits);
+ *
+ * Every Apollo call made through an ApolloAPI created with a budget counts
+ * as one credit. Calls are checked against the "Daily Credit Cap" and
+ * "Monthly Credit Cap" settings before they are sent and logged to the
+ * Usage sheet (user, job, operation) after they succeed. Cached results
+ * are free. A cap of 0 means no cap.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Thrown before a call that would go over a cap; code lets callers tell it apart
+  self.BudgetExceededError = function(message, usage) {
+    this.name = 'BudgetExceededError';
+    this.code = 'budget_exceeded';
+    this.message = message;
+    this.usage = usage;
+    this.stack = new Error(message).stack;
+  };
+  self.BudgetExceededError.prototype = Object.create(Error.prototype);
+  self.BudgetExceededError.prototype.constructor = self.BudgetExceededError;
+
+  // Internal CreditBudget class
+  self.CreditBudget = function(spreadsheetId, jobId) {
+    this.spreadsheetId = spreadsheetId;
+    this.spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    this.jobId = jobId || '';
+    this.usageSheetName = 'Usage';
+    this.headers = ['Timestamp', 'User', 'Job ID', 'Operation', 'Credits', 'Details'];
+    this.spent = 0; // Credits recorded by this instance
+  };
+
+  /**
+   * Get the Usage sheet, creating it on first use
+   * @returns {Sheet} Usage sheet
+   */
+  self.CreditBudget.prototype.getSheet = function() {
+    let sheet = this.spreadsheet.getSheetByName(this.usageSheetName);
+
+    if (!sheet) {
+      sheet = this.spreadsheet.insertSheet(this.usageSheetName);
+      sheet.getRange(1, 1, 1, this.headers.length).setValues([this.headers]);
+
+      // Format header row
+      const headerRange = sheet.getRange(1, 1, 1, this.headers.length);
+      headerRange.setBackground('#5f6368');
+      headerRange.setFontColor('white');
+      headerRange.setFontWeight('bold');
+      headerRange.setHorizontalAlignment('center');
+
+      // Set column widths
+      const columnWidths = [160, 200, 280, 200, 70, 300];
+      for (let i = 0; i < columnWidths.length; i++) {
+        sheet.setColumnWidth(i + 1, columnWidths[i]);
+      }
+
+      sheet.setFrozenRows(1);
+    }
+
+    return sheet;
+  };
+
+  /**
+   * Throw if spending more credits would go over a cap
+   * @param {Number} credits - Credits about to be spent
+   */
+  self.CreditBudget.prototype.check = function(credits = 1) {
+    const usage = this.getUsage();
+
+    if (usage.dailyCap > 0 && usage.today + credits > usage.dailyCap) {
+      throw new self.BudgetExceededError(
+        `Daily Apollo credit budget exceeded: ${usage.today} of ${usage.dailyCap} credits used today. ` +
+        'Raise "Daily Credit Cap" in Settings or try again tomorrow.', usage);
+    }
+
+    if (usage.monthlyCap > 0 && usage.month + credits > usage.monthlyCap) {
+      throw new self.BudgetExceededError(
+        `Monthly Apollo credit budget exceeded: ${usage.month} of ${usage.monthlyCap} credits used this month. ` +
+        'Raise "Monthly Credit Cap" in Settings.', usage);
+    }
+  };
+
+  /**
+   * Log spent credits to the Usage sheet
+   * @param {Number} credits - Credits spent
+   * @param {String} operation - What was called (e.g. the API endpoint)
+   * @param {Object} details - Optional structured details
+   */
+  self.CreditBudget.prototype.record = function(credits, operation, details) {
+    const now = new Date();
+    const sheet = this.getSheet();
+    sheet.getRange(sheet.getLastRow() + 1, 1, 1, this.headers.length).setValues([[
+      now.toISOString(),
+      this._currentUser(),
+      this.jobId,
+      operation || '',
+      credits,
+      details ? JSON.stringify(details) : ''
+    ]]);
+
+    this.spent += credits;
+
+    // Keep the loaded totals current so the next check needs no re-read
+    if (this._usage) {
+      this._usage.today += credits;
+      this._usage.month += credits;
+    }
+  };
+
+  /**
+   * Credits used today and this month against the caps, with per-user and
+   * per-job totals for the month
+   * @returns {Object} Usage summary
+   */
+  self.CreditBudget.prototype.getUsage = function() {
+    if (this._usage) {
+      return this._usage;
+    }
+
+    const manager = new self.SheetManager(this.spreadsheetId);
+    const timeZone = this.spreadsheet.getSpreadsheetTimeZone() || Session.getScriptTimeZone();
+    const today = Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd');
+    const usage = {
+      today: 0,
+      month: 0,
+      dailyCap: parseInt(manager.getSetting('Daily Credit Cap')) || 0,
+      monthlyCap: parseInt(manager.getSetting('Monthly Credit Cap')) || 0,
+      byUser: {},
+      byJob: {}
+    };
+
+    const sheet = this.spreadsheet.getSheetByName(this.usageSheetName);
+    if (sheet && sheet.getLastRow() > 1) {
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, this.headers.length).getValues().forEach(row => {
+        const day = Utilities.formatDate(new Date(row[0]), timeZone, 'yyyy-MM-dd');
+        const credits = Number(row[4]) || 0;
+        if (day.slice(0, 7) !== today.slice(0, 7)) return;
+
+        usage.month += credits;
+        if (day === today) usage.today += credits;
+
+        const user = row[1] || 'system';
+        usage.byUser[user] = (usage.byUser[user] || 0) + credits;
+        if (row[2]) usage.byJob[row[2]] = (usage.byJob[row[2]] || 0) + credits;
+      });
+    }
+
+    this._usage = usage;
+    return usage;
+  };
+
+  /**
+   * Email of the user spending credits
+   * @returns {String} User email, or "system" for unattended runs
+   */
+  self.CreditBudget.prototype._currentUser = function() {
+    try {
+      return Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail() || 'system';
+    } catch (error) {
+      return 'system';
+    }
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Credits used versus the caps, plus Apollo's own usage report if available
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.getCreditUsage = function(spreadsheetId) {
+    try {
+      const budget = new self.CreditBudget(spreadsheetId);
+      return {
+        success: true,
+        usage: budget.getUsage(),
+        apollo: self.getApolloUsageStats()
+      };
+    } catch (error) {
+      console.error('Error getting credit usage:', error);
+      return { success: false, message: error.message };
+    }
+  };
+
+  /**
+   * Pre-flight check before starting a search or enrichment
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Number} credits - Credits the next step needs
+   * @returns {Object} Result object; code is "budget_exceeded" when over a cap
+   */
+  self.checkCreditBudget = function(spreadsheetId, credits) {
+    try {
+      new self.CreditBudget(spreadsheetId).check(credits || 1);
+      return { success: true };
+    } catch (error) {
+      if (error instanceof self.BudgetExceededError) {
+        return { success: false, code: error.code, message: error.message, retryable: false, usage: error.usage };
+      }
+      throw error;
+    }
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
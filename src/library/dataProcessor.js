@@ -2,6 +2,7 @@
  * LeadLib - Data Processing
  * Usage:
  *   LeadLib.cleanLeads(rawLeads);
+ *   LeadLib.cleanLeadsWithReport(rawLeads);
  *   LeadLib.getLeadStatistics(leads);
  *   LeadLib.exportToCSV(leads);
  *   LeadLib.filterLeads(leads, filters);
@@ -11,9 +12,11 @@ var LeadLib = (function(ns) {
   const self = ns || {};
 
   // Internal DataProcessor class
-  self.DataProcessor = function() {
+  self.DataProcessor = function(options = {}) {
     this.emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    this.nameRegex = /^[a-zA-Z\s\-\.]+$/;
+    this.nameParser = new self.NameParser();
+    this.emailVerifier = new self.EmailVerifier();
+    this.phoneNormalizer = new self.PhoneNormalizer(options.defaultRegion);
   };
 
   /**
@@ -22,50 +25,88 @@ var LeadLib = (function(ns) {
    * @returns {Array} Cleaned and validated leads
    */
   self.DataProcessor.prototype.cleanLeads = function(rawLeads) {
+    return this.cleanLeadsWithReport(rawLeads).leads;
+  };
+
+  /**
+   * Clean and validate leads data, reporting every lead that was dropped
+   * @param {Array} rawLeads - Raw leads from API
+   * @returns {Object} { leads, rejected: [{ index, reason, message, lead }], counts: reason -> count }
+   */
+  self.DataProcessor.prototype.cleanLeadsWithReport = function(rawLeads) {
+    const report = { leads: [], rejected: [], counts: {} };
+
     if (!Array.isArray(rawLeads)) {
       console.warn('Invalid leads data provided');
-      return [];
+      return report;
     }
 
-    const cleanedLeads = [];
     const seenEmails = new Set();
+    // Same name at a different company is a different person
     const seenNames = new Set();
+    const nameKey = lead => `${lead.name}|${lead.company || ''}`.toLowerCase();
+    const reject = (index, lead, reason, message) => {
+      report.rejected.push({ index: index, reason: reason, message: message, lead: lead });
+      report.counts[reason] = (report.counts[reason] || 0) + 1;
+    };
 
     rawLeads.forEach((lead, index) => {
       try {
         // Validate required fields
         if (!lead.email || !this.isValidEmail(lead.email)) {
-          console.warn(`Lead ${index + 1}: Invalid email - ${lead.email}`);
+          reject(index, lead, 'invalid_email', `Invalid email - ${lead.email}`);
           return;
         }
 
         if (!lead.name || !this.isValidName(lead.name)) {
-          console.warn(`Lead ${index + 1}: Invalid name - ${lead.name}`);
+          reject(index, lead, 'invalid_name', `Invalid name - ${lead.name}`);
           return;
         }
 
         // Check for duplicates
         if (seenEmails.has(lead.email.toLowerCase())) {
-          console.warn(`Lead ${index + 1}: Duplicate email - ${lead.email}`);
+          reject(index, lead, 'duplicate_email', `Duplicate email - ${lead.email}`);
           return;
         }
 
-        if (seenNames.has(lead.name.toLowerCase())) {
-          console.warn(`Lead ${index + 1}: Duplicate name - ${lead.name}`);
+        if (seenNames.has(nameKey(lead))) {
+          reject(index, lead, 'duplicate_name', `Duplicate name at same company - ${lead.name}`);
           return;
         }
 
+        // Classify deliverability; flagged leads are kept so they can be
+        // filtered or held back at export instead of silently dropped
+        const verification = this.emailVerifier.verify(lead.email, lead);
+
+        // Unparseable numbers are flagged, keeping the original for review
+        const phone = this.phoneNormalizer.normalize(lead.phone, lead.location);
+
+        // Split the name for personalization, preferring Apollo's own split
+        const parsedName = this.nameParser.parse(lead.name);
+
         // Clean and format data
         const cleanedLead = {
-          id: lead.id || this.generateLeadId(),
+          id: this.generateLeadId(),
+          apolloId: lead.apolloId || '',
+          organizationId: lead.organizationId || '',
           name: this.cleanName(lead.name),
+          honorific: parsedName.honorific,
+          firstName: lead.firstName ? this.cleanName(lead.firstName) : parsedName.firstName,
+          lastName: lead.lastName ? this.cleanName(lead.lastName) : parsedName.lastName,
           title: this.cleanTitle(lead.title),
           company: this.cleanCompany(lead.company),
           industry: this.cleanIndustry(lead.industry),
           employees: this.cleanEmployees(lead.employees),
           foundedYear: this.cleanFoundedYear(lead.foundedYear),
           email: lead.email.toLowerCase().trim(),
-          phone: this.cleanPhone(lead.phone),
+          emailStatus: verification.status,
+          emailSuggestion: verification.suggestion,
+          phone: phone.e164,
+          phoneDisplay: phone.display,
+          phoneType: phone.type,
+          phoneExtension: phone.extension,
+          phoneStatus: phone.status,
+          phoneRaw: phone.raw,
           location: this.cleanLocation(lead.location),
           linkedin: this.cleanLinkedIn(lead.linkedin),
           website: this.cleanWebsite(lead.website),
@@ -75,17 +116,18 @@ var LeadLib = (function(ns) {
           source: 'Apollo.io'
         };
 
-        cleanedLeads.push(cleanedLead);
+        report.leads.push(cleanedLead);
         seenEmails.add(lead.email.toLowerCase());
-        seenNames.add(lead.name.toLowerCase());
+        seenNames.add(nameKey(lead));
 
       } catch (error) {
         console.error(`Error processing lead ${index + 1}:`, error);
+        reject(index, lead, 'processing_error', error.message);
       }
     });
 
-    console.log(`Cleaned ${cleanedLeads.length} leads from ${rawLeads.length} raw leads`);
-    return cleanedLeads;
+    console.log(`Cleaned ${report.leads.length} leads from ${rawLeads.length} raw leads (${report.rejected.length} rejected)`);
+    return report;
   };
 
   /**
@@ -103,7 +145,7 @@ var LeadLib = (function(ns) {
    * @returns {boolean} Is valid name
    */
   self.DataProcessor.prototype.isValidName = function(name) {
-    return this.nameRegex.test(name) && name.length > 1;
+    return this.nameParser.isValid(name);
   };
 
   /**
@@ -112,12 +154,7 @@ var LeadLib = (function(ns) {
    * @returns {string} Cleaned name
    */
   self.DataProcessor.prototype.cleanName = function(name) {
-    if (!name) return '';
-    
-    return name.trim()
-      .split(' ')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join(' ');
+    return this.nameParser.clean(name);
   };
 
   /**
@@ -216,18 +253,6 @@ var LeadLib = (function(ns) {
     return num;
   };
 
-  /**
-   * Clean and format phone number
-   * @param {string} phone - Phone number to clean
-   * @returns {string} Cleaned phone number
-   */
-  self.DataProcessor.prototype.cleanPhone = function(phone) {
-    if (!phone) return '';
-    
-    // Remove all non-digit characters except + and -
-    return phone.replace(/[^\d\+\-]/g, '');
-  };
-
   /**
    * Clean and format location
    * @param {string} location - Location to clean
@@ -283,7 +308,7 @@ var LeadLib = (function(ns) {
     
     return description.trim()
       .replace(/\s+/g, ' ')
-      .substring(0, 500); // Limit to 500 characters
+      .substring(0, 50000); // Google Sheets cell limit
   };
 
   /**
@@ -365,7 +390,7 @@ var LeadLib = (function(ns) {
     // CSV headers
     const headers = [
       'ID', 'Name', 'Title', 'Company', 'Industry', 'Employees', 'Founded Year',
-      'Email', 'Phone', 'Location', 'LinkedIn', 'Website', 'Description',
+      'Email', 'Email Status', 'Phone', 'Phone Extension', 'Phone Type', 'Location', 'LinkedIn', 'Website', 'Description',
       'Contacted', 'Last Updated', 'Source'
     ];
 
@@ -382,7 +407,10 @@ var LeadLib = (function(ns) {
         lead.employees || 0,
         lead.foundedYear || '',
         lead.email || '',
+        lead.emailStatus || '',
         lead.phone || '',
+        lead.phoneExtension || '',
+        lead.phoneType || '',
         `"${(lead.location || '').replace(/"/g, '""')}"`,
         lead.linkedin || '',
         lead.website || '',
@@ -441,6 +469,14 @@ var LeadLib = (function(ns) {
         return false;
       }
 
+      // Email status filter (one status or a list)
+      if (filters.emailStatus) {
+        const statuses = Array.isArray(filters.emailStatus) ? filters.emailStatus : [filters.emailStatus];
+        if (statuses.indexOf(lead.emailStatus) === -1) {
+          return false;
+        }
+      }
+
       // Search term filter
       if (filters.searchTerm) {
         const searchTerm = filters.searchTerm.toLowerCase();
@@ -462,13 +498,25 @@ var LeadLib = (function(ns) {
   /**
    * Clean leads with default processor
    * @param {Array} rawLeads - Raw leads to clean
+   * @param {Object} options - { defaultRegion } for phone parsing
    * @returns {Array} Cleaned leads
    */
-  self.cleanLeads = function(rawLeads) {
-    const processor = new self.DataProcessor();
+  self.cleanLeads = function(rawLeads, options) {
+    const processor = new self.DataProcessor(options);
     return processor.cleanLeads(rawLeads);
   };
 
+  /**
+   * Clean leads and report the ones that were dropped
+   * @param {Array} rawLeads - Raw leads to clean
+   * @param {Object} options - { defaultRegion } for phone parsing
+   * @returns {Object} { leads, rejected, counts }
+   */
+  self.cleanLeadsWithReport = function(rawLeads, options) {
+    const processor = new self.DataProcessor(options);
+    return processor.cleanLeadsWithReport(rawLeads);
+  };
+
   /**
    * Get lead statistics
    * @param {Array} leads - Leads to analyze
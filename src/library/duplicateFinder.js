@@ -0,0 +1,476 @@
+/**
+ * LeadLib - Duplicate Detection
+ * Usage:
+ *   LeadLib.findDuplicates(spreadsheetId, options);
+ *   LeadLib.mergeDuplicateLeads(spreadsheetId, primaryId, duplicateIds);
+ *
+ * Scans the whole Leads sheet for leads that describe the same person:
+ * identical Apollo ID, email or LinkedIn URL, or a similar name at the same
+ * company (by normalized name or domain). Pairs scoring above the threshold
+ * are grouped into clusters for review and merging.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Internal DuplicateFinder class
+  self.DuplicateFinder = function(spreadsheetId) {
+    this.spreadsheetId = spreadsheetId;
+    this.manager = new self.SheetManager(spreadsheetId);
+    this.duplicatesSheetName = 'Duplicates';
+    this.threshold = 0.8;
+    this.nameThreshold = 0.9;
+    this.maxBlockSize = 200; // Skip oversized blocks (e.g. a shared generic domain)
+    this.freeProviders = new self.EmailVerifier().freeProviders;
+  };
+
+  /**
+   * Find clusters of likely duplicates
+   * @param {Object} options - { threshold } minimum pair score (0-1)
+   * @returns {Array} Clusters { leadIds, score, suggestedPrimaryId, pairs, leads }
+   */
+  self.DuplicateFinder.prototype.findClusters = function(options = {}) {
+    const threshold = options.threshold !== undefined ? Number(options.threshold) : this.threshold;
+    const leads = this.manager.getLeads({ sortBy: 'timestamp', sortOrder: 'asc' });
+    const keys = leads.map(lead => this._keys(lead));
+
+    // Only compare leads that share at least one blocking key
+    const blocks = {};
+    keys.forEach((leadKeys, i) => {
+      leadKeys.blocking.forEach(key => {
+        (blocks[key] = blocks[key] || []).push(i);
+      });
+    });
+
+    const pairs = {};
+    Object.keys(blocks).forEach(key => {
+      const members = blocks[key];
+      if (members.length < 2 || members.length > this.maxBlockSize) return;
+
+      for (let a = 0; a < members.length; a++) {
+        for (let b = a + 1; b < members.length; b++) {
+          const pairKey = members[a] + ':' + members[b];
+          if (pairs[pairKey]) continue;
+
+          const match = this._scorePair(keys[members[a]], keys[members[b]]);
+          if (match.score >= threshold) {
+            pairs[pairKey] = { a: members[a], b: members[b], score: match.score, reasons: match.reasons };
+          }
+        }
+      }
+    });
+
+    return this._cluster(leads, Object.keys(pairs).map(key => pairs[key]));
+  };
+
+  /**
+   * Write clusters to the Duplicates sheet for review
+   * @param {Array} clusters - Clusters from findClusters
+   * @returns {Sheet} Duplicates sheet
+   */
+  self.DuplicateFinder.prototype.writeReport = function(clusters) {
+    const spreadsheet = this.manager.spreadsheet;
+    let sheet = spreadsheet.getSheetByName(this.duplicatesSheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(this.duplicatesSheetName);
+    }
+    sheet.clear();
+
+    const headers = ['Cluster', 'Score', 'Suggested Primary', 'Lead ID', 'Lead Name', 'Company Name', 'Email', 'Stage', 'Reasons'];
+    const rows = [headers];
+    clusters.forEach((cluster, i) => {
+      const reasons = cluster.pairs.map(pair => pair.reasons.join(', ')).filter((r, j, all) => all.indexOf(r) === j).join('; ');
+      cluster.leads.forEach(lead => {
+        rows.push([
+          i + 1,
+          cluster.score,
+          lead.id === cluster.suggestedPrimaryId ? 'TRUE' : '',
+          lead.id,
+          lead.name,
+          lead.company,
+          lead.email,
+          lead.stage,
+          reasons
+        ]);
+      });
+    });
+
+    sheet.getRange(1, 1, rows.length, headers.length).setValues(rows);
+
+    // Format header row
+    const headerRange = sheet.getRange(1, 1, 1, headers.length);
+    headerRange.setBackground('#9c27b0');
+    headerRange.setFontColor('white');
+    headerRange.setFontWeight('bold');
+    headerRange.setHorizontalAlignment('center');
+    sheet.setFrozenRows(1);
+
+    return sheet;
+  };
+
+  /**
+   * Merge duplicate leads into a primary lead. Empty fields are filled from
+   * the duplicates, the richest value wins for free text, stage histories
+   * are combined and the duplicates' activity moves to the primary.
+   * @param {String} primaryId - Lead ID to keep
+   * @param {Array} duplicateIds - Lead IDs to merge in and delete
+   * @returns {Object} Result object
+   */
+  self.DuplicateFinder.prototype.merge = function(primaryId, duplicateIds) {
+    const ids = (duplicateIds || []).filter(id => id && id !== primaryId);
+    if (ids.length === 0) {
+      return { success: false, message: 'No duplicate lead IDs to merge' };
+    }
+
+    const primary = this.manager.getLeadById(primaryId);
+    if (!primary) {
+      return { success: false, message: 'Primary lead not found: ' + primaryId };
+    }
+
+    const duplicates = ids.map(id => this.manager.getLeadById(id));
+    const missing = ids.filter((id, i) => !duplicates[i]);
+    if (missing.length > 0) {
+      return { success: false, message: 'Leads not found: ' + missing.join(', ') };
+    }
+
+    const merged = this._mergeFields(primary, duplicates);
+    if (!this.manager.saveLead(merged)) {
+      return { success: false, message: 'Failed to save merged lead' };
+    }
+
+    // Keep the duplicates' timelines before their rows go away
+    const log = new self.ActivityLog(this.spreadsheetId);
+    log.reassign(ids, primaryId);
+    ids.forEach(id => this.manager.deleteLeadById(id));
+    log.record(primaryId, 'edit', `Merged ${ids.length} duplicate lead(s)`, { mergedIds: ids });
+
+    return {
+      success: true,
+      lead: this.manager.getLeadById(primaryId),
+      merged: ids.length,
+      message: `Merged ${ids.length} duplicate lead(s) into ${merged.name}`
+    };
+  };
+
+  /**
+   * Combine a primary lead with its duplicates
+   * @param {Object} primary - Lead to keep
+   * @param {Array} duplicates - Leads merged into it
+   * @returns {Object} Merged lead
+   */
+  self.DuplicateFinder.prototype._mergeFields = function(primary, duplicates) {
+    const all = [primary].concat(duplicates);
+    const merged = Object.assign({}, primary);
+    const isEmpty = value => value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+
+    // Fields that only make sense together come from the same lead
+    const groups = [
+      ['email', 'emailStatus', 'emailSuggestion'],
+      ['phone', 'phoneDisplay', 'phoneType', 'phoneExtension', 'phoneStatus', 'phoneRaw'],
+      ['name', 'honorific', 'firstName', 'lastName']
+    ];
+    groups.forEach(fields => {
+      const source = all.find(lead => !isEmpty(lead[fields[0]])) || primary;
+      fields.forEach(field => {
+        merged[field] = source[field];
+      });
+    });
+
+    const skip = ['id', 'timestamp', 'stage', 'stageUpdatedAt', 'stageHistory'];
+    Object.keys(primary).forEach(field => {
+      if (skip.indexOf(field) !== -1 || groups.some(fields => fields.indexOf(field) !== -1)) return;
+      if (isEmpty(merged[field])) {
+        const source = duplicates.find(lead => !isEmpty(lead[field]));
+        if (source) merged[field] = source[field];
+      }
+    });
+
+    // Richest values: longest description, largest headcount
+    merged.description = all.map(lead => String(lead.description || ''))
+      .reduce((best, text) => text.length > best.length ? text : best, '');
+    merged.employees = Math.max.apply(null, all.map(lead => Number(lead.employees) || 0));
+
+    // Pipeline: the most recently moved lead decides the stage, and every
+    // transition is kept in order. Stage Updated cells come back as Dates
+    // or strings, so compare them as times
+    const movedAt = lead => this.manager._time(lead.stageUpdatedAt) || 0;
+    const latest = all
+      .filter(lead => movedAt(lead))
+      .sort((a, b) => movedAt(b) - movedAt(a))[0] || primary;
+    merged.stage = latest.stage;
+    merged.stageUpdatedAt = latest.stageUpdatedAt;
+
+    // Once any of the leads was contacted the merged lead was too; Contacted
+    // is written from the stage, so a New stage moves to the latest contacted one
+    const pipeline = this.manager.getPipeline();
+    const contacted = all.filter(lead => pipeline.isContactedFlag(lead.contacted) || pipeline.isContacted(pipeline.stageOf(lead)));
+    merged.contacted = contacted.length > 0;
+    if (merged.contacted && !pipeline.isContacted(pipeline.stageOf(merged))) {
+      const source = contacted
+        .slice()
+        .sort((a, b) => movedAt(b) - movedAt(a))[0];
+      const stage = pipeline.stageOf(source);
+      merged.stage = pipeline.isContacted(stage) ? stage : pipeline.contactedStage();
+      merged.stageUpdatedAt = source.stageUpdatedAt || merged.stageUpdatedAt;
+    }
+
+    const seen = {};
+    merged.stageHistory = all
+      .reduce((history, lead) => history.concat(lead.stageHistory || []), [])
+      .filter(entry => {
+        const key = entry.at + '|' + entry.from + '|' + entry.stage;
+        if (seen[key]) return false;
+        seen[key] = true;
+        return true;
+      })
+      .sort((a, b) => (this.manager._time(a.at) || 0) - (this.manager._time(b.at) || 0));
+
+    // Rescore with the combined fields
+    merged.score = '';
+    return merged;
+  };
+
+  /**
+   * Compare two leads
+   * @param {Object} a - Keys of the first lead
+   * @param {Object} b - Keys of the second lead
+   * @returns {Object} { score (0-1), reasons }
+   */
+  self.DuplicateFinder.prototype._scorePair = function(a, b) {
+    const signals = [];
+
+    if (a.apolloId && a.apolloId === b.apolloId) signals.push([1, 'same Apollo ID']);
+    if (a.email && a.email === b.email) signals.push([0.95, 'same email']);
+    if (a.linkedin && a.linkedin === b.linkedin) signals.push([0.95, 'same LinkedIn']);
+
+    const sameCompany = a.company && a.company === b.company;
+    const sameDomain = a.domain && a.domain === b.domain;
+    if (a.name && b.name && (sameCompany || sameDomain)) {
+      const similarity = this._jaroWinkler(a.name, b.name);
+      if (similarity >= this.nameThreshold) {
+        signals.push([
+          Math.round(similarity * 0.9 * 100) / 100,
+          `${similarity === 1 ? 'same' : 'similar'} name at same ${sameCompany ? 'company' : 'domain'}`
+        ]);
+      }
+    }
+
+    return {
+      score: signals.reduce((best, signal) => Math.max(best, signal[0]), 0),
+      reasons: signals.map(signal => signal[1])
+    };
+  };
+
+  /**
+   * Group matching pairs into clusters (connected components)
+   * @param {Array} leads - All leads
+   * @param {Array} pairs - Matching pairs { a, b, score, reasons }
+   * @returns {Array} Clusters, highest score first
+   */
+  self.DuplicateFinder.prototype._cluster = function(leads, pairs) {
+    const parent = leads.map((lead, i) => i);
+    const find = i => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    pairs.forEach(pair => {
+      parent[find(pair.a)] = find(pair.b);
+    });
+
+    const groups = {};
+    pairs.forEach(pair => {
+      const root = find(pair.a);
+      (groups[root] = groups[root] || []).push(pair);
+    });
+
+    return Object.keys(groups).map(root => {
+      const clusterPairs = groups[root];
+      const members = [];
+      clusterPairs.forEach(pair => {
+        [pair.a, pair.b].forEach(i => {
+          if (members.indexOf(i) === -1) members.push(i);
+        });
+      });
+
+      const clusterLeads = members.map(i => leads[i]);
+      return {
+        leadIds: clusterLeads.map(lead => lead.id),
+        score: clusterPairs.reduce((best, pair) => Math.max(best, pair.score), 0),
+        suggestedPrimaryId: this._richest(clusterLeads).id,
+        pairs: clusterPairs.map(pair => ({
+          leadIds: [leads[pair.a].id, leads[pair.b].id],
+          score: pair.score,
+          reasons: pair.reasons
+        })),
+        leads: clusterLeads.map(lead => ({
+          id: lead.id,
+          name: lead.name,
+          company: lead.company,
+          email: lead.email,
+          stage: lead.stage
+        }))
+      };
+    }).sort((a, b) => b.score - a.score);
+  };
+
+  /**
+   * Pick the lead with the most filled-in fields (furthest stage breaks ties)
+   * @param {Array} leads - Leads in a cluster
+   * @returns {Object} Richest lead
+   */
+  self.DuplicateFinder.prototype._richest = function(leads) {
+    const stages = this.manager.getPipeline().stages;
+    const filled = lead => Object.keys(lead).filter(key => lead[key] !== '' && lead[key] !== null &&
+      !(Array.isArray(lead[key]) && lead[key].length === 0)).length;
+
+    return leads.slice().sort((a, b) =>
+      (filled(b) - filled(a)) || (stages.indexOf(b.stage) - stages.indexOf(a.stage))
+    )[0];
+  };
+
+  /**
+   * Build normalized comparison and blocking keys for a lead
+   * @param {Object} lead - Lead object
+   * @returns {Object} Keys
+   */
+  self.DuplicateFinder.prototype._keys = function(lead) {
+    const normalize = value => String(value || '')
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+
+    const email = String(lead.email || '').toLowerCase().trim();
+    const emailDomain = email.split('@')[1] || '';
+    const websiteDomain = String(lead.website || '').toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/\/.*$/, '');
+
+    // Only profile URLs identify a person; company pages are shared
+    const linkedin = String(lead.linkedin || '').toLowerCase()
+      .replace(/[?#].*$/, '')
+      .replace(/\/+$/, '');
+    const profile = linkedin.indexOf('linkedin.com/in/');
+
+    const keys = {
+      apolloId: String(lead.apolloId || ''),
+      email: email,
+      linkedin: profile !== -1 ? linkedin.slice(profile) : '',
+      name: normalize(lead.name),
+      company: normalize(lead.company)
+        .replace(/\b(inc|llc|ltd|limited|corp|corporation|co|company|gmbh|plc)\b/g, '')
+        .replace(/\s+/g, ' ')
+        .trim(),
+      domain: websiteDomain ||
+        (emailDomain && this.freeProviders.indexOf(emailDomain) === -1 ? emailDomain : '')
+    };
+
+    keys.blocking = [
+      keys.apolloId && 'apollo:' + keys.apolloId,
+      keys.email && 'email:' + keys.email,
+      keys.linkedin && 'linkedin:' + keys.linkedin,
+      keys.company && 'company:' + keys.company,
+      keys.domain && 'domain:' + keys.domain
+    ].filter(key => key);
+
+    return keys;
+  };
+
+  /**
+   * Jaro-Winkler similarity
+   * @param {String} a - First string
+   * @param {String} b - Second string
+   * @returns {Number} Similarity between 0 and 1
+   */
+  self.DuplicateFinder.prototype._jaroWinkler = function(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatches = new Array(a.length).fill(false);
+    const bMatches = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      const start = Math.max(0, i - window);
+      const end = Math.min(i + window + 1, b.length);
+      for (let j = start; j < end; j++) {
+        if (!bMatches[j] && a[i] === b[j]) {
+          aMatches[i] = true;
+          bMatches[j] = true;
+          matches++;
+          break;
+        }
+      }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (!aMatches[i]) continue;
+      while (!bMatches[k]) k++;
+      if (a[i] !== b[k]) transpositions++;
+      k++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+    return jaro + prefix * 0.1 * (1 - jaro);
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Find duplicate clusters and write them to the Duplicates sheet
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} options - { threshold }
+   * @returns {Object} Result object
+   */
+  self.findDuplicates = function(spreadsheetId, options) {
+    try {
+      const finder = new self.DuplicateFinder(spreadsheetId);
+      const clusters = finder.findClusters(options || {});
+      finder.writeReport(clusters);
+
+      const leads = clusters.reduce((total, cluster) => total + cluster.leadIds.length, 0);
+      return {
+        success: true,
+        clusters: clusters,
+        message: `Found ${clusters.length} duplicate clusters covering ${leads} leads`
+      };
+    } catch (error) {
+      console.error('Error finding duplicates:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Merge duplicate leads into a primary lead
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} primaryId - Lead ID to keep
+   * @param {Array} duplicateIds - Lead IDs to merge in
+   * @returns {Object} Result object
+   */
+  self.mergeDuplicateLeads = function(spreadsheetId, primaryId, duplicateIds) {
+    try {
+      const finder = new self.DuplicateFinder(spreadsheetId);
+      return finder.merge(primaryId, duplicateIds);
+    } catch (error) {
+      console.error('Error merging leads:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
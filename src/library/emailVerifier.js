@@ -0,0 +1,193 @@
+/**
+ * LeadLib - Email Verification
+ * Usage:
+ *   LeadLib.verifyEmail(email, lead);
+ *
+ * Classifies addresses without sending mail: each lead gets one status out
+ * of valid, risky, role, disposable, free or typo. Apollo's own
+ * email_status is used when the address itself looks fine.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Internal EmailVerifier class
+  self.EmailVerifier = function() {
+    this.statuses = ['valid', 'risky', 'role', 'disposable', 'free', 'typo'];
+
+    // Shared inboxes that rarely reach a decision maker
+    this.roleAccounts = [
+      'accounts', 'admin', 'billing', 'careers', 'contact', 'enquiries', 'help',
+      'hello', 'hr', 'info', 'inquiries', 'jobs', 'marketing', 'no-reply',
+      'noreply', 'office', 'orders', 'press', 'sales', 'service', 'support',
+      'team', 'webmaster'
+    ];
+
+    this.freeProviders = [
+      'aol.com', 'gmail.com', 'gmx.com', 'googlemail.com', 'hotmail.com',
+      'icloud.com', 'live.com', 'mail.com', 'me.com', 'msn.com', 'outlook.com',
+      'proton.me', 'protonmail.com', 'yahoo.com', 'yandex.com', 'zoho.com'
+    ];
+
+    this.disposableDomains = [
+      '10minutemail.com', 'dispostable.com', 'fakeinbox.com', 'getnada.com',
+      'guerrillamail.com', 'mailinator.com', 'maildrop.cc', 'mintemail.com',
+      'sharklasers.com', 'temp-mail.org', 'tempmail.com', 'throwawaymail.com',
+      'trashmail.com', 'yopmail.com'
+    ];
+
+    // Top-level domain slips that are never intended
+    this.tldTypos = {
+      'con': 'com', 'cmo': 'com', 'ocm': 'com', 'comm': 'com', 'vom': 'com', 'xom': 'com',
+      'nte': 'net', 'nett': 'net', 'ogr': 'org', 'orgg': 'org'
+    };
+
+    // Apollo email_status -> our status when the address itself looks fine
+    this.apolloStatuses = {
+      'verified': 'valid',
+      'likely_to_engage': 'valid',
+      'guessed': 'risky',
+      'extrapolated': 'risky',
+      'unavailable': 'risky',
+      'bounced': 'risky',
+      'pending_manual_fulfillment': 'risky'
+    };
+  };
+
+  /**
+   * Classify an email address
+   * @param {String} email - Email address (already syntax-checked)
+   * @param {Object} lead - Optional lead, for Apollo's email_status and the company website
+   * @returns {Object} { status, suggestion, reason }
+   */
+  self.EmailVerifier.prototype.verify = function(email, lead = {}) {
+    const address = String(email || '').toLowerCase().trim();
+    const at = address.lastIndexOf('@');
+    const local = address.slice(0, at);
+    const domain = address.slice(at + 1);
+
+    const suggestion = this._suggestDomain(domain, lead.website);
+    if (suggestion) {
+      return {
+        status: 'typo',
+        suggestion: local + '@' + suggestion,
+        reason: `Domain "${domain}" looks like a misspelling of "${suggestion}"`
+      };
+    }
+
+    if (this.disposableDomains.indexOf(domain) !== -1) {
+      return { status: 'disposable', suggestion: '', reason: 'Disposable email provider' };
+    }
+
+    if (this.roleAccounts.indexOf(local.split('+')[0]) !== -1) {
+      return { status: 'role', suggestion: '', reason: `Role-based address "${local}"` };
+    }
+
+    if (this.freeProviders.indexOf(domain) !== -1) {
+      return { status: 'free', suggestion: '', reason: 'Free email provider' };
+    }
+
+    const apolloStatus = String(lead.emailStatus || '').toLowerCase();
+    if (apolloStatus && this.apolloStatuses[apolloStatus]) {
+      return {
+        status: this.apolloStatuses[apolloStatus],
+        suggestion: '',
+        reason: 'Apollo email status: ' + apolloStatus
+      };
+    }
+
+    // Unknown to Apollo and nothing suspicious about the address
+    return {
+      status: apolloStatus ? 'risky' : 'valid',
+      suggestion: '',
+      reason: apolloStatus ? 'Unrecognized Apollo email status: ' + apolloStatus : ''
+    };
+  };
+
+  /**
+   * Suggest a corrected domain for a likely typo
+   * @param {String} domain - Email domain
+   * @param {String} website - Company website, whose domain is a candidate
+   * @returns {String} Suggested domain, or '' when the domain looks intended
+   */
+  self.EmailVerifier.prototype._suggestDomain = function(domain, website) {
+    const parts = domain.split('.');
+    const tld = parts[parts.length - 1];
+    if (parts.length > 1 && this.tldTypos[tld]) {
+      const fixed = parts.slice(0, -1).concat(this.tldTypos[tld]).join('.');
+      return this._suggestDomain(fixed, website) || fixed;
+    }
+
+    const candidates = this.freeProviders.slice();
+    const companyDomain = String(website || '').toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/\/.*$/, '');
+    if (companyDomain) {
+      candidates.push(companyDomain);
+    }
+
+    if (candidates.indexOf(domain) !== -1 || this.disposableDomains.indexOf(domain) !== -1) {
+      return '';
+    }
+
+    // One edit away (two for longer domains) from a well-known domain. Short
+    // candidates are skipped: "ge.com" is a real company, not a typo of "me.com".
+    const maxDistance = domain.length > 10 ? 2 : 1;
+    let best = '';
+    let bestDistance = maxDistance + 1;
+    candidates.filter(candidate => candidate.length >= 9).forEach(candidate => {
+      const distance = this._editDistance(domain, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  };
+
+  /**
+   * Edit distance counting adjacent transpositions as one edit
+   * @param {String} a - First string
+   * @param {String} b - Second string
+   * @returns {Number} Distance
+   */
+  self.EmailVerifier.prototype._editDistance = function(a, b) {
+    if (Math.abs(a.length - b.length) > 2) return Infinity;
+
+    const d = [];
+    for (let i = 0; i <= a.length; i++) {
+      d[i] = [i];
+    }
+    for (let j = 0; j <= b.length; j++) {
+      d[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return d[a.length][b.length];
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Classify an email address
+   * @param {String} email - Email address
+   * @param {Object} lead - Optional lead context
+   * @returns {Object} { status, suggestion, reason }
+   */
+  self.verifyEmail = function(email, lead) {
+    const verifier = new self.EmailVerifier();
+    return verifier.verify(email, lead);
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
@@ -0,0 +1,716 @@
+/**
+ * LeadLib - Resumable Fetch Jobs
+ * Usage:
+ *   LeadLib.startFetchJob(spreadsheetId, filters);
+ *   LeadLib.getFetchJobStatus(jobId);
+ *   LeadLib.resumeFetchJobs();
+ *
+ * Fetch jobs walk Apollo search pages until the requested number of leads
+ * is reached; enrichment jobs (type "enrichment", see leadEnricher.js) work
+ * through stale or selected leads until done or out of credits, and refresh
+ * jobs (type "refresh", see leadRefresher.js) re-match existing leads the
+ * same way. The cursor lives in script properties so a job can pick up
+ * where it left off after Apps Script's 6-minute execution limit; the host
+ * script must define a top-level `continueFetchJobs` function that calls
+ * LeadLib.resumeFetchJobs() for the continuation triggers to fire. A slice
+ * runs only while it holds the job's lease (leaseOwner/leaseExpiresAt), so
+ * a first slice and a continuation trigger never run the same job at once.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Internal FetchJobManager class
+  self.FetchJobManager = function() {
+    this.properties = PropertiesService.getScriptProperties();
+    this.jobPrefix = 'fetch_job_';
+    this.triggerHandler = 'continueFetchJobs';
+    this.maxPageSize = 100;
+    this.maxRuntime = 4.5 * 60 * 1000; // Leave headroom under the 6-minute limit
+    this.jobRetention = 7 * 24 * 60 * 60 * 1000; // Keep finished jobs for 7 days
+    this.maxSelectedLeads = 100; // Lead IDs are stored in the job, which must fit in one property
+    this.maxErrorRetries = 3; // Slices a job may lose to retryable errors before it fails
+    this.leaseMargin = 90 * 1000; // Time a slice may overrun its runtime (one slow page) before its lease lapses
+  };
+
+  /**
+   * Create and persist a new fetch job
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} filters - Filter criteria
+   * @returns {Object} Job object
+   */
+  self.FetchJobManager.prototype.createJob = function(spreadsheetId, filters) {
+    const searchFilters = Object.assign({}, filters || {});
+    const totalRequested = Math.max(1, parseInt(searchFilters.totalLeads || searchFilters.perPage) || 25);
+    const perPage = Math.min(totalRequested, this.maxPageSize);
+
+    delete searchFilters.totalLeads;
+    delete searchFilters.page;
+    searchFilters.perPage = perPage;
+
+    const now = new Date().toISOString();
+    const job = {
+      id: 'job_' + Utilities.getUuid(),
+      spreadsheetId: spreadsheetId,
+      filters: searchFilters,
+      totalRequested: totalRequested,
+      perPage: perPage,
+      lastPage: 0,
+      totalPages: 0,
+      leadsFetched: 0,
+      leadsWritten: 0,
+      creditsUsed: 0,
+      rejected: 0,
+      rejectedByReason: {},
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      status: 'queued',
+      error: '',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.pruneJobs();
+    this.saveJob(job);
+    return job;
+  };
+
+  /**
+   * Create and persist a new enrichment job
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} options - { leadIds, creditBudget, maxLeads }; without
+   *   leadIds every lead past "Enrichment Stale Days" is enriched
+   * @returns {Object} Job object
+   */
+  self.FetchJobManager.prototype.createEnrichmentJob = function(spreadsheetId, options = {}) {
+    const leadIds = (options.leadIds || []).filter(id => id);
+    if (leadIds.length > this.maxSelectedLeads) {
+      throw new Error(`Select at most ${this.maxSelectedLeads} leads per enrichment job`);
+    }
+
+    const now = new Date().toISOString();
+    const enricher = new self.LeadEnricher(spreadsheetId);
+    // Selected leads are enriched once even if fresh; otherwise only stale ones
+    const staleBefore = leadIds.length > 0 ? now : enricher.staleCutoff();
+    const pending = enricher.selectLeads({ leadIds: leadIds, staleBefore: staleBefore }).length;
+    const maxLeads = parseInt(options.maxLeads) || pending;
+    const creditBudget = parseInt(options.creditBudget) ||
+      parseInt(enricher.manager.getSetting('Enrichment Credit Budget')) || 100;
+
+    const job = {
+      id: 'job_' + Utilities.getUuid(),
+      type: 'enrichment',
+      spreadsheetId: spreadsheetId,
+      leadIds: leadIds,
+      staleBefore: staleBefore,
+      totalRequested: Math.min(pending, maxLeads),
+      leadsProcessed: 0,
+      enriched: 0,
+      notFound: 0,
+      creditBudget: creditBudget,
+      creditsUsed: 0,
+      stoppedReason: '',
+      status: 'queued',
+      error: '',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.pruneJobs();
+    this.saveJob(job);
+    return job;
+  };
+
+  /**
+   * Create and persist a new refresh job, and start a fresh Refresh Report
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} options - { leadIds, creditBudget, maxLeads }; without
+   *   leadIds every lead with an Apollo ID or email is refreshed
+   * @returns {Object} Job object
+   */
+  self.FetchJobManager.prototype.createRefreshJob = function(spreadsheetId, options = {}) {
+    const leadIds = (options.leadIds || []).filter(id => id);
+    if (leadIds.length > this.maxSelectedLeads) {
+      throw new Error(`Select at most ${this.maxSelectedLeads} leads per refresh job`);
+    }
+
+    const now = new Date().toISOString();
+    const id = 'job_' + Utilities.getUuid();
+    const refresher = new self.LeadRefresher(spreadsheetId, id);
+    refresher.manager.ensureLeadColumns();
+    const pending = refresher.selectLeads({ leadIds: leadIds, refreshedBefore: now }).length;
+    const maxLeads = parseInt(options.maxLeads) || pending;
+    const creditBudget = parseInt(options.creditBudget) ||
+      parseInt(refresher.manager.getSetting('Enrichment Credit Budget')) || 100;
+
+    const job = {
+      id: id,
+      type: 'refresh',
+      spreadsheetId: spreadsheetId,
+      leadIds: leadIds,
+      refreshedBefore: now,
+      totalRequested: Math.min(pending, maxLeads),
+      leadsProcessed: 0,
+      updated: 0,
+      unchanged: 0,
+      titleChanged: 0,
+      companyChanged: 0,
+      notFound: 0,
+      fieldChanges: {},
+      keptEdits: 0,
+      creditBudget: creditBudget,
+      creditsUsed: 0,
+      stoppedReason: '',
+      status: 'queued',
+      error: '',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    refresher.resetReport();
+    this.pruneJobs();
+    this.saveJob(job);
+    return job;
+  };
+
+  /**
+   * Persist a job
+   * @param {Object} job - Job object
+   */
+  self.FetchJobManager.prototype.saveJob = function(job) {
+    job.updatedAt = new Date().toISOString();
+    this.properties.setProperty(this.jobPrefix + job.id, JSON.stringify(job));
+  };
+
+  /**
+   * Load a job by ID
+   * @param {String} jobId - Job ID
+   * @returns {Object|null} Job object
+   */
+  self.FetchJobManager.prototype.getJob = function(jobId) {
+    const stored = this.properties.getProperty(this.jobPrefix + jobId);
+    return stored ? JSON.parse(stored) : null;
+  };
+
+  /**
+   * List all stored jobs
+   * @returns {Array} Job objects
+   */
+  self.FetchJobManager.prototype.listJobs = function() {
+    const all = this.properties.getProperties();
+    return Object.keys(all)
+      .filter(key => key.indexOf(this.jobPrefix) === 0)
+      .map(key => JSON.parse(all[key]));
+  };
+
+  /**
+   * Remove finished jobs older than the retention window
+   */
+  self.FetchJobManager.prototype.pruneJobs = function() {
+    const cutoff = new Date().getTime() - this.jobRetention;
+    this.listJobs().forEach(job => {
+      if (this._isFinished(job) && new Date(job.updatedAt).getTime() < cutoff) {
+        this.properties.deleteProperty(this.jobPrefix + job.id);
+      }
+    });
+  };
+
+  /**
+   * Run one slice of a job, if no other execution holds its lease
+   * @param {String} jobId - Job ID
+   * @param {Object} options - { startTime, maxRuntime }
+   * @returns {Object} Updated job object (unchanged when another execution runs it)
+   */
+  self.FetchJobManager.prototype.runJob = function(jobId, options = {}) {
+    const runOptions = Object.assign({}, options, { startTime: options.startTime || new Date().getTime() });
+    const claim = this._claimJob(jobId, runOptions);
+    if (!claim.claimed) {
+      return claim.job;
+    }
+
+    const job = claim.job;
+    try {
+      if (job.type === 'enrichment') {
+        return this._runEnrichmentJob(job, runOptions);
+      }
+      if (job.type === 'refresh') {
+        return this._runRefreshJob(job, runOptions);
+      }
+      return this._runFetchJob(job, runOptions);
+    } finally {
+      this._releaseJob(job);
+    }
+  };
+
+  /**
+   * Take a job's lease for one slice. The check and the write happen under
+   * the script lock, so two executions can't both claim the same job.
+   * @param {String} jobId - Job ID
+   * @param {Object} options - { startTime, maxRuntime }
+   * @returns {Object} { claimed, job }
+   */
+  self.FetchJobManager.prototype._claimJob = function(jobId, options) {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(10000)) {
+      // Leave it for the continuation trigger rather than run unclaimed
+      const waiting = this.getJob(jobId);
+      if (!waiting) {
+        throw new Error('Fetch job not found: ' + jobId);
+      }
+      this.scheduleContinuation();
+      return { claimed: false, job: waiting };
+    }
+
+    try {
+      const job = this.getJob(jobId);
+      if (!job) {
+        throw new Error('Fetch job not found: ' + jobId);
+      }
+      if (!this._isClaimable(job, new Date().getTime())) {
+        return { claimed: false, job: job };
+      }
+
+      job.status = 'running';
+      job.leaseOwner = Utilities.getUuid();
+      job.leaseExpiresAt = new Date(options.startTime + (options.maxRuntime || this.maxRuntime) + this.leaseMargin).toISOString();
+      this.saveJob(job);
+      return { claimed: true, job: job };
+    } finally {
+      lock.releaseLock();
+    }
+  };
+
+  /**
+   * Give up a job's lease at the end of a slice
+   * @param {Object} job - Job object, as the slice left it
+   */
+  self.FetchJobManager.prototype._releaseJob = function(job) {
+    delete job.leaseOwner;
+    delete job.leaseExpiresAt;
+    this.saveJob(job);
+  };
+
+  /**
+   * Check whether a job may be claimed: unfinished and not held by a live lease
+   * @param {Object} job - Job object
+   * @param {Number} now - Current time in milliseconds
+   * @returns {Boolean} Claimable status
+   */
+  self.FetchJobManager.prototype._isClaimable = function(job, now) {
+    if (this._isFinished(job)) {
+      return false;
+    }
+    // An expired lease means the execution holding it died mid-slice
+    return !job.leaseExpiresAt || new Date(job.leaseExpiresAt).getTime() <= now;
+  };
+
+  /**
+   * Walk a fetch job's search pages until it completes or runs out of time
+   * @param {Object} job - Fetch job
+   * @param {Object} options - { startTime, maxRuntime }
+   * @returns {Object} Updated job object
+   */
+  self.FetchJobManager.prototype._runFetchJob = function(job, options) {
+    const startTime = options.startTime || new Date().getTime();
+    const maxRuntime = options.maxRuntime || this.maxRuntime;
+    const api = new self.ApolloAPI({ budget: new self.CreditBudget(job.spreadsheetId, job.id) });
+    const cleanOptions = {
+      defaultRegion: new self.SheetManager(job.spreadsheetId).getSetting('Default Phone Region')
+    };
+
+    try {
+      while (!this._isDone(job)) {
+        if (new Date().getTime() - startTime > maxRuntime) {
+          job.status = 'paused';
+          this.saveJob(job);
+          this.scheduleContinuation();
+          return job;
+        }
+
+        const page = job.lastPage + 1;
+        const result = api.fetchLeadsPage(job.filters, page);
+        job.creditsUsed = (job.creditsUsed || 0) + (result.cached ? 0 : 1);
+        const remaining = job.totalRequested - job.leadsFetched;
+        const rawLeads = result.leads.slice(0, remaining);
+
+        if (rawLeads.length > 0) {
+          const report = self.cleanLeadsWithReport(rawLeads, cleanOptions);
+          const cleanedLeads = report.leads;
+          job.rejected = (job.rejected || 0) + report.rejected.length;
+          job.rejectedByReason = job.rejectedByReason || {};
+          Object.keys(report.counts).forEach(reason => {
+            job.rejectedByReason[reason] = (job.rejectedByReason[reason] || 0) + report.counts[reason];
+          });
+          new self.RejectedLeads(job.spreadsheetId).recordMany(report.rejected, job.id);
+          const saved = self.upsertLeads(job.spreadsheetId, cleanedLeads);
+          if (!saved.success) {
+            throw new Error('Failed to save leads to sheet: ' + saved.error);
+          }
+          job.leadsWritten += cleanedLeads.length;
+          job.inserted += saved.inserted;
+          job.updated += saved.updated;
+          job.unchanged += saved.unchanged;
+        }
+
+        job.lastPage = page;
+        job.totalPages = result.pagination.totalPages;
+        job.leadsFetched += rawLeads.length;
+
+        // Apollo returned a short page, so there is nothing left to walk
+        if (result.leads.length < job.perPage) {
+          job.totalPages = page;
+        }
+
+        this.saveJob(job);
+      }
+
+      job.status = 'completed';
+      this.saveJob(job);
+      return job;
+
+    } catch (error) {
+      console.error('Error running fetch job ' + job.id + ':', error);
+      return this._handleJobError(job, error);
+    }
+  };
+
+  /**
+   * Enrich pending leads until done, out of credits or out of time
+   * @param {Object} job - Enrichment job
+   * @param {Object} options - { startTime, maxRuntime }
+   * @returns {Object} Updated job object
+   */
+  self.FetchJobManager.prototype._runEnrichmentJob = function(job, options) {
+    const startTime = options.startTime || new Date().getTime();
+    const maxRuntime = options.maxRuntime || this.maxRuntime;
+    const enricher = new self.LeadEnricher(job.spreadsheetId, job.id);
+
+    try {
+      // Enriched leads get a fresh Enriched At, so a resumed job skips them
+      const pending = enricher.selectLeads({ leadIds: job.leadIds, staleBefore: job.staleBefore })
+        .slice(0, job.totalRequested - job.leadsProcessed);
+
+      for (let i = 0; i < pending.length; i++) {
+        if (new Date().getTime() - startTime > maxRuntime) {
+          job.status = 'paused';
+          this.saveJob(job);
+          this.scheduleContinuation();
+          return job;
+        }
+
+        if (job.creditsUsed + enricher.maxCreditsPerLead > job.creditBudget) {
+          job.stoppedReason = `Credit budget of ${job.creditBudget} reached`;
+          break;
+        }
+
+        const result = enricher.enrich(pending[i]);
+        job.creditsUsed += result.credits;
+        job.leadsProcessed++;
+        if (result.found) {
+          job.enriched++;
+        } else {
+          job.notFound++;
+        }
+        this.saveJob(job);
+      }
+
+      job.status = 'completed';
+      this.saveJob(job);
+      return job;
+
+    } catch (error) {
+      console.error('Error running enrichment job ' + job.id + ':', error);
+      return this._handleJobError(job, error);
+    }
+  };
+
+  /**
+   * Refresh pending leads until done, out of credits or out of time
+   * @param {Object} job - Refresh job
+   * @param {Object} options - { startTime, maxRuntime }
+   * @returns {Object} Updated job object
+   */
+  self.FetchJobManager.prototype._runRefreshJob = function(job, options) {
+    const startTime = options.startTime || new Date().getTime();
+    const maxRuntime = options.maxRuntime || this.maxRuntime;
+    const refresher = new self.LeadRefresher(job.spreadsheetId, job.id);
+
+    try {
+      // Refreshed leads get a fresh Refreshed At, so a resumed job skips them
+      const pending = refresher.selectLeads({ leadIds: job.leadIds, refreshedBefore: job.refreshedBefore })
+        .slice(0, job.totalRequested - job.leadsProcessed);
+
+      for (let i = 0; i < pending.length; i++) {
+        if (new Date().getTime() - startTime > maxRuntime) {
+          job.status = 'paused';
+          this.saveJob(job);
+          this.scheduleContinuation();
+          return job;
+        }
+
+        if (job.creditsUsed + refresher.maxCreditsPerLead > job.creditBudget) {
+          job.stoppedReason = `Credit budget of ${job.creditBudget} reached`;
+          break;
+        }
+
+        const result = refresher.refresh(pending[i]);
+        refresher.report(pending[i], result);
+        job.creditsUsed += result.credits;
+        job.leadsProcessed++;
+        if (result.status === 'not_found') job.notFound++;
+        if (result.status === 'title_changed') job.titleChanged++;
+        if (result.status === 'company_changed') job.companyChanged++;
+        if (result.changes.length > 0) {
+          job.updated++;
+        } else if (result.status !== 'not_found') {
+          job.unchanged++;
+        }
+        result.changes.forEach(change => {
+          job.fieldChanges[change.field] = (job.fieldChanges[change.field] || 0) + 1;
+        });
+        job.keptEdits = (job.keptEdits || 0) + result.kept.length;
+        this.saveJob(job);
+      }
+
+      job.status = 'completed';
+      this.saveJob(job);
+      return job;
+
+    } catch (error) {
+      console.error('Error running refresh job ' + job.id + ':', error);
+      return this._handleJobError(job, error);
+    }
+  };
+
+  /**
+   * Record an error on a job. Retryable errors (rate limits, Apollo outages)
+   * pause the job for the continuation trigger; others fail it.
+   * @param {Object} job - Job object
+   * @param {Error} error - Error thrown while running the job
+   * @returns {Object} Updated job object
+   */
+  self.FetchJobManager.prototype._handleJobError = function(job, error) {
+    job.error = error.message;
+    job.errorCode = error.code || '';
+    job.retryable = !!error.retryable;
+    job.errorRetries = (job.errorRetries || 0) + (job.retryable ? 1 : 0);
+
+    if (job.retryable && job.errorRetries <= this.maxErrorRetries) {
+      job.status = 'paused';
+      this.saveJob(job);
+      this.scheduleContinuation();
+      return job;
+    }
+
+    job.status = 'failed';
+    this.saveJob(job);
+    return job;
+  };
+
+  /**
+   * Resume every unfinished job no other execution holds, within one execution.
+   * Jobs another execution is running are left to it; it schedules its own
+   * continuation if it runs out of time.
+   * @returns {Object} Summary of resumed jobs
+   */
+  self.FetchJobManager.prototype.resumeJobs = function() {
+    this.clearContinuationTriggers();
+
+    const startTime = new Date().getTime();
+    const pendingJobs = this.listJobs().filter(job => this._isClaimable(job, startTime));
+    let resumed = 0;
+    let stillPending = 0;
+
+    pendingJobs.forEach(job => {
+      const updated = this.runJob(job.id, { startTime: startTime });
+      if (updated.leaseOwner) {
+        return; // Claimed elsewhere since we listed it
+      }
+      resumed++;
+      if (!this._isFinished(updated)) {
+        stillPending++;
+      }
+    });
+
+    if (stillPending > 0) {
+      this.scheduleContinuation();
+    }
+
+    return { resumed: resumed, pending: stillPending };
+  };
+
+  /**
+   * Schedule a one-off continuation trigger, unless one already exists
+   */
+  self.FetchJobManager.prototype.scheduleContinuation = function() {
+    const exists = ScriptApp.getProjectTriggers()
+      .some(trigger => trigger.getHandlerFunction() === this.triggerHandler);
+
+    if (!exists) {
+      ScriptApp.newTrigger(this.triggerHandler)
+        .timeBased()
+        .after(60 * 1000)
+        .create();
+      console.log('Scheduled fetch job continuation');
+    }
+  };
+
+  /**
+   * Remove spent continuation triggers
+   */
+  self.FetchJobManager.prototype.clearContinuationTriggers = function() {
+    ScriptApp.getProjectTriggers().forEach(trigger => {
+      if (trigger.getHandlerFunction() === this.triggerHandler) {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    });
+  };
+
+  /**
+   * Build a client-facing summary of a job
+   * @param {Object} job - Job object
+   * @returns {Object} Job summary
+   */
+  self.FetchJobManager.prototype.summarizeJob = function(job) {
+    if (job.type === 'enrichment') {
+      return {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        totalRequested: job.totalRequested,
+        leadsProcessed: job.leadsProcessed,
+        enriched: job.enriched,
+        notFound: job.notFound,
+        creditBudget: job.creditBudget,
+        creditsUsed: job.creditsUsed,
+        stoppedReason: job.stoppedReason,
+        progress: job.totalRequested > 0 ? Math.min(100, Math.round((job.leadsProcessed / job.totalRequested) * 100)) : 100,
+        error: job.error,
+        errorCode: job.errorCode || '',
+        retryable: !!job.retryable,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+      };
+    }
+
+    if (job.type === 'refresh') {
+      const fields = Object.keys(job.fieldChanges).sort((a, b) => job.fieldChanges[b] - job.fieldChanges[a]);
+      return {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        totalRequested: job.totalRequested,
+        leadsProcessed: job.leadsProcessed,
+        updated: job.updated,
+        unchanged: job.unchanged,
+        titleChanged: job.titleChanged,
+        companyChanged: job.companyChanged,
+        notFound: job.notFound,
+        fieldChanges: job.fieldChanges,
+        keptEdits: job.keptEdits || 0,
+        diffSummary: `${job.leadsProcessed} leads checked: ${job.updated} updated, ${job.unchanged} unchanged, ` +
+          `${job.companyChanged} changed company, ${job.titleChanged} changed title, ${job.notFound} not found in Apollo` +
+          (fields.length > 0 ? '; fields changed: ' + fields.map(field => `${field} (${job.fieldChanges[field]})`).join(', ') : '') +
+          (job.keptEdits ? `; ${job.keptEdits} hand-edited values kept` : '') +
+          `; ${job.creditsUsed} credits used`,
+        creditBudget: job.creditBudget,
+        creditsUsed: job.creditsUsed,
+        stoppedReason: job.stoppedReason,
+        progress: job.totalRequested > 0 ? Math.min(100, Math.round((job.leadsProcessed / job.totalRequested) * 100)) : 100,
+        error: job.error,
+        errorCode: job.errorCode || '',
+        retryable: !!job.retryable,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+      };
+    }
+
+    return {
+      jobId: job.id,
+      type: 'fetch',
+      status: job.status,
+      totalRequested: job.totalRequested,
+      leadsFetched: job.leadsFetched,
+      leadsWritten: job.leadsWritten,
+      rejected: job.rejected || 0,
+      rejectedByReason: job.rejectedByReason || {},
+      inserted: job.inserted,
+      updated: job.updated,
+      unchanged: job.unchanged,
+      lastPage: job.lastPage,
+      totalPages: job.totalPages,
+      progress: Math.min(100, Math.round((job.leadsFetched / job.totalRequested) * 100)),
+      creditsUsed: job.creditsUsed || 0,
+      error: job.error,
+      errorCode: job.errorCode || '',
+      retryable: !!job.retryable,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  };
+
+  /**
+   * Check whether a job has fetched everything it can
+   * @param {Object} job - Job object
+   * @returns {Boolean} Done status
+   */
+  self.FetchJobManager.prototype._isDone = function(job) {
+    if (job.leadsFetched >= job.totalRequested) return true;
+    return job.totalPages > 0 && job.lastPage >= job.totalPages;
+  };
+
+  /**
+   * Check whether a job has reached a terminal status
+   * @param {Object} job - Job object
+   * @returns {Boolean} Finished status
+   */
+  self.FetchJobManager.prototype._isFinished = function(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Create a fetch job and run its first slice synchronously
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} filters - Filter criteria (totalLeads sets the target)
+   * @returns {Object} Job summary
+   */
+  self.startFetchJob = function(spreadsheetId, filters) {
+    const manager = new self.FetchJobManager();
+    const job = manager.createJob(spreadsheetId, filters);
+
+    // Keep the first call short; continuation triggers pick up the rest
+    const updated = manager.runJob(job.id, { maxRuntime: 30 * 1000 });
+    return manager.summarizeJob(updated);
+  };
+
+  /**
+   * Get fetch job progress
+   * @param {String} jobId - Job ID
+   * @returns {Object} Result object
+   */
+  self.getFetchJobStatus = function(jobId) {
+    const manager = new self.FetchJobManager();
+    const job = manager.getJob(jobId);
+
+    if (!job) {
+      return { success: false, message: 'Fetch job not found' };
+    }
+
+    return { success: true, job: manager.summarizeJob(job) };
+  };
+
+  /**
+   * Resume queued or paused fetch jobs (called from the continuation trigger)
+   * @returns {Object} Summary of resumed jobs
+   */
+  self.resumeFetchJobs = function() {
+    const manager = new self.FetchJobManager();
+    return manager.resumeJobs();
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
@@ -0,0 +1,312 @@
+/**
+ * LeadLib - Search Filter Mapping
+ * Usage:
+ *   LeadLib.mapFilters(filters);
+ *
+ * Translates the filters sent by the web app's fetch form into Apollo
+ * search parameters. Unknown filters and invalid values throw instead of
+ * being dropped, so a search never silently runs wider than requested.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Internal FilterMapper class
+  self.FilterMapper = function() {
+    // Company size buckets offered in the UI -> Apollo employee ranges
+    this.employeeRanges = {
+      '1-10': '1,10',
+      '11-50': '11,50',
+      '51-200': '51,200',
+      '201-500': '201,500',
+      '501-1000': '501,1000',
+      '1000+': '1001,1000000'
+    };
+
+    // Revenue bands offered in the UI -> Apollo revenue ranges (USD)
+    this.revenueRanges = {
+      '0-100k': { min: 0, max: 100000 },
+      '100k-500k': { min: 100000, max: 500000 },
+      '500k-1m': { min: 500000, max: 1000000 },
+      '1m-5m': { min: 1000000, max: 5000000 },
+      '5m+': { min: 5000000 }
+    };
+
+    // Industry values offered in the UI -> display names
+    this.industries = {
+      'technology': 'Technology',
+      'healthcare': 'Healthcare',
+      'finance': 'Finance',
+      'retail': 'Retail',
+      'manufacturing': 'Manufacturing',
+      'education': 'Education',
+      'real-estate': 'Real Estate',
+      'consulting': 'Consulting'
+    };
+
+    // Apollo industry tag IDs are account-specific; configure them as a JSON
+    // map of industry value -> tag ID in the APOLLO_INDUSTRY_TAG_IDS property
+    this.industryTagIds = this._loadIndustryTagIds();
+
+    // Keys that control paging rather than the search itself
+    this.controlKeys = ['page', 'perPage', 'totalLeads'];
+
+    this.mappers = {
+      roles: this._mapRoles,
+      companySize: this._mapCompanySize,
+      employeeRanges: this._mapEmployeeRanges,
+      revenue: this._mapRevenue,
+      industry: this._mapIndustry,
+      industryTags: this._mapIndustryTags,
+      location: this._mapLocations,
+      locations: this._mapLocations,
+      domains: this._mapDomains,
+      yearFounded: this._mapFoundedYear,
+      foundedYear: this._mapFoundedYear
+    };
+  };
+
+  /**
+   * Convert UI filters into Apollo search parameters
+   * @param {Object} filters - Filter criteria from the UI or API
+   * @returns {Object} Apollo search parameters (without paging or auth)
+   */
+  self.FilterMapper.prototype.toApolloParams = function(filters) {
+    const params = {};
+
+    Object.keys(filters || {}).forEach(key => {
+      if (this.controlKeys.indexOf(key) !== -1) return;
+
+      const mapper = this.mappers[key];
+      if (!mapper) {
+        throw new Error('Unknown filter: ' + key);
+      }
+
+      const value = filters[key];
+      if (this._isEmpty(value)) return;
+
+      mapper.call(this, value, params);
+    });
+
+    return params;
+  };
+
+  /**
+   * Map target roles to person titles
+   */
+  self.FilterMapper.prototype._mapRoles = function(value, params) {
+    const roles = this._toList(value, 'roles');
+    if (roles.length > 0) {
+      params.person_titles = roles;
+    }
+  };
+
+  /**
+   * Map company size buckets to employee ranges
+   */
+  self.FilterMapper.prototype._mapCompanySize = function(value, params) {
+    const ranges = this._toList(value, 'companySize').map(bucket => {
+      const range = this.employeeRanges[bucket];
+      if (!range) {
+        throw new Error(`Invalid filter "companySize": unknown size "${bucket}"`);
+      }
+      return range;
+    });
+    params.organization_num_employees_ranges = this._union(params.organization_num_employees_ranges, ranges);
+  };
+
+  /**
+   * Pass through raw Apollo employee ranges ("min,max")
+   */
+  self.FilterMapper.prototype._mapEmployeeRanges = function(value, params) {
+    const ranges = this._toList(value, 'employeeRanges').map(range => {
+      if (!/^\d+,\d+$/.test(range)) {
+        throw new Error(`Invalid filter "employeeRanges": "${range}" must look like "11,50"`);
+      }
+      return range;
+    });
+    params.organization_num_employees_ranges = this._union(params.organization_num_employees_ranges, ranges);
+  };
+
+  /**
+   * Map a revenue band to a revenue range
+   */
+  self.FilterMapper.prototype._mapRevenue = function(value, params) {
+    const range = this.revenueRanges[String(value).toLowerCase()];
+    if (!range) {
+      throw new Error(`Invalid filter "revenue": unknown range "${value}"`);
+    }
+    params.revenue_range = Object.assign({}, range);
+  };
+
+  /**
+   * Map industry names to tag IDs, falling back to keyword tags
+   */
+  self.FilterMapper.prototype._mapIndustry = function(value, params) {
+    this._toList(value, 'industry').forEach(industry => {
+      const key = industry.toLowerCase().replace(/\s+/g, '-');
+      if (!this.industries[key]) {
+        throw new Error(`Invalid filter "industry": unknown industry "${industry}"`);
+      }
+
+      if (this.industryTagIds[key]) {
+        params.organization_industry_tag_ids = this._union(params.organization_industry_tag_ids, [this.industryTagIds[key]]);
+      } else {
+        params.q_organization_keyword_tags = this._union(params.q_organization_keyword_tags, [this.industries[key]]);
+      }
+    });
+  };
+
+  /**
+   * Pass through raw Apollo industry tag IDs
+   */
+  self.FilterMapper.prototype._mapIndustryTags = function(value, params) {
+    params.organization_industry_tag_ids = this._union(
+      params.organization_industry_tag_ids,
+      this._toList(value, 'industryTags')
+    );
+  };
+
+  /**
+   * Map locations (one per line or semicolon-separated)
+   */
+  self.FilterMapper.prototype._mapLocations = function(value, params) {
+    const locations = Array.isArray(value) ? value : String(value).split(/[\n;]/);
+    params.organization_locations = this._union(
+      params.organization_locations,
+      this._toList(locations, 'location')
+    );
+  };
+
+  /**
+   * Map a domain list to Apollo's newline-joined format
+   */
+  self.FilterMapper.prototype._mapDomains = function(value, params) {
+    const raw = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+    const domains = this._toList(raw, 'domains').map(domain => {
+      const normalized = domain.toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/\/.*$/, '');
+
+      if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalized)) {
+        throw new Error(`Invalid filter "domains": "${domain}" is not a valid domain`);
+      }
+      return normalized;
+    });
+
+    if (domains.length > 0) {
+      params.q_organization_domains = this._union([], domains).join('\n');
+    }
+  };
+
+  /**
+   * Map a founded year, "min-max" string or { min, max } to a year range
+   */
+  self.FilterMapper.prototype._mapFoundedYear = function(value, params) {
+    let min;
+    let max;
+
+    if (typeof value === 'object') {
+      min = value.min;
+      max = value.max;
+    } else {
+      const parts = String(value).split('-');
+      min = parts[0];
+      max = parts.length > 1 ? parts[1] : parts[0];
+    }
+
+    const currentYear = new Date().getFullYear();
+    const range = {};
+    [['min', min], ['max', max]].forEach(([bound, year]) => {
+      if (this._isEmpty(year)) return;
+
+      const num = parseInt(year);
+      if (isNaN(num) || String(num) !== String(year).trim() || num < 1800 || num > currentYear) {
+        throw new Error(`Invalid filter "yearFounded": "${year}" must be a year between 1800 and ${currentYear}`);
+      }
+      range[bound] = num;
+    });
+
+    if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+      throw new Error('Invalid filter "yearFounded": start year is after end year');
+    }
+
+    if (Object.keys(range).length > 0) {
+      params.organization_founded_year_range = range;
+    }
+  };
+
+  /**
+   * Normalize a string or array into a list of trimmed, non-empty strings
+   * @param {String|Array} value - Raw value
+   * @param {String} filterName - Filter name for error messages
+   * @returns {Array} List of strings
+   */
+  self.FilterMapper.prototype._toList = function(value, filterName) {
+    const list = Array.isArray(value) ? value : [value];
+    return list
+      .map(item => {
+        if (typeof item !== 'string' && typeof item !== 'number') {
+          throw new Error(`Invalid filter "${filterName}": expected text values`);
+        }
+        return String(item).trim();
+      })
+      .filter(item => item !== '');
+  };
+
+  /**
+   * Merge two lists without duplicates
+   * @param {Array} existing - Existing list (may be undefined)
+   * @param {Array} additions - Values to add
+   * @returns {Array} Merged list
+   */
+  self.FilterMapper.prototype._union = function(existing, additions) {
+    const merged = (existing || []).slice();
+    additions.forEach(item => {
+      if (merged.indexOf(item) === -1) merged.push(item);
+    });
+    return merged;
+  };
+
+  /**
+   * Check whether a filter value is empty
+   * @param {*} value - Filter value
+   * @returns {Boolean} Is empty
+   */
+  self.FilterMapper.prototype._isEmpty = function(value) {
+    if (value === undefined || value === null || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+  };
+
+  /**
+   * Load configured industry tag IDs
+   * @returns {Object} Industry value -> tag ID
+   */
+  self.FilterMapper.prototype._loadIndustryTagIds = function() {
+    try {
+      const stored = PropertiesService.getScriptProperties().getProperty('APOLLO_INDUSTRY_TAG_IDS');
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Error loading industry tag IDs:', error);
+      return {};
+    }
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Map UI filters to Apollo search parameters
+   * @param {Object} filters - Filter criteria
+   * @returns {Object} Apollo search parameters
+   */
+  self.mapFilters = function(filters) {
+    const mapper = new self.FilterMapper();
+    return mapper.toApolloParams(filters);
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
@@ -0,0 +1,208 @@
+/**
+ * LeadLib - HTTP Client
+ * Usage:
+ *   const http = new LeadLib.HttpClient();
+ *   const body = http.request(url, { method: 'POST', payload: '...' });
+ *   LeadLib.toErrorResult(error);
+ *
+ * Wraps UrlFetchApp with muteHttpExceptions so every status code is seen.
+ * Rate limits and upstream failures are retried with exponential backoff
+ * and jitter (honoring Retry-After); everything else fails fast. Failures
+ * are thrown as typed errors (AuthError, RateLimitError, QuotaError,
+ * ValidationError, UpstreamError) with code, status and retryable fields.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  /**
+   * Build a typed HTTP error constructor
+   * @param {String} name - Error name
+   * @param {String} code - Machine-readable code
+   * @param {Boolean} retryable - Whether the same request may succeed later
+   * @returns {Function} Error constructor (message, details)
+   */
+  function defineHttpError(name, code, retryable) {
+    const HttpError = function(message, details = {}) {
+      this.name = name;
+      this.code = code;
+      this.message = message;
+      this.retryable = retryable;
+      this.status = details.status || 0;
+      this.retryAfter = details.retryAfter || 0;
+      this.stack = new Error(message).stack;
+    };
+    HttpError.prototype = Object.create(Error.prototype);
+    HttpError.prototype.constructor = HttpError;
+    return HttpError;
+  }
+
+  // 401/403: missing, invalid or under-privileged API key
+  self.AuthError = defineHttpError('AuthError', 'auth_error', false);
+  // 429: too many requests right now
+  self.RateLimitError = defineHttpError('RateLimitError', 'rate_limited', true);
+  // 402, or a 429 about plan limits: out of credits until the plan resets
+  self.QuotaError = defineHttpError('QuotaError', 'quota_exceeded', false);
+  // Other 4xx: the request itself is wrong
+  self.ValidationError = defineHttpError('ValidationError', 'validation_error', false);
+  // 5xx, network failures and unreadable responses
+  self.UpstreamError = defineHttpError('UpstreamError', 'upstream_error', true);
+
+  // Internal HttpClient class
+  self.HttpClient = function(options = {}) {
+    this.service = options.service || 'Apollo';
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.baseDelay = options.baseDelay || 1000; // First backoff, doubled per attempt
+    this.maxDelay = options.maxDelay || 30000; // Longest we'll sleep inside one execution
+  };
+
+  /**
+   * Send a request, retrying retryable failures
+   * @param {String} url - Request URL
+   * @param {Object} options - UrlFetchApp options (method, headers, payload)
+   * @returns {Object} Parsed JSON body (null for an empty body)
+   */
+  self.HttpClient.prototype.request = function(url, options = {}) {
+    const fetchOptions = Object.assign({}, options, { muteHttpExceptions: true });
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return this._send(url, fetchOptions);
+      } catch (error) {
+        if (!error.retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        // Don't block the execution on a long Retry-After; let the caller resume later
+        const delay = error.retryAfter ? error.retryAfter * 1000 : this.backoff(attempt);
+        if (delay > this.maxDelay) {
+          throw error;
+        }
+
+        console.log(`${this.service} ${error.code} (${error.status || 'network'}), retrying in ${delay}ms`);
+        Utilities.sleep(delay);
+      }
+    }
+  };
+
+  /**
+   * Backoff for a retry attempt: exponential with equal jitter
+   * @param {Number} attempt - Zero-based attempt number
+   * @returns {Number} Delay in milliseconds
+   */
+  self.HttpClient.prototype.backoff = function(attempt) {
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  };
+
+  /**
+   * Send one request and turn the response into a body or a typed error
+   * @param {String} url - Request URL
+   * @param {Object} options - UrlFetchApp options
+   * @returns {Object} Parsed JSON body
+   */
+  self.HttpClient.prototype._send = function(url, options) {
+    let response;
+    try {
+      response = UrlFetchApp.fetch(url, options);
+    } catch (error) {
+      // DNS failures, timeouts and the like still throw with muteHttpExceptions
+      throw new self.UpstreamError(`${this.service} could not be reached: ${error.message}`);
+    }
+
+    const status = response.getResponseCode();
+    const text = response.getContentText();
+
+    if (status >= 200 && status < 300) {
+      try {
+        return text ? JSON.parse(text) : null;
+      } catch (error) {
+        throw new self.UpstreamError(`${this.service} returned an unreadable response`, { status: status });
+      }
+    }
+
+    console.error(`${this.service} API error:`, status, text);
+    throw this._errorFor(status, this._errorMessage(text), this._retryAfter(response));
+  };
+
+  /**
+   * Map an HTTP status to a typed error
+   * @param {Number} status - Response status
+   * @param {String} detail - Error message from the response body
+   * @param {Number} retryAfter - Retry-After in seconds (0 when absent)
+   * @returns {Error} Typed error
+   */
+  self.HttpClient.prototype._errorFor = function(status, detail, retryAfter) {
+    const details = { status: status, retryAfter: retryAfter };
+    const suffix = detail ? ': ' + detail : '';
+
+    if (status === 401 || status === 403) {
+      return new self.AuthError(`${this.service} rejected the API key (${status})${suffix}`, details);
+    }
+    if (status === 402 || (status === 429 && /credit|quota|plan|upgrade/i.test(detail))) {
+      return new self.QuotaError(`${this.service} plan limit reached (${status})${suffix}`, details);
+    }
+    if (status === 429) {
+      return new self.RateLimitError(`${this.service} rate limit hit (${status})${suffix}`, details);
+    }
+    if (status >= 400 && status < 500) {
+      return new self.ValidationError(`${this.service} rejected the request (${status})${suffix}`, details);
+    }
+    return new self.UpstreamError(`${this.service} is unavailable (${status})${suffix}`, details);
+  };
+
+  /**
+   * Pull a readable message out of an error body
+   * @param {String} text - Response body
+   * @returns {String} Message, or ''
+   */
+  self.HttpClient.prototype._errorMessage = function(text) {
+    try {
+      const body = JSON.parse(text);
+      const message = body.error || body.message || body.errors;
+      if (!message) return '';
+      return typeof message === 'string' ? message : JSON.stringify(message).slice(0, 200);
+    } catch (error) {
+      return String(text || '').slice(0, 200);
+    }
+  };
+
+  /**
+   * Read Retry-After as seconds; it may be a number or an HTTP date
+   * @param {HTTPResponse} response - UrlFetchApp response
+   * @returns {Number} Seconds to wait, 0 when absent
+   */
+  self.HttpClient.prototype._retryAfter = function(response) {
+    const headers = response.getHeaders() || {};
+    const name = Object.keys(headers).find(key => key.toLowerCase() === 'retry-after');
+    if (!name) {
+      return 0;
+    }
+
+    const value = String(headers[name]).trim();
+    if (/^\d+$/.test(value)) {
+      return parseInt(value);
+    }
+
+    const date = new Date(value).getTime();
+    return isNaN(date) ? 0 : Math.max(0, Math.ceil((date - new Date().getTime()) / 1000));
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Structured form of any error for API responses
+   * @param {Error} error - Thrown error
+   * @returns {Object} { code, message, retryable }
+   */
+  self.toErrorResult = function(error) {
+    return {
+      code: error.code || 'internal_error',
+      message: error.message || String(error),
+      retryable: !!error.retryable
+    };
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
@@ -0,0 +1,275 @@
+/**
+ * LeadLib - Lead Enrichment
+ * Usage:
+ *   LeadLib.enrichLead(spreadsheetId, leadId);
+ *   LeadLib.enrichLeads(spreadsheetId, options);
+ *   LeadLib.startEnrichmentJob(spreadsheetId, options);
+ *
+ * Fills in what a search result left out by calling Apollo's organization
+ * (by domain) and people (by person ID or email) enrichment endpoints.
+ * Contact fields are only filled when empty; enrichment-only fields
+ * (revenue, funding, technologies, keywords, social links) are refreshed.
+ * Enrichment jobs run through the resumable job runner in fetchJobs.js.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Contact and company fields that enrichment only fills when empty
+  const FILL_FIELDS = [
+    'apolloId', 'organizationId', 'title', 'company', 'industry', 'employees',
+    'foundedYear', 'location', 'linkedin', 'website'
+  ];
+
+  // Fields that only enrichment provides, refreshed on every run
+  const ENRICHMENT_FIELDS = [
+    'revenue', 'funding', 'fundingStage', 'technologies', 'keywords', 'companyPhone',
+    'twitter', 'facebook', 'github', 'companyLinkedin', 'companyTwitter', 'companyFacebook'
+  ];
+
+  // Internal LeadEnricher class
+  self.LeadEnricher = function(spreadsheetId, jobId) {
+    this.spreadsheetId = spreadsheetId;
+    this.manager = new self.SheetManager(spreadsheetId);
+    this.api = new self.ApolloAPI({ budget: new self.CreditBudget(spreadsheetId, jobId) });
+    this.processor = new self.DataProcessor({ defaultRegion: this.manager.getSetting('Default Phone Region') });
+    this.activityLog = new self.ActivityLog(spreadsheetId);
+    this.maxCreditsPerLead = 2; // One organization and one person lookup
+  };
+
+  /**
+   * Leads that are due for enrichment
+   * @param {Object} options - { leadIds, staleBefore (ISO timestamp) }
+   * @returns {Array} Leads, best score first
+   */
+  self.LeadEnricher.prototype.selectLeads = function(options = {}) {
+    const leadIds = options.leadIds && options.leadIds.length > 0 ? options.leadIds : null;
+
+    return this.manager.getLeads({}).filter(lead =>
+      (!leadIds || leadIds.indexOf(lead.id) !== -1) && this.isStale(lead, options.staleBefore)
+    );
+  };
+
+  /**
+   * Whether a lead was never enriched, or last enriched before a cutoff
+   * @param {Object} lead - Lead object
+   * @param {String} staleBefore - ISO timestamp cutoff
+   * @returns {Boolean} Stale status
+   */
+  self.LeadEnricher.prototype.isStale = function(lead, staleBefore) {
+    const enrichedAt = lead.enrichedAt instanceof Date ? lead.enrichedAt.toISOString() : String(lead.enrichedAt || '');
+    return !enrichedAt || (!!staleBefore && enrichedAt < staleBefore);
+  };
+
+  /**
+   * Cutoff for the "Enrichment Stale Days" setting
+   * @returns {String} ISO timestamp
+   */
+  self.LeadEnricher.prototype.staleCutoff = function() {
+    const days = parseInt(this.manager.getSetting('Enrichment Stale Days')) || 90;
+    return new Date(new Date().getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+  };
+
+  /**
+   * Enrich a lead and save it
+   * @param {Object} lead - Lead object read from the sheet
+   * @returns {Object} { lead, credits, found, changes }
+   */
+  self.LeadEnricher.prototype.enrich = function(lead) {
+    let credits = 0;
+
+    const domain = this.manager.getCompanies().domainOf(lead);
+    const orgResult = domain ? this.api.enrichOrganization(domain) : { organization: null, cached: true };
+    if (!orgResult.cached) credits++;
+
+    const personResult = this.api.enrichPerson(lead);
+    if (!personResult.cached) credits++;
+
+    const found = !!(orgResult.organization || personResult.person);
+
+    // Merge into the row as it reads now: the lookups take a while, and a
+    // stage, contacted or notes change made meanwhile must survive
+    let merge = null;
+    this.manager.updateLeadById(lead.id, current => {
+      merge = this._merge(current, orgResult.organization || {}, personResult.person || {});
+      merge.lead.enrichedAt = new Date().toISOString();
+      return merge.lead;
+    });
+    if (!merge) {
+      // Deleted while the lookups ran
+      return { lead: lead, credits: credits, found: found, changes: [] };
+    }
+
+    this.activityLog.record(lead.id, 'enrichment',
+      !found ? 'No Apollo match for enrichment' :
+        merge.changes.length > 0 ? 'Enriched: ' + merge.changes.join(', ') : 'Enrichment found no new data',
+      { changes: merge.changes, credits: credits });
+
+    return { lead: merge.lead, credits: credits, found: found, changes: merge.changes };
+  };
+
+  /**
+   * Combine enrichment results into a lead
+   * @param {Object} lead - Existing lead
+   * @param {Object} org - Processed organization (or {})
+   * @param {Object} person - Processed person (or {})
+   * @returns {Object} { lead, changes }
+   */
+  self.LeadEnricher.prototype._merge = function(lead, org, person) {
+    const updated = Object.assign({}, lead);
+    const changes = [];
+    const isEmpty = value => value === undefined || value === null || value === '' || value === 0 ||
+      (Array.isArray(value) && value.length === 0);
+    const incoming = field => isEmpty(person[field]) ? org[field] : person[field];
+
+    FILL_FIELDS.forEach(field => {
+      if (isEmpty(updated[field]) && !isEmpty(incoming(field))) {
+        updated[field] = incoming(field);
+        changes.push(field);
+      }
+    });
+
+    ENRICHMENT_FIELDS.forEach(field => {
+      const value = incoming(field);
+      if (!isEmpty(value) && JSON.stringify(value) !== JSON.stringify(updated[field])) {
+        updated[field] = value;
+        changes.push(field);
+      }
+    });
+
+    // Full descriptions replace the snippet from search results
+    if (org.description && org.description.length > String(updated.description || '').length) {
+      updated.description = this.processor.cleanDescription(org.description);
+      changes.push('description');
+    }
+
+    if (!updated.email && person.email && this.processor.emailRegex.test(person.email)) {
+      const verification = this.processor.emailVerifier.verify(person.email, Object.assign({}, updated, person));
+      updated.email = person.email.toLowerCase().trim();
+      updated.emailStatus = verification.status;
+      updated.emailSuggestion = verification.suggestion;
+      changes.push('email');
+    }
+
+    if (!updated.phone && person.phone) {
+      const phone = this.processor.phoneNormalizer.normalize(person.phone, updated.location);
+      Object.assign(updated, {
+        phone: phone.e164,
+        phoneDisplay: phone.display,
+        phoneType: phone.type,
+        phoneExtension: phone.extension,
+        phoneStatus: phone.status,
+        phoneRaw: phone.raw
+      });
+      changes.push('phone');
+    }
+
+    // Fit depends on the fields that just changed
+    if (changes.length > 0) {
+      updated.score = '';
+    }
+
+    return { lead: updated, changes: changes };
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Enrich a single lead right away
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} leadId - Lead ID
+   * @returns {Object} Result object
+   */
+  self.enrichLead = function(spreadsheetId, leadId) {
+    try {
+      const enricher = new self.LeadEnricher(spreadsheetId);
+      const lead = enricher.manager.getLeadById(leadId);
+      if (!lead) {
+        return { success: false, message: 'Lead not found' };
+      }
+
+      const result = enricher.enrich(lead);
+      return {
+        success: true,
+        lead: result.lead,
+        credits: result.credits,
+        changes: result.changes,
+        message: !result.found ? 'No Apollo match for this lead' :
+          `Enriched ${result.changes.length} fields (${result.credits} credits)`
+      };
+    } catch (error) {
+      console.error('Error enriching lead:', error);
+      return Object.assign({ success: false, error: error.message }, self.toErrorResult(error));
+    }
+  };
+
+  /**
+   * Create an enrichment job for selected leads (options.leadIds) or for
+   * every stale lead, and run its first slice
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} options - { leadIds, creditBudget, maxLeads }
+   * @returns {Object} Job summary
+   */
+  self.startEnrichmentJob = function(spreadsheetId, options) {
+    const manager = new self.FetchJobManager();
+    const job = manager.createEnrichmentJob(spreadsheetId, options);
+
+    // Keep the first call short; continuation triggers pick up the rest
+    const updated = manager.runJob(job.id, { maxRuntime: 30 * 1000 });
+    return manager.summarizeJob(updated);
+  };
+
+  /**
+   * Enrich selected or stale leads in a background job
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} options - { leadIds, creditBudget, maxLeads }
+   * @returns {Object} Result object
+   */
+  self.enrichLeads = function(spreadsheetId, options) {
+    try {
+      if (!self.getApolloApiKey()) {
+        return { success: false, message: 'Please set your Apollo API key in Settings' };
+      }
+
+      // Pre-flight: don't start a job that can't enrich a single lead
+      const budget = self.checkCreditBudget(spreadsheetId, 1);
+      if (!budget.success) {
+        return budget;
+      }
+
+      const job = self.startEnrichmentJob(spreadsheetId, options || {});
+
+      if (job.status === 'failed') {
+        return {
+          success: false,
+          code: job.errorCode || 'internal_error',
+          message: 'Error enriching leads: ' + job.error,
+          retryable: job.retryable,
+          jobId: job.jobId,
+          job: job
+        };
+      }
+
+      if (job.totalRequested === 0) {
+        return { success: true, jobId: job.jobId, job: job, message: 'No leads need enrichment' };
+      }
+
+      const counts = `${job.enriched} enriched, ${job.notFound} not found, ${job.creditsUsed} of ${job.creditBudget} credits used`;
+      return {
+        success: true,
+        jobId: job.jobId,
+        job: job,
+        message: job.status === 'completed' ?
+          `Enrichment finished: ${job.leadsProcessed} of ${job.totalRequested} leads (${counts})` +
+            (job.stoppedReason ? '. ' + job.stoppedReason : '') :
+          `Enrichment job started: ${job.leadsProcessed} of ${job.totalRequested} leads processed so far (${counts})`
+      };
+    } catch (error) {
+      console.error('Error enriching leads:', error);
+      return Object.assign(self.toErrorResult(error), { success: false, message: 'Error enriching leads: ' + error.message });
+    }
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
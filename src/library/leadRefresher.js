@@ -0,0 +1,358 @@
+/**
+ * LeadLib - Lead Refresh
+ * Usage:
+ *   LeadLib.refreshLeads(spreadsheetId, options);
+ *   LeadLib.startRefreshJob(spreadsheetId, options);
+ *
+ * Re-checks leads already in the sheet against Apollo's people match (by
+ * person ID, else email). A person field is only written when it is empty
+ * or still holds what Apollo last supplied (kept in the Apollo Values
+ * column); a value someone changed by hand is kept, and Apollo's differing
+ * value only goes in the report. Leads added before Apollo Values existed
+ * only get their empty fields filled. No lead is removed and Stage,
+ * Contacted, notes and extra columns are never touched. Each lead's Refresh
+ * Status records the outcome: current, title_changed (new title, same
+ * company), company_changed (moved to another company; the lead is relinked
+ * and marked for enrichment, which replaces the old company's details) or
+ * not_found (no longer in Apollo). Changes go to the activity log and every
+ * difference, written or kept, to the Refresh Report sheet, which holds the
+ * latest run's diff. Refresh jobs run through the resumable job runner in
+ * fetchJobs.js, oldest refresh first.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Person fields a refresh brings up to date when Apollo has a value
+  const REFRESH_FIELDS = ['apolloId', 'title', 'company', 'organizationId', 'location', 'linkedin', 'twitter', 'facebook', 'github'];
+
+  // Fields written along with a refreshed field
+  const COMPANION_FIELDS = {
+    email: ['emailStatus', 'emailSuggestion'],
+    phone: ['phoneDisplay', 'phoneType', 'phoneExtension', 'phoneStatus', 'phoneRaw']
+  };
+
+  // Fields describing the lead's company; left out when relinking a lead that moved
+  const COMPANY_FIELDS = [
+    'website', 'industry', 'employees', 'foundedYear', 'description', 'revenue', 'funding', 'fundingStage',
+    'technologies', 'keywords', 'companyPhone', 'companyLinkedin', 'companyTwitter', 'companyFacebook'
+  ];
+
+  // Internal LeadRefresher class
+  self.LeadRefresher = function(spreadsheetId, jobId) {
+    this.spreadsheetId = spreadsheetId;
+    this.manager = new self.SheetManager(spreadsheetId);
+    this.api = new self.ApolloAPI({ budget: new self.CreditBudget(spreadsheetId, jobId) });
+    this.processor = new self.DataProcessor({ defaultRegion: this.manager.getSetting('Default Phone Region') });
+    this.activityLog = new self.ActivityLog(spreadsheetId);
+    this.reportSheetName = 'Refresh Report';
+    this.reportHeaders = ['Refreshed At', 'Job ID', 'Lead ID', 'Lead Name', 'Result', 'Field', 'From', 'To'];
+    this.jobId = jobId || '';
+    this.maxCreditsPerLead = 1; // One people match
+  };
+
+  /**
+   * Leads that can be matched in Apollo and weren't refreshed since a cutoff
+   * @param {Object} options - { leadIds, refreshedBefore (ISO timestamp) }
+   * @returns {Array} Leads, never refreshed first, then oldest refresh first
+   */
+  self.LeadRefresher.prototype.selectLeads = function(options = {}) {
+    const leadIds = options.leadIds && options.leadIds.length > 0 ? options.leadIds : null;
+    const refreshedAt = lead => lead.refreshedAt instanceof Date ? lead.refreshedAt.toISOString() : String(lead.refreshedAt || '');
+
+    return this.manager.getLeads({ sort: 'refreshedAt:asc' })
+      .filter(lead => (!leadIds || leadIds.indexOf(lead.id) !== -1) && (lead.apolloId || lead.email))
+      .filter(lead => !options.refreshedBefore || !refreshedAt(lead) || refreshedAt(lead) < options.refreshedBefore)
+      // Sorting puts blank dates last, but never-refreshed leads should go first
+      .sort((a, b) => (refreshedAt(a) ? 1 : 0) - (refreshedAt(b) ? 1 : 0));
+  };
+
+  /**
+   * Re-match a lead in Apollo and save what changed
+   * @param {Object} lead - Lead object read from the sheet
+   * @returns {Object} { lead, credits, status, changes, kept } where changes (written) and
+   *   kept (hand edits left in place) are { field, from, to }
+   */
+  self.LeadRefresher.prototype.refresh = function(lead) {
+    const result = this.api.enrichPerson(lead);
+    const credits = result.cached ? 0 : 1;
+    const now = new Date().toISOString();
+
+    if (!result.person) {
+      const status = { refreshStatus: 'not_found', refreshedAt: now };
+      const updated = this.manager.updateLeadById(lead.id, current => Object.assign(current, status)) ||
+        Object.assign({}, lead, status);
+      if (lead.refreshStatus !== 'not_found') {
+        this.activityLog.record(lead.id, 'edit', 'No longer found in Apollo');
+      }
+      return { lead: updated, credits: credits, status: 'not_found', changes: [], kept: [] };
+    }
+
+    const diff = this._diff(lead, result.person);
+    diff.lead.refreshStatus = diff.status;
+    diff.lead.refreshedAt = now;
+
+    // The lead was read at the start of the slice: apply only what the
+    // refresh changed to the row as it reads now, so a stage, contacted or
+    // notes change made meanwhile is kept
+    const patch = this._patch(lead, diff);
+    const saved = this.manager.updateLeadById(lead.id, current => Object.assign(current, patch));
+
+    // A move is worth a timeline entry (once) even when a hand-edited company was kept
+    if (diff.changes.length > 0 || (diff.status !== 'current' && diff.status !== lead.refreshStatus)) {
+      const person = result.person;
+      this.activityLog.record(lead.id, 'edit',
+        diff.status === 'company_changed' ? `Moved from ${lead.company || 'unknown company'} to ${person.company || 'another company'}` :
+          diff.status === 'title_changed' ? `Title changed from ${lead.title || 'none'} to ${person.title}` :
+            'Refreshed from Apollo: ' + diff.changes.map(change => change.field).join(', '),
+        { changes: diff.changes, kept: diff.kept });
+    }
+
+    return { lead: saved || diff.lead, credits: credits, status: diff.status, changes: diff.changes, kept: diff.kept };
+  };
+
+  /**
+   * Fields a refresh writes: the changed ones and their companions, plus
+   * the Apollo snapshot and refresh bookkeeping
+   * @param {Object} lead - Lead as read before the refresh
+   * @param {Object} diff - Result of _diff, with refreshStatus and refreshedAt set
+   * @returns {Object} Field -> value to write
+   */
+  self.LeadRefresher.prototype._patch = function(lead, diff) {
+    const fields = ['apolloValues', 'refreshStatus', 'refreshedAt'];
+    diff.changes.forEach(change => {
+      fields.push.apply(fields, [change.field].concat(COMPANION_FIELDS[change.field] || []));
+    });
+    if (diff.changes.length > 0) {
+      fields.push('score', 'lastUpdated');
+    }
+    if (diff.lead.enrichedAt !== lead.enrichedAt) {
+      fields.push('enrichedAt');
+    }
+
+    const patch = {};
+    fields.forEach(field => {
+      patch[field] = diff.lead[field];
+    });
+    return patch;
+  };
+
+  /**
+   * Apply a fresh Apollo person to a lead, keeping hand edits
+   * @param {Object} lead - Existing lead
+   * @param {Object} person - Processed person from enrichPerson
+   * @returns {Object} { lead, status, changes, kept }
+   */
+  self.LeadRefresher.prototype._diff = function(lead, person) {
+    const updated = Object.assign({}, lead);
+    const changes = [];
+    const kept = [];
+    const lastApollo = lead.apolloValues && !Array.isArray(lead.apolloValues) ? lead.apolloValues : {};
+    const apolloValues = Object.assign({}, lastApollo);
+    const normalize = value => String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    const set = (field, value) => {
+      changes.push({ field: field, from: updated[field], to: value });
+      updated[field] = value;
+    };
+    // Write Apollo's value only over a blank or over what Apollo itself last wrote
+    const offer = (field, value) => {
+      const current = String(updated[field] === undefined || updated[field] === null ? '' : updated[field]);
+      apolloValues[field] = String(value);
+      if (String(value) === current) return false;
+      if (current === '' || (lastApollo[field] !== undefined && String(lastApollo[field]) === current)) {
+        set(field, value);
+        return true;
+      }
+      kept.push({ field: field, from: updated[field], to: value });
+      return false;
+    };
+
+    const companyChanged = person.organizationId && lead.organizationId ?
+      person.organizationId !== lead.organizationId :
+      !!(person.company && lead.company && normalize(person.company) !== normalize(lead.company));
+    const titleChanged = !companyChanged && !!(person.title && lead.title && normalize(person.title) !== normalize(lead.title));
+
+    REFRESH_FIELDS.forEach(field => {
+      if (person[field]) {
+        offer(field, person[field]);
+      }
+    });
+
+    const email = String(person.email || '').toLowerCase().trim();
+    if (email && this.processor.emailRegex.test(email)) {
+      // Compare case-insensitively; a hand-typed address may differ only in case
+      if (email === String(updated.email || '').toLowerCase().trim()) {
+        apolloValues.email = email;
+      } else if (offer('email', email)) {
+        const verification = this.processor.emailVerifier.verify(email, updated);
+        updated.emailStatus = verification.status;
+        updated.emailSuggestion = verification.suggestion;
+      }
+    }
+
+    if (person.phone) {
+      const phone = this.processor.phoneNormalizer.normalize(person.phone, updated.location);
+      if (phone.e164 && offer('phone', phone.e164)) {
+        Object.assign(updated, {
+          phoneDisplay: phone.display,
+          phoneType: phone.type,
+          phoneExtension: phone.extension,
+          phoneStatus: phone.status,
+          phoneRaw: phone.raw
+        });
+      }
+    }
+
+    const moved = changes.some(change => change.field === 'company' || change.field === 'organizationId');
+    if (companyChanged && moved) {
+      // Link on the new organization only: the old company's website and the
+      // email domain would match the company the person left. The lead keeps
+      // those details until enrichment, due now, replaces them.
+      const blanks = {};
+      COMPANY_FIELDS.forEach(field => {
+        blanks[field] = Array.isArray(updated[field]) ? [] : '';
+      });
+      const probe = Object.assign({}, updated, blanks, { email: '', companyId: '' });
+      const linked = this.manager.getCompanies().linkLeads([probe])[0];
+      if ((linked.companyId || '') !== String(updated.companyId || '')) {
+        set('companyId', linked.companyId || '');
+      }
+      updated.enrichedAt = '';
+    }
+
+    updated.apolloValues = apolloValues;
+
+    // Fit depends on the fields that just changed
+    if (changes.length > 0) {
+      updated.score = '';
+      updated.lastUpdated = new Date().toISOString();
+    }
+
+    return {
+      lead: updated,
+      status: companyChanged ? 'company_changed' : titleChanged ? 'title_changed' : 'current',
+      changes: changes,
+      kept: kept
+    };
+  };
+
+  /**
+   * Empty the Refresh Report sheet for a new run, creating it on first use
+   * @returns {Sheet} Refresh Report sheet
+   */
+  self.LeadRefresher.prototype.resetReport = function() {
+    let sheet = this.manager.spreadsheet.getSheetByName(this.reportSheetName);
+    if (!sheet) {
+      sheet = this.manager.spreadsheet.insertSheet(this.reportSheetName);
+    }
+    sheet.clear();
+    sheet.getRange(1, 1, 1, this.reportHeaders.length).setValues([this.reportHeaders]);
+
+    // Format header row
+    const headerRange = sheet.getRange(1, 1, 1, this.reportHeaders.length);
+    headerRange.setBackground('#00897b');
+    headerRange.setFontColor('white');
+    headerRange.setFontWeight('bold');
+    headerRange.setHorizontalAlignment('center');
+    sheet.setFrozenRows(1);
+
+    return sheet;
+  };
+
+  /**
+   * Add a refreshed lead's changes to the Refresh Report sheet
+   * @param {Object} lead - Lead before the refresh
+   * @param {Object} result - Result of refresh
+   */
+  self.LeadRefresher.prototype.report = function(lead, result) {
+    const cell = value => value instanceof Date ? value.toISOString() :
+      Array.isArray(value) ? value.join(', ') : value === undefined || value === null ? '' : value;
+    const timestamp = new Date().toISOString();
+    const base = [timestamp, this.jobId, lead.id, lead.name, result.status === 'current' ? 'updated' : result.status];
+    const rows = result.changes.map(change => base.concat([change.field, cell(change.from), cell(change.to)]))
+      .concat((result.kept || []).map(change =>
+        [timestamp, this.jobId, lead.id, lead.name, 'kept_edit', change.field, cell(change.from), cell(change.to)]));
+
+    // Not-found leads have nothing to diff but still belong in the report
+    if (rows.length === 0 && result.status !== 'current') {
+      rows.push(base.concat(['', '', '']));
+    }
+    if (rows.length === 0) {
+      return;
+    }
+
+    const sheet = this.manager.spreadsheet.getSheetByName(this.reportSheetName) || this.resetReport();
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, this.reportHeaders.length).setValues(rows);
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Create a refresh job for selected (options.leadIds) or all leads and
+   * run its first slice
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} options - { leadIds, creditBudget, maxLeads }
+   * @returns {Object} Job summary
+   */
+  self.startRefreshJob = function(spreadsheetId, options) {
+    const manager = new self.FetchJobManager();
+    const job = manager.createRefreshJob(spreadsheetId, options);
+
+    // Keep the first call short; continuation triggers pick up the rest
+    const updated = manager.runJob(job.id, { maxRuntime: 30 * 1000 });
+    return manager.summarizeJob(updated);
+  };
+
+  /**
+   * Refresh existing leads from Apollo in a background job
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} options - { leadIds, creditBudget, maxLeads }
+   * @returns {Object} Result object with the job summary
+   */
+  self.refreshLeads = function(spreadsheetId, options) {
+    try {
+      if (!self.getApolloApiKey()) {
+        return { success: false, message: 'Please set your Apollo API key in Settings' };
+      }
+
+      // Pre-flight: don't start a job that can't refresh a single lead
+      const budget = self.checkCreditBudget(spreadsheetId, 1);
+      if (!budget.success) {
+        return budget;
+      }
+
+      const job = self.startRefreshJob(spreadsheetId, options || {});
+
+      if (job.status === 'failed') {
+        return {
+          success: false,
+          code: job.errorCode || 'internal_error',
+          message: 'Error refreshing leads: ' + job.error,
+          retryable: job.retryable,
+          jobId: job.jobId,
+          job: job
+        };
+      }
+
+      if (job.totalRequested === 0) {
+        return { success: true, jobId: job.jobId, job: job, message: 'No leads with an Apollo ID or email to refresh' };
+      }
+
+      return {
+        success: true,
+        jobId: job.jobId,
+        job: job,
+        message: job.status === 'completed' ?
+          `Refresh finished: ${job.diffSummary}` + (job.stoppedReason ? '. ' + job.stoppedReason : '') +
+            '. Details are in the Refresh Report sheet' :
+          `Refresh job started: ${job.leadsProcessed} of ${job.totalRequested} leads processed so far (${job.diffSummary})`
+      };
+    } catch (error) {
+      console.error('Error refreshing leads:', error);
+      return Object.assign(self.toErrorResult(error), { success: false, message: 'Error refreshing leads: ' + error.message });
+    }
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
@@ -0,0 +1,239 @@
+/**
+ * LeadLib - Lead Scoring
+ * Usage:
+ *   LeadLib.scoreLead(spreadsheetId, lead);
+ *   LeadLib.rescoreAllLeads(spreadsheetId);
+ *
+ * Scores are a 0-100 fit against the ideal customer profile (ICP) rules in
+ * the Scoring sheet. Each rule contributes points; the total is normalized
+ * against the maximum points the configured rules can award.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Default ICP rules, also used to seed the Scoring sheet
+  const DEFAULT_RULES = [
+    ['Title Weights', 'CEO=30, Owner=30, Founder=30, Co-Founder=25, President=25, COO=20, CTO=15, CFO=15, VP=12, Director=10', 'Points per title keyword (highest match wins)'],
+    ['Employee Sweet Spot', '11-200', 'Ideal employee range (min-max)'],
+    ['Employee Points', '20', 'Points for a company inside the sweet spot (half within 2x of it)'],
+    ['Industry Allow List', '', 'Comma-separated industries that earn points (empty = any)'],
+    ['Industry Deny List', '', 'Comma-separated industries that always score 0'],
+    ['Industry Points', '15', 'Points for an allowed industry'],
+    ['Founded Year Window', '', 'Ideal founding years (min-max, empty = any)'],
+    ['Founded Year Points', '10', 'Points for a founding year inside the window'],
+    ['Target Locations', '', 'Semicolon-separated location keywords (empty = any)'],
+    ['Location Points', '10', 'Points for a matching location'],
+    ['Email Points', '10', 'Points when an email is present'],
+    ['Phone Points', '10', 'Points when a phone number is present'],
+    ['LinkedIn Points', '5', 'Points when a LinkedIn URL is present']
+  ];
+
+  // Internal LeadScorer class
+  self.LeadScorer = function(spreadsheet) {
+    this.spreadsheet = spreadsheet || null;
+    this.scoringSheetName = 'Scoring';
+    this.rules = this._parseRules(this._readRuleRows());
+  };
+
+  /**
+   * Create the Scoring sheet with the default rules. An existing sheet is
+   * left alone so re-initializing never discards tuned rules.
+   * @returns {Boolean} Success status
+   */
+  self.LeadScorer.prototype.ensureScoringSheet = function() {
+    try {
+      if (this.spreadsheet.getSheetByName(this.scoringSheetName)) {
+        return true;
+      }
+
+      const sheet = this.spreadsheet.insertSheet(this.scoringSheetName);
+      const rows = [['Rule', 'Value', 'Description']].concat(DEFAULT_RULES);
+      sheet.getRange(1, 1, rows.length, 3).setValues(rows);
+
+      // Format header row
+      const headerRange = sheet.getRange(1, 1, 1, 3);
+      headerRange.setBackground('#ea4335');
+      headerRange.setFontColor('white');
+      headerRange.setFontWeight('bold');
+      headerRange.setHorizontalAlignment('center');
+
+      // Set column widths
+      sheet.setColumnWidth(1, 180);
+      sheet.setColumnWidth(2, 400);
+      sheet.setColumnWidth(3, 350);
+      sheet.setFrozenRows(1);
+
+      this.rules = this._parseRules(DEFAULT_RULES);
+      console.log('Scoring sheet initialized successfully');
+      return true;
+
+    } catch (error) {
+      console.error('Error initializing scoring sheet:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Score a lead against the ICP rules
+   * @param {Object} lead - Lead object
+   * @returns {Object} { score, breakdown }
+   */
+  self.LeadScorer.prototype.score = function(lead) {
+    const rules = this.rules;
+    const breakdown = {};
+    let points = 0;
+    let maxPoints = 0;
+
+    const award = (name, earned, possible) => {
+      breakdown[name] = earned;
+      points += earned;
+      maxPoints += possible;
+    };
+
+    const industry = String(lead.industry || '').toLowerCase();
+    if (industry && rules.industryDeny.indexOf(industry) !== -1) {
+      return { score: 0, breakdown: { industry: 'denied' } };
+    }
+
+    // Title seniority: highest matching keyword wins
+    const title = String(lead.title || '').toLowerCase();
+    const titleWeights = Object.keys(rules.titleWeights).map(key => rules.titleWeights[key]);
+    const titleMax = titleWeights.length > 0 ? Math.max.apply(null, titleWeights) : 0;
+    const titlePoints = Object.keys(rules.titleWeights)
+      .filter(keyword => new RegExp('\\b' + keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b').test(title))
+      .reduce((best, keyword) => Math.max(best, rules.titleWeights[keyword]), 0);
+    award('title', titlePoints, titleMax);
+
+    // Employee sweet spot, with half points when within 2x of it
+    if (rules.employeeRange) {
+      const employees = parseInt(lead.employees) || 0;
+      const range = rules.employeeRange;
+      let employeePoints = 0;
+      if (employees >= range.min && employees <= range.max) {
+        employeePoints = rules.employeePoints;
+      } else if (employees > 0 && employees >= range.min / 2 && employees <= range.max * 2) {
+        employeePoints = Math.round(rules.employeePoints / 2);
+      }
+      award('employees', employeePoints, rules.employeePoints);
+    }
+
+    // Industry allow list (empty list = any known industry)
+    const allowed = rules.industryAllow.length === 0 ? industry !== '' : rules.industryAllow.indexOf(industry) !== -1;
+    award('industry', allowed ? rules.industryPoints : 0, rules.industryPoints);
+
+    // Founded year window
+    if (rules.foundedYearRange) {
+      const year = parseInt(lead.foundedYear) || 0;
+      const inWindow = year >= rules.foundedYearRange.min && year <= rules.foundedYearRange.max;
+      award('foundedYear', inWindow ? rules.foundedYearPoints : 0, rules.foundedYearPoints);
+    }
+
+    // Location keywords
+    if (rules.locations.length > 0) {
+      const location = String(lead.location || '').toLowerCase();
+      const matches = rules.locations.some(keyword => location.indexOf(keyword) !== -1);
+      award('location', matches ? rules.locationPoints : 0, rules.locationPoints);
+    }
+
+    // Reachability
+    award('email', lead.email ? rules.emailPoints : 0, rules.emailPoints);
+    award('phone', lead.phone ? rules.phonePoints : 0, rules.phonePoints);
+    award('linkedin', lead.linkedin ? rules.linkedinPoints : 0, rules.linkedinPoints);
+
+    const score = maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 0;
+    return { score: Math.max(0, Math.min(100, score)), breakdown: breakdown };
+  };
+
+  /**
+   * Read rule rows from the Scoring sheet, falling back to the defaults
+   * @returns {Array} [rule, value] rows
+   */
+  self.LeadScorer.prototype._readRuleRows = function() {
+    try {
+      const sheet = this.spreadsheet && this.spreadsheet.getSheetByName(this.scoringSheetName);
+      if (!sheet || sheet.getLastRow() < 2) {
+        return DEFAULT_RULES;
+      }
+
+      const configured = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+      // Rules missing from the sheet keep their default value
+      return DEFAULT_RULES.map(rule => configured.find(row => row[0] === rule[0]) || rule);
+    } catch (error) {
+      console.error('Error reading scoring rules:', error);
+      return DEFAULT_RULES;
+    }
+  };
+
+  /**
+   * Parse rule rows into a rules object
+   * @param {Array} rows - [rule, value] rows
+   * @returns {Object} Rules
+   */
+  self.LeadScorer.prototype._parseRules = function(rows) {
+    const values = {};
+    rows.forEach(row => {
+      values[row[0]] = String(row[1] === undefined || row[1] === null ? '' : row[1]).trim();
+    });
+
+    const list = (value, separator) => value
+      .split(separator)
+      .map(item => item.trim().toLowerCase())
+      .filter(item => item !== '');
+    const number = value => parseFloat(value) || 0;
+    const range = value => {
+      const match = value.match(/^(\d+)\s*-\s*(\d+)$/);
+      return match ? { min: parseInt(match[1]), max: parseInt(match[2]) } : null;
+    };
+
+    const titleWeights = {};
+    list(values['Title Weights'], ',').forEach(pair => {
+      const parts = pair.split('=');
+      if (parts.length === 2) {
+        titleWeights[parts[0].trim()] = number(parts[1]);
+      }
+    });
+
+    return {
+      titleWeights: titleWeights,
+      employeeRange: range(values['Employee Sweet Spot']),
+      employeePoints: number(values['Employee Points']),
+      industryAllow: list(values['Industry Allow List'], ','),
+      industryDeny: list(values['Industry Deny List'], ','),
+      industryPoints: number(values['Industry Points']),
+      foundedYearRange: range(values['Founded Year Window']),
+      foundedYearPoints: number(values['Founded Year Points']),
+      locations: list(values['Target Locations'], ';'),
+      locationPoints: number(values['Location Points']),
+      emailPoints: number(values['Email Points']),
+      phonePoints: number(values['Phone Points']),
+      linkedinPoints: number(values['LinkedIn Points'])
+    };
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Score a single lead with the spreadsheet's rules
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} lead - Lead object
+   * @returns {Object} { score, breakdown }
+   */
+  self.scoreLead = function(spreadsheetId, lead) {
+    const scorer = new self.LeadScorer(SpreadsheetApp.openById(spreadsheetId));
+    return scorer.score(lead);
+  };
+
+  /**
+   * Recompute and store the score of every lead
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.rescoreAllLeads = function(spreadsheetId) {
+    const manager = new self.SheetManager(spreadsheetId);
+    return manager.rescoreLeads();
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
@@ -0,0 +1,169 @@
+/**
+ * LeadLib - Name Parsing
+ * Usage:
+ *   LeadLib.parseName(name);
+ *
+ * Validates and formats person names in any script. Names that arrive in
+ * a single case are re-cased (keeping particles such as "van der" lower case
+ * and handling Mc/Mac/O' prefixes); names that already use mixed case are
+ * assumed to be deliberate and left alone.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Internal NameParser class
+  self.NameParser = function() {
+    // Letters and combining marks from any script, plus separators used in names
+    this.nameRegex = /^[\p{L}\p{M}][\p{L}\p{M}\s'\-.]*$/u;
+    this.honorifics = ['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir', 'dame', 'rev', 'hon'];
+    this.suffixes = { jr: 'Jr', sr: 'Sr', ii: 'II', iii: 'III', iv: 'IV', phd: 'PhD', md: 'MD', esq: 'Esq' };
+    this.particles = [
+      'al', 'bin', 'da', 'das', 'de', 'del', 'della', 'den', 'der', 'di', 'do', 'dos',
+      'du', 'el', 'ibn', 'la', 'le', 'ten', 'ter', 'van', 'von', 'y'
+    ];
+    // "Mac" is only a prefix for these; Mack, Macy and Machado are not MacK/MacY/MacHado
+    this.macSurnames = /^mac(arthur|donald|dougall|ewan|farlane|gregor|innes|intosh|intyre|kay|kenzie|laren|lean|lennan|leod|master|millan|nab|neil|pherson|quarrie|rae)$/;
+    // Scripts written family name first without spaces
+    this.familyFirstScripts = /^[\p{Script=Han}\p{Script=Hangul}]+$/u;
+  };
+
+  /**
+   * Validate a name
+   * @param {String} name - Name to validate
+   * @returns {Boolean} Is valid name
+   */
+  self.NameParser.prototype.isValid = function(name) {
+    const normalized = this._normalize(name);
+    return normalized.length > 1 && this.nameRegex.test(normalized);
+  };
+
+  /**
+   * Clean and format a full name
+   * @param {String} name - Name to clean
+   * @returns {String} Cleaned name
+   */
+  self.NameParser.prototype.clean = function(name) {
+    const normalized = this._normalize(name);
+    if (!normalized) return '';
+
+    // Mixed case means someone already cased it on purpose (McDonald, van der Berg)
+    const letters = normalized.replace(/[^\p{L}]/gu, '');
+    const singleCase = letters === letters.toLowerCase() || letters === letters.toUpperCase();
+    if (!singleCase) return normalized;
+
+    return normalized
+      .split(' ')
+      .map((word, i, words) => this._caseWord(word.toLowerCase(), i, words.length))
+      .join(' ');
+  };
+
+  /**
+   * Split a name into honorific, first and last name
+   * @param {String} name - Full name
+   * @returns {Object} { honorific, firstName, lastName, fullName }
+   */
+  self.NameParser.prototype.parse = function(name) {
+    const words = this.clean(name).split(' ').filter(word => word !== '');
+    const result = { honorific: '', firstName: '', lastName: '', fullName: '' };
+
+    if (words.length > 1 && this.honorifics.indexOf(this._bare(words[0])) !== -1) {
+      result.honorific = words.shift();
+    }
+
+    if (words.length === 1 && this.familyFirstScripts.test(words[0]) && words[0].length > 1) {
+      // 王伟 -> family name 王, given name 伟
+      result.lastName = words[0].charAt(0);
+      result.firstName = words[0].slice(1);
+    } else if (words.length > 0) {
+      result.firstName = words[0];
+      result.lastName = words.slice(1).join(' ');
+    }
+
+    result.fullName = words.join(' ');
+    return result;
+  };
+
+  /**
+   * Case a single lowercased word
+   * @param {String} word - Lowercased word
+   * @param {Number} position - Word position in the name
+   * @param {Number} count - Number of words in the name
+   * @returns {String} Cased word
+   */
+  self.NameParser.prototype._caseWord = function(word, position, count) {
+    const bare = this._bare(word);
+
+    // Particles sit between given and family names; "John Le" keeps "Le"
+    if (position > 0 && position < count - 1 && this.particles.indexOf(bare) !== -1) {
+      return word;
+    }
+    if (position > 0 && this.suffixes[bare]) {
+      return this.suffixes[bare] + word.slice(bare.length);
+    }
+
+    return word
+      .split('-')
+      .map(part => {
+        const apostrophe = part.match(/^(\p{L})'(.+)$/u);
+        if (apostrophe) {
+          return apostrophe[1].toUpperCase() + "'" + this._capitalize(apostrophe[2]);
+        }
+        if (/^mc.+/.test(part)) {
+          return 'Mc' + this._capitalize(part.slice(2));
+        }
+        if (this.macSurnames.test(part)) {
+          return 'Mac' + this._capitalize(part.slice(3));
+        }
+        return this._capitalize(part);
+      })
+      .join('-');
+  };
+
+  /**
+   * Upper-case the first letter of a word
+   * @param {String} word - Word
+   * @returns {String} Capitalized word
+   */
+  self.NameParser.prototype._capitalize = function(word) {
+    const first = Array.from(word)[0] || '';
+    return first.toUpperCase() + word.slice(first.length);
+  };
+
+  /**
+   * Strip trailing periods for list lookups ("Dr." -> "dr")
+   * @param {String} word - Word
+   * @returns {String} Lowercased bare word
+   */
+  self.NameParser.prototype._bare = function(word) {
+    return word.toLowerCase().replace(/\.+$/, '');
+  };
+
+  /**
+   * Normalize Unicode form, apostrophes and whitespace
+   * @param {String} name - Raw name
+   * @returns {String} Normalized name
+   */
+  self.NameParser.prototype._normalize = function(name) {
+    return String(name || '')
+      .normalize('NFC')
+      .replace(/[‘’ʼ`]/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim();
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Split a name into honorific, first and last name
+   * @param {String} name - Full name
+   * @returns {Object} Parsed name
+   */
+  self.parseName = function(name) {
+    const parser = new self.NameParser();
+    return parser.parse(name);
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
@@ -0,0 +1,238 @@
+/**
+ * LeadLib - Phone Normalization
+ * Usage:
+ *   LeadLib.normalizePhone(phone, location, defaultRegion);
+ *
+ * Parses phone numbers into E.164 using the lead's country (taken from its
+ * location, else the "Default Phone Region" setting). Only the countries in
+ * PHONE_REGIONS are parsed from national format; numbers already written
+ * with a "+" country code are accepted for any country.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Region -> calling code, trunk prefix, national number lengths, mobile
+  // prefixes (null when mobile and landline numbers can't be told apart) and
+  // display grouping. German area codes vary in length, and so do its numbers.
+  // A trunk prefix of "0" is always stripped, since national numbers in those
+  // regions never start with 0
+  const PHONE_REGIONS = {
+    US: { code: '1', trunk: '1', lengths: [10], mobile: null, groups: [3, 3, 4] },
+    CA: { code: '1', trunk: '1', lengths: [10], mobile: null, groups: [3, 3, 4] },
+    GB: { code: '44', trunk: '0', lengths: [10], mobile: ['7'], groups: [4, 6] },
+    IE: { code: '353', trunk: '0', lengths: [9], mobile: ['8'], groups: [2, 3, 4] },
+    DE: { code: '49', trunk: '0', lengths: [6, 7, 8, 9, 10, 11], mobile: ['15', '16', '17'], groups: [3, 8] },
+    FR: { code: '33', trunk: '0', lengths: [9], mobile: ['6', '7'], groups: [1, 2, 2, 2, 2] },
+    ES: { code: '34', trunk: '', lengths: [9], mobile: ['6', '7'], groups: [3, 3, 3] },
+    IT: { code: '39', trunk: '', lengths: [9, 10, 11], mobile: ['3'], groups: [3, 3, 4] },
+    NL: { code: '31', trunk: '0', lengths: [9], mobile: ['6'], groups: [1, 4, 4] },
+    AU: { code: '61', trunk: '0', lengths: [9], mobile: ['4'], groups: [1, 4, 4] },
+    NZ: { code: '64', trunk: '0', lengths: [8, 9, 10], mobile: ['2'], groups: [2, 3, 4] },
+    IN: { code: '91', trunk: '0', lengths: [10], mobile: ['6', '7', '8', '9'], groups: [5, 5] },
+    SG: { code: '65', trunk: '', lengths: [8], mobile: ['8', '9'], groups: [4, 4] },
+    ZA: { code: '27', trunk: '0', lengths: [9], mobile: ['6', '7', '8'], groups: [2, 3, 4] },
+    AE: { code: '971', trunk: '0', lengths: [8, 9], mobile: ['5'], groups: [2, 3, 4] },
+    BR: { code: '55', trunk: '0', lengths: [10, 11], mobile: null, groups: [2, 5, 4] },
+    MX: { code: '52', trunk: '', lengths: [10], mobile: null, groups: [2, 4, 4] }
+  };
+
+  // Country names and aliases found at the end of Apollo locations
+  const COUNTRY_NAMES = {
+    'united states': 'US', 'united states of america': 'US', 'usa': 'US', 'us': 'US',
+    'canada': 'CA', 'united kingdom': 'GB', 'uk': 'GB', 'england': 'GB', 'scotland': 'GB',
+    'wales': 'GB', 'ireland': 'IE', 'germany': 'DE', 'deutschland': 'DE', 'france': 'FR',
+    'spain': 'ES', 'italy': 'IT', 'netherlands': 'NL', 'the netherlands': 'NL',
+    'australia': 'AU', 'new zealand': 'NZ', 'india': 'IN', 'singapore': 'SG',
+    'south africa': 'ZA', 'united arab emirates': 'AE', 'uae': 'AE', 'brazil': 'BR',
+    'brasil': 'BR', 'mexico': 'MX'
+  };
+
+  // US states and Canadian provinces, for "City, State" locations without a country
+  const US_STATES = [
+    'alabama', 'alaska', 'arizona', 'arkansas', 'california', 'colorado', 'connecticut',
+    'delaware', 'florida', 'georgia', 'hawaii', 'idaho', 'illinois', 'indiana', 'iowa',
+    'kansas', 'kentucky', 'louisiana', 'maine', 'maryland', 'massachusetts', 'michigan',
+    'minnesota', 'mississippi', 'missouri', 'montana', 'nebraska', 'nevada', 'new hampshire',
+    'new jersey', 'new mexico', 'new york', 'north carolina', 'north dakota', 'ohio',
+    'oklahoma', 'oregon', 'pennsylvania', 'rhode island', 'south carolina', 'south dakota',
+    'tennessee', 'texas', 'utah', 'vermont', 'virginia', 'washington', 'west virginia',
+    'wisconsin', 'wyoming', 'district of columbia'
+  ];
+  const CA_PROVINCES = [
+    'alberta', 'british columbia', 'manitoba', 'new brunswick', 'newfoundland and labrador',
+    'nova scotia', 'ontario', 'prince edward island', 'quebec', 'saskatchewan'
+  ];
+
+  // Internal PhoneNormalizer class
+  self.PhoneNormalizer = function(defaultRegion) {
+    const region = String(defaultRegion || '').trim().toUpperCase();
+    this.defaultRegion = PHONE_REGIONS[region] ? region : 'US';
+  };
+
+  /**
+   * Parse a phone number
+   * @param {String} phone - Raw phone number
+   * @param {String} location - Lead location, used to pick the country
+   * @returns {Object} { status, e164, display, type, extension, region, raw, reason }
+   *   status is "valid", "invalid" or "" when there is no number; raw and
+   *   reason are only set for invalid numbers
+   */
+  self.PhoneNormalizer.prototype.normalize = function(phone, location) {
+    const raw = String(phone === undefined || phone === null ? '' : phone).trim();
+    const empty = { status: '', e164: '', display: '', type: '', extension: '', region: '', raw: '' };
+    if (!raw) return empty;
+
+    const invalid = reason => Object.assign({}, empty, { status: 'invalid', raw: raw, reason: reason });
+
+    // Split off an extension ("x123", "ext. 123", "#123")
+    const extensionMatch = raw.match(/^(.*?)\s*(?:ext\.?|extension|x|#)\s*(\d{1,6})\s*$/i);
+    const main = extensionMatch ? extensionMatch[1] : raw;
+    const extension = extensionMatch ? extensionMatch[2] : '';
+
+    if (/[a-z]/i.test(main)) {
+      return invalid('Contains letters');
+    }
+
+    let digits = main.replace(/\D/g, '');
+    const international = /^\s*(\+|00)/.test(main);
+    if (main.trim().indexOf('00') === 0) {
+      digits = digits.slice(2);
+    }
+
+    let region;
+    let national;
+    if (international) {
+      region = this._regionForNumber(digits, this.regionFromLocation(location));
+      if (!region) {
+        // Unknown country: trust the "+" form when it fits E.164's length
+        if (digits.length < 8 || digits.length > 15) {
+          return invalid('Wrong length for an international number');
+        }
+        return Object.assign({}, empty, {
+          status: 'valid', e164: '+' + digits, display: '+' + digits, type: 'unknown', extension: extension
+        });
+      }
+      national = digits.slice(PHONE_REGIONS[region].code.length);
+    } else {
+      region = this.regionFromLocation(location) || this.defaultRegion;
+      const trunk = PHONE_REGIONS[region].trunk;
+      national = this._hasTrunk(PHONE_REGIONS[region], digits) ? digits.slice(trunk.length) : digits;
+    }
+
+    const meta = PHONE_REGIONS[region];
+    // Some people write the trunk prefix after the country code: +44 (0)20...
+    if (this._hasTrunk(meta, national)) {
+      national = national.slice(meta.trunk.length);
+    }
+
+    if (meta.lengths.indexOf(national.length) === -1) {
+      return invalid(`Wrong length for a ${region} number`);
+    }
+
+    return {
+      status: 'valid',
+      e164: '+' + meta.code + national,
+      display: this._format(meta, national),
+      type: this._lineType(meta, national),
+      extension: extension,
+      region: region,
+      raw: ''
+    };
+  };
+
+  /**
+   * Check whether a number starts with its region's trunk prefix. A "1"
+   * trunk (US, CA) is also a valid first digit, so it only counts when the
+   * number is too long without it.
+   * @param {Object} meta - Region metadata
+   * @param {String} digits - Number digits, without the country code
+   * @returns {Boolean} Whether to strip the trunk prefix
+   */
+  self.PhoneNormalizer.prototype._hasTrunk = function(meta, digits) {
+    if (!meta.trunk || digits.indexOf(meta.trunk) !== 0) {
+      return false;
+    }
+    return meta.trunk === '0' || meta.lengths.indexOf(digits.length) === -1;
+  };
+
+  /**
+   * Pick the country for a location string
+   * @param {String} location - Location ("City, State, Country")
+   * @returns {String|null} Region code
+   */
+  self.PhoneNormalizer.prototype.regionFromLocation = function(location) {
+    const parts = String(location || '')
+      .split(',')
+      .map(part => part.trim().toLowerCase())
+      .filter(part => part !== '');
+
+    for (let i = parts.length - 1; i >= 0; i--) {
+      if (COUNTRY_NAMES[parts[i]]) return COUNTRY_NAMES[parts[i]];
+      if (US_STATES.indexOf(parts[i]) !== -1) return 'US';
+      if (CA_PROVINCES.indexOf(parts[i]) !== -1) return 'CA';
+    }
+    return null;
+  };
+
+  /**
+   * Find the region whose calling code prefixes an international number
+   * @param {String} digits - Digits after "+"
+   * @param {String} hint - Region suggested by the location (breaks +1 ties)
+   * @returns {String|null} Region code
+   */
+  self.PhoneNormalizer.prototype._regionForNumber = function(digits, hint) {
+    if (hint && digits.indexOf(PHONE_REGIONS[hint].code) === 0) {
+      return hint;
+    }
+
+    // Calling codes are prefix-free, so the first match is the only match
+    return Object.keys(PHONE_REGIONS).find(region => digits.indexOf(PHONE_REGIONS[region].code) === 0) || null;
+  };
+
+  /**
+   * Classify a national number as mobile or landline
+   * @param {Object} meta - Region metadata
+   * @param {String} national - National number
+   * @returns {String} "mobile", "landline" or "unknown"
+   */
+  self.PhoneNormalizer.prototype._lineType = function(meta, national) {
+    if (!meta.mobile) return 'unknown';
+    return meta.mobile.some(prefix => national.indexOf(prefix) === 0) ? 'mobile' : 'landline';
+  };
+
+  /**
+   * Format a national number for display in international form
+   * @param {Object} meta - Region metadata
+   * @param {String} national - National number
+   * @returns {String} Display number, e.g. "+44 2079 460958"
+   */
+  self.PhoneNormalizer.prototype._format = function(meta, national) {
+    const groups = [];
+    let index = 0;
+    meta.groups.forEach((size, i) => {
+      // The last group takes whatever is left, for variable-length regions
+      const end = i === meta.groups.length - 1 ? national.length : index + size;
+      groups.push(national.slice(index, end));
+      index = end;
+    });
+    return '+' + meta.code + ' ' + groups.filter(group => group !== '').join(' ');
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Parse a phone number into E.164
+   * @param {String} phone - Raw phone number
+   * @param {String} location - Lead location
+   * @param {String} defaultRegion - Fallback region code (e.g. "US")
+   * @returns {Object} Parsed phone
+   */
+  self.normalizePhone = function(phone, location, defaultRegion) {
+    const normalizer = new self.PhoneNormalizer(defaultRegion);
+    return normalizer.normalize(phone, location);
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
@@ -0,0 +1,161 @@
+/**
+ * LeadLib - Sales Pipeline
+ * Usage:
+ *   LeadLib.getPipelineStages(spreadsheetId);
+ *   LeadLib.updateLeadStage(spreadsheetId, leadId, stage);
+ *   LeadLib.migratePipelineStages(spreadsheetId);
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Internal LeadPipeline class
+  self.LeadPipeline = function(stages) {
+    this.stages = stages && stages.length > 0 ? stages : self.LeadPipeline.DEFAULT_STAGES.slice();
+    this.initialStage = this.stages[0];
+  };
+
+  self.LeadPipeline.DEFAULT_STAGES = [
+    'New', 'Contacted', 'Replied', 'Meeting Booked', 'Qualified', 'Won', 'Lost', 'Unsubscribed'
+  ];
+
+  // Stages that end a lead without progress; they rank below every open stage
+  self.LeadPipeline.CLOSED_LOST_STAGES = ['lost', 'unsubscribed', 'disqualified'];
+
+  /**
+   * Build a pipeline from the "Pipeline Stages" setting (comma-separated)
+   * @param {String} setting - Setting value
+   * @returns {LeadPipeline} Pipeline
+   */
+  self.LeadPipeline.fromSetting = function(setting) {
+    const stages = String(setting || '')
+      .split(',')
+      .map(stage => stage.trim())
+      .filter(stage => stage !== '');
+    return new self.LeadPipeline(stages);
+  };
+
+  /**
+   * Resolve a stage name case-insensitively
+   * @param {String} stage - Stage name
+   * @returns {String|null} Canonical stage name, or null when unknown
+   */
+  self.LeadPipeline.prototype.resolveStage = function(stage) {
+    const name = String(stage || '').trim().toLowerCase();
+    return this.stages.find(s => s.toLowerCase() === name) || null;
+  };
+
+  /**
+   * Stage a lead is in, falling back to its legacy Contacted flag
+   * @param {Object} lead - Lead object
+   * @returns {String} Stage name
+   */
+  self.LeadPipeline.prototype.stageOf = function(lead) {
+    const stage = this.resolveStage(lead.stage);
+    if (stage) return stage;
+    return this.isContactedFlag(lead.contacted) ? this.contactedStage() : this.initialStage;
+  };
+
+  /**
+   * Stage that the legacy "contacted" flag maps to
+   * @returns {String} Stage name
+   */
+  self.LeadPipeline.prototype.contactedStage = function() {
+    return this.resolveStage('Contacted') || this.stages[Math.min(1, this.stages.length - 1)];
+  };
+
+  /**
+   * Whether a stage counts as contacted (anything past the first stage)
+   * @param {String} stage - Stage name
+   * @returns {Boolean} Contacted status
+   */
+  self.LeadPipeline.prototype.isContacted = function(stage) {
+    return this.resolveStage(stage) !== this.initialStage;
+  };
+
+  /**
+   * How far along the pipeline a stage is, for "best stage reached"
+   * @param {String} stage - Stage name
+   * @returns {Number} Rank (higher is further), -1 for unknown stages
+   */
+  self.LeadPipeline.prototype.rank = function(stage) {
+    const name = this.resolveStage(stage);
+    if (!name) return -1;
+    if (self.LeadPipeline.CLOSED_LOST_STAGES.indexOf(name.toLowerCase()) !== -1) return 0;
+    return this.stages.indexOf(name) + 1;
+  };
+
+  /**
+   * Interpret a TRUE/FALSE cell value
+   * @param {*} value - Cell value
+   * @returns {Boolean} Flag value
+   */
+  self.LeadPipeline.prototype.isContactedFlag = function(value) {
+    return value === true || String(value).toUpperCase() === 'TRUE';
+  };
+
+  /**
+   * Move a lead to a new stage, recording the transition
+   * @param {Object} lead - Lead object
+   * @param {String} stage - Target stage
+   * @returns {Object} Updated lead (copy)
+   */
+  self.LeadPipeline.prototype.transition = function(lead, stage) {
+    const target = this.resolveStage(stage);
+    if (!target) {
+      throw new Error(`Unknown pipeline stage "${stage}". Valid stages: ${this.stages.join(', ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const history = Array.isArray(lead.stageHistory) ? lead.stageHistory.slice() : [];
+    const from = this.stageOf(lead);
+
+    if (from !== target || history.length === 0) {
+      history.push({ from: from, stage: target, at: now });
+    }
+
+    return Object.assign({}, lead, {
+      stage: target,
+      stageUpdatedAt: now,
+      stageHistory: history,
+      contacted: this.isContacted(target)
+    });
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * Get the configured pipeline stages
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.getPipelineStages = function(spreadsheetId) {
+    const manager = new self.SheetManager(spreadsheetId);
+    return { success: true, stages: manager.getPipeline().stages };
+  };
+
+  /**
+   * Move a lead to a pipeline stage with default manager
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} leadId - Lead ID
+   * @param {String} stage - Target stage
+   * @returns {Object} Result object
+   */
+  self.updateLeadStage = function(spreadsheetId, leadId, stage) {
+    const manager = new self.SheetManager(spreadsheetId);
+    return manager.updateLeadStage(leadId, stage);
+  };
+
+  /**
+   * Migrate legacy TRUE/FALSE Contacted values to pipeline stages
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.migratePipelineStages = function(spreadsheetId) {
+    const manager = new self.SheetManager(spreadsheetId);
+    return manager.migratePipelineStages();
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
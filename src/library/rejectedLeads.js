@@ -0,0 +1,212 @@
+/**
+ * LeadLib - Rejected Leads Quarantine
+ * Usage:
+ *   LeadLib.getRejectedLeads(spreadsheetId);
+ *   LeadLib.promoteRejectedLeads(spreadsheetId);
+ *
+ * Leads dropped by cleanLeads are kept in the Rejected sheet with a reason
+ * code (invalid_email, invalid_name, duplicate_email, duplicate_name or
+ * processing_error) and the fetch job they came from. Fix the Lead Name /
+ * Email cells by hand, then promote: rows that now pass validation move to
+ * the Leads sheet, the rest stay with their updated reason.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Internal RejectedLeads class
+  self.RejectedLeads = function(spreadsheetId) {
+    this.spreadsheetId = spreadsheetId;
+    this.spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    this.rejectedSheetName = 'Rejected';
+    this.headers = ['Rejected At', 'Reason', 'Message', 'Job ID', 'Lead Name', 'Email', 'Company', 'Raw Lead'];
+  };
+
+  /**
+   * Get the Rejected sheet, creating it on first use
+   * @returns {Sheet} Rejected sheet
+   */
+  self.RejectedLeads.prototype.getSheet = function() {
+    let sheet = this.spreadsheet.getSheetByName(this.rejectedSheetName);
+
+    if (!sheet) {
+      sheet = this.spreadsheet.insertSheet(this.rejectedSheetName);
+      sheet.getRange(1, 1, 1, this.headers.length).setValues([this.headers]);
+
+      // Format header row
+      const headerRange = sheet.getRange(1, 1, 1, this.headers.length);
+      headerRange.setBackground('#ea4335');
+      headerRange.setFontColor('white');
+      headerRange.setFontWeight('bold');
+      headerRange.setHorizontalAlignment('center');
+
+      // Set column widths
+      const columnWidths = [160, 130, 250, 280, 150, 200, 200, 400];
+      for (let i = 0; i < columnWidths.length; i++) {
+        sheet.setColumnWidth(i + 1, columnWidths[i]);
+      }
+
+      sheet.setFrozenRows(1);
+    }
+
+    return sheet;
+  };
+
+  /**
+   * Store rejected leads from a cleaning report
+   * @param {Array} rejected - Report entries { reason, message, lead }
+   * @param {String} jobId - Fetch job the leads came from
+   * @returns {Boolean} Success status
+   */
+  self.RejectedLeads.prototype.recordMany = function(rejected, jobId) {
+    try {
+      if (!rejected || rejected.length === 0) {
+        return true;
+      }
+
+      const timestamp = new Date().toISOString();
+      const rows = rejected.map(entry => [
+        timestamp,
+        entry.reason,
+        entry.message || '',
+        jobId || '',
+        entry.lead.name || '',
+        entry.lead.email || '',
+        entry.lead.company || '',
+        JSON.stringify(entry.lead)
+      ]);
+
+      const sheet = this.getSheet();
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, this.headers.length).setValues(rows);
+      return true;
+
+    } catch (error) {
+      console.error('Error recording rejected leads:', error);
+      return false;
+    }
+  };
+
+  /**
+   * List quarantined leads
+   * @returns {Array} { rowNumber, rejectedAt, reason, message, jobId, lead }
+   */
+  self.RejectedLeads.prototype.list = function() {
+    const sheet = this.spreadsheet.getSheetByName(this.rejectedSheetName);
+
+    if (!sheet || sheet.getLastRow() < 2) {
+      return [];
+    }
+
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, this.headers.length).getValues();
+    return data.map((row, i) => ({
+      rowNumber: i + 2,
+      rejectedAt: row[0] instanceof Date ? row[0].toISOString() : row[0],
+      reason: row[1],
+      message: row[2],
+      jobId: row[3],
+      lead: this._rowToLead(row)
+    }));
+  };
+
+  /**
+   * Re-validate every quarantined lead and move the ones that now pass
+   * @param {Object} options - { defaultRegion } for phone parsing
+   * @returns {Object} Result object
+   */
+  self.RejectedLeads.prototype.promote = function(options = {}) {
+    const sheet = this.spreadsheet.getSheetByName(this.rejectedSheetName);
+    const entries = this.list();
+
+    if (entries.length === 0) {
+      return { success: true, promoted: 0, remaining: 0, counts: {}, message: 'No rejected leads to promote' };
+    }
+
+    const report = self.cleanLeadsWithReport(entries.map(entry => entry.lead), options);
+    const saved = self.upsertLeads(this.spreadsheetId, report.leads);
+    if (!saved.success) {
+      return { success: false, error: 'Failed to save promoted leads: ' + saved.error };
+    }
+
+    // Refresh the reason on rows that still fail
+    const stillRejected = {};
+    report.rejected.forEach(entry => {
+      stillRejected[entry.index] = entry;
+    });
+    entries.forEach((entry, i) => {
+      if (stillRejected[i]) {
+        sheet.getRange(entry.rowNumber, 2, 1, 2).setValues([[stillRejected[i].reason, stillRejected[i].message]]);
+      }
+    });
+
+    // Delete promoted rows bottom-up so row numbers stay valid
+    entries
+      .filter((entry, i) => !stillRejected[i])
+      .reverse()
+      .forEach(entry => sheet.deleteRow(entry.rowNumber));
+
+    return {
+      success: true,
+      promoted: report.leads.length,
+      remaining: report.rejected.length,
+      inserted: saved.inserted,
+      updated: saved.updated,
+      counts: report.counts,
+      message: `Promoted ${report.leads.length} leads (${report.rejected.length} still rejected)`
+    };
+  };
+
+  /**
+   * Rebuild a raw lead from a row, applying hand edits to the visible cells
+   * @param {Array} row - Row values
+   * @returns {Object} Raw lead
+   */
+  self.RejectedLeads.prototype._rowToLead = function(row) {
+    let lead = {};
+    try {
+      lead = JSON.parse(row[7] || '{}');
+    } catch (error) {
+      lead = {};
+    }
+
+    lead.name = String(row[4] || '');
+    lead.email = String(row[5] || '');
+    lead.company = String(row[6] || '');
+    return lead;
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * List quarantined leads
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.getRejectedLeads = function(spreadsheetId) {
+    try {
+      const quarantine = new self.RejectedLeads(spreadsheetId);
+      return { success: true, rejected: quarantine.list() };
+    } catch (error) {
+      console.error('Error getting rejected leads:', error);
+      return { success: false, message: error.message };
+    }
+  };
+
+  /**
+   * Re-validate quarantined leads and promote the ones that pass
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.promoteRejectedLeads = function(spreadsheetId) {
+    try {
+      const manager = new self.SheetManager(spreadsheetId);
+      const quarantine = new self.RejectedLeads(spreadsheetId);
+      return quarantine.promote({ defaultRegion: manager.getSetting('Default Phone Region') });
+    } catch (error) {
+      console.error('Error promoting rejected leads:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
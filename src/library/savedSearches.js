@@ -0,0 +1,561 @@
+/**
+ * LeadLib - Saved Searches
+ * Usage:
+ *   LeadLib.saveSearch(spreadsheetId, { name, filters, leadCap, schedule, enabled });
+ *   LeadLib.getSavedSearches(spreadsheetId);
+ *   LeadLib.runSavedSearch(spreadsheetId, searchId);
+ *   LeadLib.runDueSearches(spreadsheetId);
+ *
+ * Named Apollo searches kept in the Searches sheet, each with its own fetch
+ * filters (as sent by the fetch form), lead cap and schedule: manual,
+ * hourly, daily or weekly. While the "Auto Refresh" setting is TRUE one
+ * hourly time-driven trigger runs whichever searches are due; saving the
+ * setting installs or removes it. The host script must define a top-level
+ * `runSavedSearches` function that calls LeadLib.runDueSearches(). The
+ * trigger runs as the user who turned Auto Refresh on, with their Apollo
+ * key. Each run is an ordinary fetch job, so results are upserted and large
+ * runs continue on the fetch job trigger; a search's row shows its last
+ * run's status and counts, brought up to date from the job as it finishes.
+ * A run claimed but never handed to a job (the execution died in between)
+ * counts as failed once the claim is older than any execution can live.
+ */
+
+var LeadLib = (function(ns) {
+  const self = ns || {};
+
+  // Schedule -> minimum time between runs
+  const SEARCH_SCHEDULES = {
+    manual: 0,
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+  };
+
+  // The hourly trigger drifts by a few minutes; don't make a search wait a whole extra hour
+  const SCHEDULE_SLACK = 10 * 60 * 1000;
+
+  // Past Apps Script's 6-minute limit, so a claim this old has no execution behind it
+  const CLAIM_TIMEOUT = 10 * 60 * 1000;
+
+  // Internal SavedSearches class
+  self.SavedSearches = function(spreadsheetId) {
+    this.spreadsheetId = spreadsheetId;
+    this.spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    this.searchesSheetName = 'Searches';
+    this.triggerHandler = 'runSavedSearches';
+    this.maxRuntime = 4 * 60 * 1000; // Start no new run after this; each first slice takes up to 30s
+    this.headers = [
+      'Search ID', 'Name', 'Filters', 'Lead Cap', 'Schedule', 'Enabled', 'Created At',
+      'Last Run At', 'Last Status', 'Last Job ID', 'Last Fetched', 'Last Inserted',
+      'Last Updated', 'Last Rejected', 'Last Message'
+    ];
+  };
+
+  /**
+   * Get the Searches sheet, creating it on first use
+   * @returns {Sheet} Searches sheet
+   */
+  self.SavedSearches.prototype.getSheet = function() {
+    let sheet = this.spreadsheet.getSheetByName(this.searchesSheetName);
+
+    if (!sheet) {
+      sheet = this.spreadsheet.insertSheet(this.searchesSheetName);
+      sheet.getRange(1, 1, 1, this.headers.length).setValues([this.headers]);
+
+      // Format header row
+      const headerRange = sheet.getRange(1, 1, 1, this.headers.length);
+      headerRange.setBackground('#fbbc04');
+      headerRange.setFontColor('white');
+      headerRange.setFontWeight('bold');
+      headerRange.setHorizontalAlignment('center');
+
+      // Set column widths
+      const columnWidths = [280, 200, 400, 80, 90, 80, 160, 160, 100, 280, 90, 90, 90, 90, 300];
+      for (let i = 0; i < columnWidths.length; i++) {
+        sheet.setColumnWidth(i + 1, columnWidths[i]);
+      }
+
+      sheet.setFrozenRows(1);
+    }
+
+    return sheet;
+  };
+
+  /**
+   * List saved searches, with the status of runs still in progress refreshed
+   * @returns {Array} Saved searches (see _rowToSearch)
+   */
+  self.SavedSearches.prototype.list = function() {
+    const sheet = this.spreadsheet.getSheetByName(this.searchesSheetName);
+
+    if (!sheet || sheet.getLastRow() < 2) {
+      return [];
+    }
+
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, this.headers.length).getValues();
+    return data
+      .map((row, i) => this._rowToSearch(row, i + 2))
+      .filter(search => search.id)
+      .map(search => this._syncRun(search));
+  };
+
+  /**
+   * Get a saved search by ID
+   * @param {String} searchId - Search ID
+   * @returns {Object|null} Saved search
+   */
+  self.SavedSearches.prototype.get = function(searchId) {
+    return this.list().find(search => search.id === searchId) || null;
+  };
+
+  /**
+   * Create a saved search, or update one when search.id is given. Run
+   * history is kept across updates.
+   * @param {Object} search - { id, name, filters, leadCap, schedule, enabled }
+   * @returns {Object} Saved search
+   */
+  self.SavedSearches.prototype.save = function(search = {}) {
+    const existing = this.list();
+    const current = search.id ? existing.find(item => item.id === search.id) : null;
+    if (search.id && !current) {
+      throw new self.ValidationError('Saved search not found: ' + search.id);
+    }
+    if (current && current.filtersError && search.filters === undefined) {
+      throw new self.ValidationError(`Saved search "${current.name}": ${current.filtersError}; send its filters again`);
+    }
+
+    const merged = Object.assign({ filters: {}, leadCap: 25, schedule: 'manual', enabled: true }, current || {}, search);
+    const name = String(merged.name || '').trim();
+    if (!name) {
+      throw new self.ValidationError('A saved search needs a name');
+    }
+    if (existing.some(item => item.id !== merged.id && item.name.toLowerCase() === name.toLowerCase())) {
+      throw new self.ValidationError(`A saved search named "${name}" already exists`);
+    }
+    if (SEARCH_SCHEDULES[merged.schedule] === undefined) {
+      throw new self.ValidationError(`Schedule must be one of: ${Object.keys(SEARCH_SCHEDULES).join(', ')}`);
+    }
+
+    const leadCap = parseInt(merged.leadCap);
+    if (!(leadCap >= 1)) {
+      throw new self.ValidationError('Lead cap must be a whole number of at least 1');
+    }
+
+    const filters = this._searchFilters(merged.filters);
+    try {
+      self.mapFilters(filters);
+    } catch (filterError) {
+      throw new self.ValidationError(filterError.message);
+    }
+
+    const saved = Object.assign({}, current || {}, {
+      id: merged.id || 'search_' + Utilities.getUuid(),
+      name: name,
+      filters: filters,
+      leadCap: leadCap,
+      schedule: merged.schedule,
+      enabled: merged.enabled === true || String(merged.enabled).toUpperCase() === 'TRUE',
+      createdAt: merged.createdAt || new Date().toISOString()
+    });
+
+    const sheet = this.getSheet();
+    const values = [[saved.id, saved.name, JSON.stringify(saved.filters), saved.leadCap, saved.schedule, saved.enabled, saved.createdAt]];
+    const rowNumber = current ? current.rowNumber : sheet.getLastRow() + 1;
+    sheet.getRange(rowNumber, 1, 1, values[0].length).setValues(values);
+
+    return this._rowToSearch(sheet.getRange(rowNumber, 1, 1, this.headers.length).getValues()[0], rowNumber);
+  };
+
+  /**
+   * Delete a saved search
+   * @param {String} searchId - Search ID
+   * @returns {Boolean} Whether a search was deleted
+   */
+  self.SavedSearches.prototype.remove = function(searchId) {
+    const search = this.get(searchId);
+    if (!search) {
+      return false;
+    }
+
+    this.getSheet().deleteRow(search.rowNumber);
+    return true;
+  };
+
+  /**
+   * Run a saved search now: start a fetch job for it and record the outcome
+   * @param {Object} search - Saved search
+   * @returns {Object} Result of fetchLeads, with the search
+   */
+  self.SavedSearches.prototype.run = function(search) {
+    // An unreadable hand edit must not turn into a search with no filters
+    if (search.filtersError) {
+      throw new self.ValidationError(`Saved search "${search.name}": ${search.filtersError}`);
+    }
+
+    // Claim the run before starting, so an overlapping trigger doesn't start it twice
+    this._recordRun(search, { lastRunAt: new Date().toISOString(), lastStatus: 'running', lastJobId: '', lastMessage: '' });
+
+    const result = self.fetchLeads(this.spreadsheetId, Object.assign({}, search.filters, { totalLeads: search.leadCap }));
+    const job = result.job || {};
+
+    this._recordRun(search, {
+      lastStatus: job.status === 'completed' ? 'completed' : job.status === 'failed' || !result.success ? 'failed' : 'running',
+      lastJobId: job.jobId || '',
+      lastFetched: job.leadsFetched || 0,
+      lastInserted: job.inserted || 0,
+      lastUpdated: job.updated || 0,
+      lastRejected: job.rejected || 0,
+      lastMessage: result.message || result.error || ''
+    });
+
+    return Object.assign({}, result, { search: this.get(search.id) });
+  };
+
+  /**
+   * Run every enabled, scheduled search whose interval has passed since its
+   * last run. Searches still running from last time are left alone, and
+   * searches left over once the runtime budget is spent wait for the next
+   * trigger.
+   * @param {Date} now - Current time (for testing)
+   * @returns {Object} { ran, failed, skipped, deferred } with the names run
+   */
+  self.SavedSearches.prototype.runDue = function(now = new Date()) {
+    const summary = { ran: [], failed: [], skipped: 0, deferred: 0 };
+    const startTime = new Date().getTime();
+
+    this.list().forEach(search => {
+      if (!this.isDue(search, now)) {
+        summary.skipped++;
+        return;
+      }
+
+      if (new Date().getTime() - startTime > this.maxRuntime) {
+        summary.deferred++;
+        return;
+      }
+
+      try {
+        const result = this.run(search);
+        (result.success ? summary.ran : summary.failed).push(search.name);
+      } catch (error) {
+        console.error('Error running saved search ' + search.name + ':', error);
+        this._recordRun(search, { lastStatus: 'failed', lastMessage: error.message });
+        summary.failed.push(search.name);
+      }
+    });
+
+    return summary;
+  };
+
+  /**
+   * Whether a saved search should run on this trigger
+   * @param {Object} search - Saved search
+   * @param {Date} now - Current time
+   * @returns {Boolean} Due status
+   */
+  self.SavedSearches.prototype.isDue = function(search, now) {
+    const interval = SEARCH_SCHEDULES[search.schedule];
+    if (!search.enabled || !interval || search.lastStatus === 'running') {
+      return false;
+    }
+    if (!search.lastRunAt) {
+      return true;
+    }
+    return now.getTime() - new Date(search.lastRunAt).getTime() >= interval - SCHEDULE_SLACK;
+  };
+
+  /**
+   * Install or remove the hourly trigger that runs due searches
+   * @param {Boolean} enabled - Whether scheduled searches should run
+   * @returns {Boolean} Whether the trigger is now installed
+   */
+  self.SavedSearches.prototype.setScheduled = function(enabled) {
+    const triggers = ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === this.triggerHandler);
+
+    if (enabled && triggers.length === 0) {
+      ScriptApp.newTrigger(this.triggerHandler)
+        .timeBased()
+        .everyHours(1)
+        .create();
+      console.log('Installed saved search trigger');
+    }
+
+    if (!enabled) {
+      triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    }
+
+    return enabled;
+  };
+
+  /**
+   * Whether the hourly saved search trigger is installed
+   * @returns {Boolean} Scheduled status
+   */
+  self.SavedSearches.prototype.isScheduled = function() {
+    return ScriptApp.getProjectTriggers()
+      .some(trigger => trigger.getHandlerFunction() === this.triggerHandler);
+  };
+
+  /**
+   * Copy a still-running search's counts from its fetch job, and mark it
+   * completed or failed once the job is
+   * @param {Object} search - Saved search
+   * @returns {Object} Updated saved search
+   */
+  self.SavedSearches.prototype._syncRun = function(search) {
+    if (search.lastStatus !== 'running') {
+      return search;
+    }
+
+    if (!search.lastJobId) {
+      const claimedAt = new Date(search.lastRunAt).getTime();
+      if (!isNaN(claimedAt) && new Date().getTime() - claimedAt < CLAIM_TIMEOUT) {
+        return search;
+      }
+      const updates = { lastStatus: 'failed', lastMessage: 'The run stopped before its fetch job started' };
+      this._recordRun(search, updates);
+      return Object.assign({}, search, updates);
+    }
+
+    const job = new self.FetchJobManager().getJob(search.lastJobId);
+    const updates = !job ?
+      { lastStatus: 'failed', lastMessage: 'The fetch job for this run is no longer available' } :
+      {
+        lastStatus: job.status === 'completed' || job.status === 'failed' ? job.status : 'running',
+        lastFetched: job.leadsFetched,
+        lastInserted: job.inserted,
+        lastUpdated: job.updated,
+        lastRejected: job.rejected || 0,
+        lastMessage: job.status === 'failed' ? 'Error fetching leads: ' + job.error :
+          `${job.leadsWritten} of ${job.totalRequested} leads (${job.inserted} new, ${job.updated} updated, ` +
+            `${job.unchanged} unchanged, ${job.rejected || 0} rejected)`
+      };
+
+    if (updates.lastStatus === search.lastStatus && updates.lastFetched === search.lastFetched) {
+      return search;
+    }
+
+    this._recordRun(search, updates);
+    return Object.assign({}, search, updates);
+  };
+
+  /**
+   * Write run columns for a search
+   * @param {Object} search - Saved search (with rowNumber)
+   * @param {Object} fields - lastRunAt, lastStatus, lastJobId, lastFetched, lastInserted,
+   *   lastUpdated, lastRejected and/or lastMessage
+   */
+  self.SavedSearches.prototype._recordRun = function(search, fields) {
+    const sheet = this.getSheet();
+    const runColumns = ['lastRunAt', 'lastStatus', 'lastJobId', 'lastFetched', 'lastInserted', 'lastUpdated', 'lastRejected', 'lastMessage'];
+    const firstColumn = this.headers.indexOf('Last Run At') + 1;
+    const range = sheet.getRange(search.rowNumber, firstColumn, 1, runColumns.length);
+    const row = range.getValues()[0];
+
+    runColumns.forEach((field, i) => {
+      if (fields[field] !== undefined) {
+        row[i] = fields[field];
+      }
+    });
+    range.setValues([row]);
+  };
+
+  /**
+   * Fetch form filters without the paging keys a saved search sets itself
+   * @param {Object|String} filters - Filters, or their JSON
+   * @returns {Object} Filters
+   */
+  self.SavedSearches.prototype._searchFilters = function(filters) {
+    let parsed = filters;
+    if (typeof filters === 'string') {
+      try {
+        parsed = JSON.parse(filters || '{}');
+      } catch (error) {
+        throw new self.ValidationError('Filters must be a JSON object');
+      }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new self.ValidationError('Filters must be an object');
+    }
+
+    const cleaned = {};
+    Object.keys(parsed).forEach(key => {
+      const value = parsed[key];
+      const empty = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+      if (!empty && ['page', 'perPage', 'totalLeads'].indexOf(key) === -1) {
+        cleaned[key] = value;
+      }
+    });
+    return cleaned;
+  };
+
+  /**
+   * Read a saved search from a row
+   * @param {Array} row - Row values
+   * @param {Number} rowNumber - Sheet row number
+   * @returns {Object} { id, name, filters, leadCap, schedule, enabled, createdAt, lastRunAt,
+   *   lastStatus, lastJobId, lastFetched, lastInserted, lastUpdated, lastRejected, lastMessage,
+   *   filtersError, nextRunAt, rowNumber }
+   */
+  self.SavedSearches.prototype._rowToSearch = function(row, rowNumber) {
+    const date = value => value instanceof Date ? value.toISOString() : String(value || '');
+    let filters = {};
+    let filtersError = '';
+    try {
+      filters = JSON.parse(row[2] || '{}');
+    } catch (error) {
+      filtersError = 'the Filters cell is not valid JSON';
+    }
+
+    const search = {
+      id: String(row[0] || ''),
+      name: String(row[1] || ''),
+      filters: filters,
+      leadCap: parseInt(row[3]) || 25,
+      schedule: String(row[4] || 'manual').toLowerCase().trim(),
+      enabled: row[5] === true || String(row[5]).toUpperCase() === 'TRUE',
+      createdAt: date(row[6]),
+      lastRunAt: date(row[7]),
+      lastStatus: String(row[8] || ''),
+      lastJobId: String(row[9] || ''),
+      lastFetched: Number(row[10]) || 0,
+      lastInserted: Number(row[11]) || 0,
+      lastUpdated: Number(row[12]) || 0,
+      lastRejected: Number(row[13]) || 0,
+      lastMessage: String(row[14] || ''),
+      filtersError: filtersError,
+      rowNumber: rowNumber
+    };
+
+    // Blank when the search isn't scheduled or hasn't run yet (it runs on the next trigger)
+    const interval = SEARCH_SCHEDULES[search.schedule];
+    search.nextRunAt = search.enabled && interval && search.lastRunAt ?
+      new Date(new Date(search.lastRunAt).getTime() + interval).toISOString() : '';
+    return search;
+  };
+
+  // ===== CONVENIENCE FUNCTIONS =====
+
+  /**
+   * List saved searches and whether the schedule trigger is installed
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.getSavedSearches = function(spreadsheetId) {
+    try {
+      const searches = new self.SavedSearches(spreadsheetId);
+      return {
+        success: true,
+        searches: searches.list(),
+        scheduled: searches.isScheduled(),
+        schedules: Object.keys(SEARCH_SCHEDULES)
+      };
+    } catch (error) {
+      console.error('Error getting saved searches:', error);
+      return { success: false, message: error.message };
+    }
+  };
+
+  /**
+   * Create or update a saved search
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} search - { id (to update), name, filters, leadCap, schedule, enabled }
+   * @returns {Object} Result object
+   */
+  self.saveSearch = function(spreadsheetId, search) {
+    try {
+      const saved = new self.SavedSearches(spreadsheetId).save(search);
+      return { success: true, search: saved, message: `Saved search "${saved.name}"` };
+    } catch (error) {
+      console.error('Error saving search:', error);
+      return Object.assign(self.toErrorResult(error), { success: false });
+    }
+  };
+
+  /**
+   * Delete a saved search
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} searchId - Search ID
+   * @returns {Object} Result object
+   */
+  self.deleteSavedSearch = function(spreadsheetId, searchId) {
+    try {
+      const deleted = new self.SavedSearches(spreadsheetId).remove(searchId);
+      return { success: deleted, message: deleted ? 'Saved search deleted' : 'Saved search not found' };
+    } catch (error) {
+      console.error('Error deleting saved search:', error);
+      return { success: false, message: error.message };
+    }
+  };
+
+  /**
+   * Run a saved search now, whatever its schedule
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} searchId - Search ID
+   * @returns {Object} Result object (as fetchLeads, plus the updated search)
+   */
+  self.runSavedSearch = function(spreadsheetId, searchId) {
+    try {
+      const searches = new self.SavedSearches(spreadsheetId);
+      const search = searches.get(searchId);
+      if (!search) {
+        return { success: false, message: 'Saved search not found' };
+      }
+      return searches.run(search);
+    } catch (error) {
+      console.error('Error running saved search:', error);
+      return Object.assign(self.toErrorResult(error), { success: false });
+    }
+  };
+
+  /**
+   * Run the saved searches that are due (called from the hourly trigger).
+   * Removes the trigger instead when Auto Refresh has been turned off.
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.runDueSearches = function(spreadsheetId) {
+    try {
+      const searches = new self.SavedSearches(spreadsheetId);
+      const autoRefresh = String(new self.SheetManager(spreadsheetId).getSetting('Auto Refresh')).toUpperCase() === 'TRUE';
+      if (!autoRefresh) {
+        searches.setScheduled(false);
+        return { success: true, ran: [], failed: [], skipped: 0, deferred: 0, message: 'Auto Refresh is off; removed the schedule' };
+      }
+
+      const summary = searches.runDue();
+      return Object.assign({
+        success: true,
+        message: `Ran ${summary.ran.length} saved searches (${summary.failed.length} failed, ${summary.skipped} not due` +
+          (summary.deferred > 0 ? `, ${summary.deferred} left for the next run` : '') + ')'
+      }, summary);
+    } catch (error) {
+      console.error('Error running due searches:', error);
+      return { success: false, message: error.message };
+    }
+  };
+
+  /**
+   * Install or remove the saved search trigger
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Boolean} enabled - Whether scheduled searches should run
+   * @returns {Object} Result object
+   */
+  self.setSearchSchedule = function(spreadsheetId, enabled) {
+    try {
+      const scheduled = new self.SavedSearches(spreadsheetId).setScheduled(!!enabled);
+      return {
+        success: true,
+        scheduled: scheduled,
+        message: scheduled ? 'Scheduled searches will run every hour' : 'Scheduled searches are off'
+      };
+    } catch (error) {
+      console.error('Error scheduling saved searches:', error);
+      return { success: false, message: error.message };
+    }
+  };
+
+  // Return augmented namespace
+  return self;
+})(typeof LeadLib !== 'undefined' ? LeadLib : {});
@@ -3,8 +3,15 @@
  * Usage:
  *   LeadLib.initSheets(spreadsheetId);
  *   LeadLib.getLeads(spreadsheetId, filters);
+ *   LeadLib.queryLeads(spreadsheetId, { stage, minScore, sort: 'score:desc,name', pageSize: 50 });
  *   LeadLib.appendLeads(spreadsheetId, leads);
+ *   LeadLib.upsertLeads(spreadsheetId, leads);
  *   LeadLib.updateLeadStatus(spreadsheetId, email, contacted);
+ *   LeadLib.updateLeadStatusById(spreadsheetId, leadId, contacted);
+ *   LeadLib.getLeadDetails(spreadsheetId, leadId);
+ *   LeadLib.deleteLead(spreadsheetId, leadId);
+ *   LeadLib.migrateLeadIds(spreadsheetId);
+ *   LeadLib.migrateApiKey(spreadsheetId);
  *   LeadLib.getSettings(spreadsheetId);
  *   LeadLib.saveSettings(spreadsheetId, settings);
  *   LeadLib.getStats(spreadsheetId);
@@ -17,6 +24,81 @@
 var LeadLib = (function(ns) {
   const self = ns || {};
 
+  // Columns managed by the library in the Leads sheet. Columns are resolved
+  // by header name at runtime, so they may be reordered and users may add
+  // their own columns anywhere without corrupting reads or writes.
+  const LEAD_COLUMNS = [
+    { key: 'timestamp', header: 'Timestamp', width: 120 },
+    { key: 'name', header: 'Lead Name', width: 150, required: true },
+    { key: 'honorific', header: 'Honorific', width: 80 },
+    { key: 'firstName', header: 'First Name', width: 120 },
+    { key: 'lastName', header: 'Last Name', width: 120 },
+    { key: 'title', header: 'Title', width: 120 },
+    { key: 'company', header: 'Company Name', width: 200 },
+    { key: 'industry', header: 'Industry', width: 120 },
+    { key: 'employees', header: 'Employees', width: 80 },
+    { key: 'foundedYear', header: 'Founded Year', width: 80 },
+    { key: 'email', header: 'Email', width: 200, required: true },
+    { key: 'phone', header: 'Phone', width: 120 },
+    { key: 'phoneDisplay', header: 'Phone Display', width: 140 },
+    { key: 'phoneType', header: 'Phone Type', width: 90 },
+    { key: 'phoneExtension', header: 'Phone Extension', width: 90 },
+    { key: 'phoneStatus', header: 'Phone Status', width: 90 },
+    { key: 'phoneRaw', header: 'Phone (Unparsed)', width: 140 },
+    { key: 'location', header: 'Location', width: 150 },
+    { key: 'linkedin', header: 'LinkedIn', width: 200 },
+    { key: 'website', header: 'Website', width: 200 },
+    { key: 'description', header: 'Description', width: 300 },
+    { key: 'contacted', header: 'Contacted', width: 80 },
+    { key: 'source', header: 'Source', width: 100 },
+    { key: 'id', header: 'Lead ID', width: 280 },
+    { key: 'apolloId', header: 'Apollo Person ID', width: 200 },
+    { key: 'organizationId', header: 'Apollo Organization ID', width: 200 },
+    { key: 'stage', header: 'Stage', width: 120 },
+    { key: 'stageUpdatedAt', header: 'Stage Updated', width: 160 },
+    { key: 'stageHistory', header: 'Stage History', width: 300, json: true },
+    { key: 'score', header: 'Score', width: 70 },
+    { key: 'emailStatus', header: 'Email Status', width: 100 },
+    { key: 'emailSuggestion', header: 'Email Suggestion', width: 200 },
+    { key: 'companyId', header: 'Company ID', width: 280 },
+    { key: 'revenue', header: 'Annual Revenue', width: 120 },
+    { key: 'funding', header: 'Total Funding', width: 120 },
+    { key: 'fundingStage', header: 'Funding Stage', width: 120 },
+    { key: 'technologies', header: 'Technologies', width: 250, json: true },
+    { key: 'keywords', header: 'Keywords', width: 250, json: true },
+    { key: 'companyPhone', header: 'Company Phone', width: 120 },
+    { key: 'twitter', header: 'Twitter', width: 200 },
+    { key: 'facebook', header: 'Facebook', width: 200 },
+    { key: 'github', header: 'GitHub', width: 200 },
+    { key: 'companyLinkedin', header: 'Company LinkedIn', width: 200 },
+    { key: 'companyTwitter', header: 'Company Twitter', width: 200 },
+    { key: 'companyFacebook', header: 'Company Facebook', width: 200 },
+    { key: 'enrichedAt', header: 'Enriched At', width: 160 },
+    { key: 'refreshStatus', header: 'Refresh Status', width: 130 },
+    { key: 'refreshedAt', header: 'Refreshed At', width: 160 },
+    { key: 'apolloValues', header: 'Apollo Values', width: 250, json: 'object' }
+  ];
+
+  // Person fields whose last Apollo value is kept in Apollo Values, so a
+  // refresh can tell a stale value from a hand edit
+  const APOLLO_VALUE_FIELDS = [
+    'apolloId', 'title', 'company', 'organizationId', 'location', 'linkedin', 'twitter', 'facebook', 'github', 'email', 'phone'
+  ];
+
+  // Lead fields that sort as numbers and as dates; the rest sort as text
+  const NUMERIC_FIELDS = ['score', 'employees', 'foundedYear', 'revenue', 'funding'];
+  const DATE_FIELDS = ['timestamp', 'stageUpdatedAt', 'enrichedAt', 'refreshedAt'];
+
+  // Date range filters: <name>From and <name>To bound the lead field
+  const DATE_FILTERS = { added: 'timestamp', stageUpdated: 'stageUpdatedAt', enriched: 'enrichedAt' };
+
+  // Counted by queryLeads unless the query names its own facets
+  const DEFAULT_FACETS = ['stage', 'industry', 'emailStatus', 'companySize'];
+  const MAX_PAGE_SIZE = 500;
+
+  // Settings row that older sheets used for the API key (now kept in properties)
+  const API_KEY_SETTING = 'Apollo API Key';
+
   // Internal SheetManager class
   self.SheetManager = function(spreadsheetId) {
     this.spreadsheetId = spreadsheetId;
@@ -39,40 +121,35 @@ var LeadLib = (function(ns) {
 
       // Clear existing data
       sheet.clear();
+      this._leadsChanged();
       
       // Set up headers
-      const headers = [
-        'Timestamp', 'Lead Name', 'Title', 'Company Name', 'Industry',
-        'Employees', 'Founded Year', 'Email', 'Phone', 'Location',
-        'LinkedIn', 'Website', 'Description', 'Contacted', 'Source'
-      ];
-      
+      const headers = LEAD_COLUMNS.map(column => column.header);
       sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
       
       // Format header row
-      const headerRange = sheet.getRange(1, 1, 1, headers.length);
-      headerRange.setBackground('#4285f4');
-      headerRange.setFontColor('white');
-      headerRange.setFontWeight('bold');
-      headerRange.setHorizontalAlignment('center');
+      this._formatLeadHeaders(sheet.getRange(1, 1, 1, headers.length));
       
       // Set column widths
-      const columnWidths = [120, 150, 120, 200, 120, 80, 80, 200, 120, 150, 200, 200, 300, 80, 100];
-      for (let i = 0; i < columnWidths.length; i++) {
-        sheet.setColumnWidth(i + 1, columnWidths[i]);
-      }
+      LEAD_COLUMNS.forEach((column, i) => {
+        sheet.setColumnWidth(i + 1, column.width);
+      });
       
       // Freeze header row
       sheet.setFrozenRows(1);
       
       // Add data validation for Contacted column
-      const contactedRange = sheet.getRange(2, 14, sheet.getMaxRows() - 1, 1);
+      const schema = this._getLeadSchema(sheet);
+      const contactedRange = sheet.getRange(2, this._columnNumber(schema, 'contacted'), sheet.getMaxRows() - 1, 1);
       const validation = SpreadsheetApp.newDataValidation()
         .requireValueInList(['TRUE', 'FALSE'], true)
         .setAllowInvalid(false)
         .build();
       contactedRange.setDataValidation(validation);
       
+      // Add data validation for Stage column
+      this._applyStageValidation(sheet, schema);
+      
       console.log('Leads sheet initialized successfully');
       return true;
       
@@ -82,6 +159,115 @@ var LeadLib = (function(ns) {
     }
   };
 
+  /**
+   * Resolve the managed Leads columns from the sheet's header row
+   * @param {Sheet} sheet - Leads sheet
+   * @returns {Object} Schema: { columns: key -> 0-based index, width }
+   */
+  self.SheetManager.prototype._getLeadSchema = function(sheet) {
+    const lastColumn = sheet.getLastColumn();
+    const headers = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+    const columns = {};
+
+    headers.forEach((header, i) => {
+      const name = String(header).trim().toLowerCase();
+      const column = LEAD_COLUMNS.find(c => c.header.toLowerCase() === name);
+      if (column && columns[column.key] === undefined) {
+        columns[column.key] = i;
+      }
+    });
+
+    const missing = LEAD_COLUMNS
+      .filter(column => column.required && columns[column.key] === undefined)
+      .map(column => column.header);
+
+    if (missing.length > 0) {
+      throw new Error('Leads sheet is missing required columns: ' + missing.join(', '));
+    }
+
+    return { columns: columns, width: headers.length };
+  };
+
+  /**
+   * Append any missing managed columns to the end of the header row
+   * @param {Sheet} sheet - Leads sheet
+   * @returns {Object} Schema including the added columns
+   */
+  self.SheetManager.prototype._ensureLeadColumns = function(sheet) {
+    const schema = this._getLeadSchema(sheet);
+    const missing = LEAD_COLUMNS.filter(column => schema.columns[column.key] === undefined);
+
+    if (missing.length === 0) {
+      return schema;
+    }
+
+    const headerRange = sheet.getRange(1, schema.width + 1, 1, missing.length);
+    headerRange.setValues([missing.map(column => column.header)]);
+    this._formatLeadHeaders(headerRange);
+    console.log('Added Leads columns: ' + missing.map(column => column.header).join(', '));
+
+    return this._getLeadSchema(sheet);
+  };
+
+  /**
+   * Add any managed columns the Leads sheet is missing (e.g. after an upgrade)
+   * @returns {Object} Lead schema
+   */
+  self.SheetManager.prototype.ensureLeadColumns = function() {
+    const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
+    if (!sheet) {
+      throw new Error('Leads sheet not found. Please initialize the sheet first.');
+    }
+    return this._ensureLeadColumns(sheet);
+  };
+
+  /**
+   * Apply the Leads header style to a range
+   * @param {Range} range - Header range
+   */
+  self.SheetManager.prototype._formatLeadHeaders = function(range) {
+    range.setBackground('#4285f4');
+    range.setFontColor('white');
+    range.setFontWeight('bold');
+    range.setHorizontalAlignment('center');
+  };
+
+  /**
+   * Get the 1-based column number for a managed column
+   * @param {Object} schema - Lead schema
+   * @param {String} key - Column key
+   * @returns {Number} Column number, or 0 when the column is absent
+   */
+  self.SheetManager.prototype._columnNumber = function(schema, key) {
+    const index = schema.columns[key];
+    return index === undefined ? 0 : index + 1;
+  };
+
+  /**
+   * Write a row's managed cells back, leaving other columns (and any
+   * formulas in them) untouched
+   * @param {Sheet} sheet - Leads sheet
+   * @param {Number} rowNumber - Sheet row number
+   * @param {Object} schema - Lead schema
+   * @param {Array} row - Full row values
+   */
+  self.SheetManager.prototype._writeManagedCells = function(sheet, rowNumber, schema, row) {
+    const indexes = Object.keys(schema.columns)
+      .map(key => schema.columns[key])
+      .sort((a, b) => a - b);
+
+    // Write each contiguous run of managed columns in one call
+    let runStart = 0;
+    for (let i = 1; i <= indexes.length; i++) {
+      if (i === indexes.length || indexes[i] !== indexes[i - 1] + 1) {
+        const first = indexes[runStart];
+        const last = indexes[i - 1];
+        sheet.getRange(rowNumber, first + 1, 1, last - first + 1).setValues([row.slice(first, last + 1)]);
+        runStart = i;
+      }
+    }
+  };
+
   /**
    * Initialize settings sheet
    * @returns {Boolean} Success status
@@ -100,10 +286,15 @@ var LeadLib = (function(ns) {
       // Set up settings
       const settings = [
         ['Setting', 'Value', 'Description'],
-        ['Apollo API Key', '', 'Your Apollo.io API key'],
         ['Default Page Size', '25', 'Number of leads to fetch per request'],
-        ['Cache Duration', '3600', 'Cache duration in seconds'],
-        ['Auto Refresh', 'FALSE', 'Automatically refresh leads'],
+        ['Cache Duration', '3600', 'Cache duration in seconds (at most 21600; 0 turns caching off)'],
+        ['Auto Refresh', 'FALSE', 'Run scheduled saved searches (Searches sheet) every hour'],
+        ['Pipeline Stages', self.LeadPipeline.DEFAULT_STAGES.join(', '), 'Comma-separated sales pipeline stages, first is the initial stage'],
+        ['Default Phone Region', 'US', 'Country code (e.g. US, GB) for phone numbers without a country'],
+        ['Enrichment Stale Days', '90', 'Re-enrich leads whose last enrichment is older than this'],
+        ['Enrichment Credit Budget', '100', 'Maximum Apollo credits one enrichment job may spend'],
+        ['Daily Credit Cap', '500', 'Maximum Apollo credits (API calls) per day, 0 for no cap'],
+        ['Monthly Credit Cap', '10000', 'Maximum Apollo credits (API calls) per month, 0 for no cap'],
         ['Last Updated', '', 'Last successful data fetch'],
         ['Total Leads', '0', 'Total number of leads in database']
       ];
@@ -124,42 +315,1148 @@ var LeadLib = (function(ns) {
       
       console.log('Settings sheet initialized successfully');
       return true;
-      
+      
+    } catch (error) {
+      console.error('Error initializing settings sheet:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Initialize the Leads and Settings sheets, and the Scoring and Companies
+   * sheets if missing
+   * @returns {Object} Result object
+   */
+  self.SheetManager.prototype.initSheets = function() {
+    try {
+      const leadsSuccess = this.initializeLeadsSheet();
+      const settingsSuccess = this.initializeSettingsSheet();
+      const scoringSuccess = this.getScorer().ensureScoringSheet();
+      const companiesSuccess = !!this.getCompanies().getSheet();
+      const success = leadsSuccess && settingsSuccess && scoringSuccess && companiesSuccess;
+
+      // Hand edits would otherwise serve stale pages for the whole Cache Duration
+      new self.CacheManager(this.spreadsheetId).watchSheetEdits();
+      
+      return {
+        success: success,
+        leadsSheet: leadsSuccess,
+        settingsSheet: settingsSuccess,
+        scoringSheet: scoringSuccess,
+        companiesSheet: companiesSuccess,
+        message: success ? 
+          'Sheets initialized successfully' : 
+          'Some sheets may not have been initialized properly'
+      };
+    } catch (error) {
+      console.error('Error initializing sheets:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Append leads to the sheet
+   * @param {Array} leads - Leads to append
+   * @returns {Boolean} Success status
+   */
+  self.SheetManager.prototype.appendLeads = function(leads) {
+    try {
+      const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
+      
+      if (!sheet) {
+        throw new Error('Leads sheet not found. Please initialize the sheet first.');
+      }
+
+      if (!leads || leads.length === 0) {
+        console.log('No leads to append');
+        return true;
+      }
+
+      // Prepare data for sheet
+      const schema = this._ensureLeadColumns(sheet);
+      const sheetData = this.getCompanies().linkLeads(leads).map(lead => this._leadToRow(lead, schema));
+
+      // Append data to sheet
+      const lastRow = sheet.getLastRow();
+      const range = sheet.getRange(lastRow + 1, 1, sheetData.length, schema.width);
+      range.setValues(sheetData);
+      this._leadsChanged();
+
+      // Update total leads count in settings
+      this.updateSetting('Total Leads', sheet.getLastRow() - 1);
+      this.updateSetting('Last Updated', new Date().toISOString());
+
+      console.log(`Appended ${leads.length} leads to sheet`);
+      return true;
+
+    } catch (error) {
+      console.error('Error appending leads:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Insert new leads and update existing ones in place.
+   * Leads are matched by Apollo person ID, then email, then a normalized
+   * name + company key. User-owned values (Contacted, Stage, and any columns
+   * added after the managed ones) are never overwritten. A lead repeated
+   * within the batch merges into the row already queued for it, and counts
+   * only toward that insert.
+   * @param {Array} leads - Leads to upsert
+   * @returns {Object} Result object with inserted/updated/unchanged counts
+   */
+  self.SheetManager.prototype.upsertLeads = function(leads) {
+    try {
+      const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
+      
+      if (!sheet) {
+        throw new Error('Leads sheet not found. Please initialize the sheet first.');
+      }
+
+      const result = { success: true, inserted: 0, updated: 0, unchanged: 0 };
+
+      if (!leads || leads.length === 0) {
+        console.log('No leads to upsert');
+        return result;
+      }
+
+      const schema = this._ensureLeadColumns(sheet);
+
+      // Index existing rows by every match key
+      const lastRow = sheet.getLastRow();
+      const existingRows = lastRow > 1 ?
+        sheet.getRange(2, 1, lastRow - 1, schema.width).getValues() : [];
+      const index = {};
+      existingRows.forEach((row, i) => {
+        this._leadMatchKeys(this._rowToLead(row, schema)).forEach(key => {
+          if (index[key] === undefined) index[key] = i;
+        });
+      });
+
+      // Queued inserts are indexed too, after the existing rows
+      const inserts = [];
+      const activity = [];
+      const register = (lead, i) => this._leadMatchKeys(lead).forEach(key => {
+        if (index[key] === undefined) index[key] = i;
+      });
+      this.getCompanies().linkLeads(leads).forEach(lead => {
+        const matchKey = this._leadMatchKeys(lead).find(key => index[key] !== undefined);
+
+        if (matchKey === undefined) {
+          inserts.push(this._leadToRow(Object.assign({}, lead, { apolloValues: this.apolloValuesOf(lead) }), schema));
+          register(lead, existingRows.length + inserts.length - 1);
+          return;
+        }
+
+        if (index[matchKey] >= existingRows.length) {
+          const insertIndex = index[matchKey] - existingRows.length;
+          const pending = this._mergeLead(this._rowToLead(inserts[insertIndex], schema), lead);
+          if (pending) {
+            pending.lead.score = this.getScorer().score(pending.lead).score;
+            inserts[insertIndex] = this._leadToRow(pending.lead, schema, inserts[insertIndex]);
+            register(pending.lead, index[matchKey]);
+          }
+          return;
+        }
+
+        const rowIndex = index[matchKey];
+        const existing = this._rowToLead(existingRows[rowIndex], schema);
+        const merge = this._mergeLead(existing, lead);
+
+        if (!merge) {
+          result.unchanged++;
+          return;
+        }
+
+        // Fit depends on the Apollo fields that just changed
+        merge.lead.score = this.getScorer().score(merge.lead).score;
+
+        const row = this._leadToRow(merge.lead, schema, existingRows[rowIndex]);
+        this._writeManagedCells(sheet, rowIndex + 2, schema, row);
+        existingRows[rowIndex] = row;
+        result.updated++;
+
+        activity.push({
+          leadId: row[schema.columns.id],
+          type: 'edit',
+          summary: 'Updated from Apollo: ' + Object.keys(merge.changes).join(', '),
+          details: { changes: merge.changes }
+        });
+      });
+
+      if (inserts.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, inserts.length, schema.width).setValues(inserts);
+        result.inserted = inserts.length;
+      }
+
+      this._activityLog().recordMany(activity);
+      if (result.inserted > 0 || result.updated > 0) {
+        this._leadsChanged();
+      }
+
+      // Update total leads count in settings
+      this.updateSetting('Total Leads', sheet.getLastRow() - 1);
+      this.updateSetting('Last Updated', new Date().toISOString());
+
+      console.log(`Upserted leads: ${result.inserted} inserted, ${result.updated} updated, ${result.unchanged} unchanged`);
+      return result;
+
+    } catch (error) {
+      console.error('Error upserting leads:', error);
+      return { success: false, error: error.message, inserted: 0, updated: 0, unchanged: 0 };
+    }
+  };
+
+  /**
+   * Merge an incoming lead into an existing one
+   * @param {Object} existing - Lead read from the sheet
+   * @param {Object} incoming - Freshly fetched lead
+   * @returns {Object|null} { lead, changes } or null when nothing changed
+   */
+  self.SheetManager.prototype._mergeLead = function(existing, incoming) {
+    const apolloFields = [
+      'name', 'honorific', 'firstName', 'lastName', 'title', 'company', 'industry',
+      'employees', 'foundedYear', 'email', 'emailStatus', 'phone', 'location', 'linkedin', 'website', 'description',
+      'apolloId', 'organizationId', 'companyId'
+    ];
+    const merged = Object.assign({}, existing);
+    const changes = {};
+
+    apolloFields.forEach(field => {
+      const value = incoming[field];
+      if (value === undefined || value === null || value === '') return;
+
+      if (String(value) !== String(existing[field])) {
+        changes[field] = { from: existing[field], to: value };
+        merged[field] = value;
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    // Phone details travel with the number they describe
+    if (changes.phone) {
+      ['phoneDisplay', 'phoneType', 'phoneExtension', 'phoneStatus', 'phoneRaw'].forEach(field => {
+        merged[field] = incoming[field] || '';
+      });
+    }
+
+    // A suggestion only makes sense for the address it was made for
+    if (changes.email || changes.emailStatus) {
+      merged.emailSuggestion = incoming.emailSuggestion || '';
+    }
+
+    merged.apolloValues = Object.assign({}, existing.apolloValues, this.apolloValuesOf(incoming));
+    merged.lastUpdated = incoming.lastUpdated || new Date().toISOString();
+    return { lead: merged, changes: changes };
+  };
+
+  /**
+   * Build the keys used to match a lead against existing rows, strongest first
+   * @param {Object} lead - Lead object
+   * @returns {Array} Match keys
+   */
+  self.SheetManager.prototype._leadMatchKeys = function(lead) {
+    const keys = [];
+    const normalize = value => String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+
+    if (lead.apolloId) {
+      keys.push('id:' + lead.apolloId);
+    }
+
+    if (lead.email) {
+      keys.push('email:' + String(lead.email).toLowerCase().trim());
+    }
+
+    const name = normalize(lead.name);
+    const company = normalize(lead.company)
+      .replace(/\b(inc|llc|ltd|limited|corp|corporation|co|company|gmbh|plc)\b/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (name && company) {
+      keys.push('name:' + name + '|' + company);
+    }
+
+    return keys;
+  };
+
+  /**
+   * Convert a lead object into a sheet row
+   * @param {Object} lead - Lead object
+   * @param {Object} schema - Lead schema
+   * @param {Array} baseRow - Existing row whose unmanaged cells are kept
+   * @returns {Array} Row values
+   */
+  self.SheetManager.prototype._leadToRow = function(lead, schema, baseRow) {
+    const pipeline = this.getPipeline();
+    const stage = pipeline.stageOf(lead);
+    const values = {
+      // When the lead was added; updates don't move it, so "added" filters stay true
+      timestamp: lead.timestamp || lead.lastUpdated || new Date(),
+      name: lead.name || '',
+      honorific: lead.honorific || '',
+      firstName: lead.firstName || '',
+      lastName: lead.lastName || '',
+      title: lead.title || '',
+      company: lead.company || '',
+      industry: lead.industry || '',
+      employees: lead.employees || 0,
+      foundedYear: lead.foundedYear || '',
+      email: lead.email || '',
+      emailStatus: lead.emailStatus || '',
+      emailSuggestion: lead.emailSuggestion || '',
+      phone: lead.phone || '',
+      phoneDisplay: lead.phoneDisplay || '',
+      phoneType: lead.phoneType || '',
+      phoneExtension: lead.phoneExtension || '',
+      phoneStatus: lead.phoneStatus || '',
+      phoneRaw: lead.phoneRaw || '',
+      location: lead.location || '',
+      linkedin: lead.linkedin || '',
+      website: lead.website || '',
+      description: lead.description || '',
+      contacted: pipeline.isContacted(stage),
+      source: lead.source || 'Apollo.io',
+      id: lead.id || self.DataProcessor.prototype.generateLeadId(),
+      apolloId: lead.apolloId || '',
+      organizationId: lead.organizationId || '',
+      stage: stage,
+      stageUpdatedAt: lead.stageUpdatedAt || '',
+      stageHistory: lead.stageHistory || [],
+      companyId: lead.companyId || '',
+      revenue: lead.revenue || '',
+      funding: lead.funding || '',
+      fundingStage: lead.fundingStage || '',
+      technologies: lead.technologies || [],
+      keywords: lead.keywords || [],
+      companyPhone: lead.companyPhone || '',
+      twitter: lead.twitter || '',
+      facebook: lead.facebook || '',
+      github: lead.github || '',
+      companyLinkedin: lead.companyLinkedin || '',
+      companyTwitter: lead.companyTwitter || '',
+      companyFacebook: lead.companyFacebook || '',
+      enrichedAt: lead.enrichedAt || '',
+      refreshStatus: lead.refreshStatus || '',
+      refreshedAt: lead.refreshedAt || '',
+      apolloValues: lead.apolloValues && !Array.isArray(lead.apolloValues) ? lead.apolloValues : {},
+      score: this._hasScore(lead) ? lead.score : this.getScorer().score(lead).score
+    };
+
+    const row = baseRow ? baseRow.slice() : new Array(schema.width).fill('');
+    LEAD_COLUMNS.forEach(column => {
+      const index = schema.columns[column.key];
+      if (index === undefined) return;
+
+      const value = values[column.key];
+      row[index] = column.json ? (Object.keys(value).length === 0 ? '' : JSON.stringify(value)) : value;
+    });
+    return row;
+  };
+
+  /**
+   * Convert a sheet row into a lead object
+   * @param {Array} row - Row values
+   * @param {Object} schema - Lead schema
+   * @returns {Object} Lead object
+   */
+  self.SheetManager.prototype._rowToLead = function(row, schema) {
+    const lead = {};
+    LEAD_COLUMNS.forEach(column => {
+      const index = schema.columns[column.key];
+      const value = index === undefined ? '' : row[index];
+      lead[column.key] = column.json ? this._parseJsonCell(value, column.json) : value;
+    });
+
+    // Rows written before the pipeline existed only carry the Contacted flag
+    const pipeline = this.getPipeline();
+    lead.stage = pipeline.stageOf(lead);
+    lead.contacted = pipeline.isContacted(lead.stage);
+    lead.score = this._hasScore(lead) ? Number(lead.score) : '';
+    return lead;
+  };
+
+  /**
+   * Check whether a lead already carries a stored score
+   * @param {Object} lead - Lead object
+   * @returns {Boolean} Has score
+   */
+  self.SheetManager.prototype._hasScore = function(lead) {
+    return lead.score !== undefined && lead.score !== null && lead.score !== '' && !isNaN(lead.score);
+  };
+
+  /**
+   * Parse a JSON list (or object) cell, tolerating blanks and hand edits
+   * @param {*} value - Cell value
+   * @param {Boolean|String} type - "object" for object cells, else a list
+   * @returns {Array|Object} Parsed list or object
+   */
+  self.SheetManager.prototype._parseJsonCell = function(value, type) {
+    const object = type === 'object';
+    if (!value) return object ? {} : [];
+    try {
+      const parsed = JSON.parse(value);
+      if (object) {
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+      }
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return object ? {} : [];
+    }
+  };
+
+  /**
+   * The Apollo-supplied person values of a lead, as kept in Apollo Values
+   * @param {Object} lead - Lead as fetched from Apollo
+   * @returns {Object} Field -> value, for non-empty fields only
+   */
+  self.SheetManager.prototype.apolloValuesOf = function(lead) {
+    const values = {};
+    APOLLO_VALUE_FIELDS.forEach(field => {
+      const value = lead[field];
+      if (value === undefined || value === null || value === '') return;
+      values[field] = field === 'email' ? String(value).toLowerCase().trim() : String(value);
+    });
+    return values;
+  };
+
+  /**
+   * Get the activity log for this spreadsheet
+   * @returns {ActivityLog} Activity log
+   */
+  self.SheetManager.prototype._activityLog = function() {
+    if (!this._activity) {
+      this._activity = new self.ActivityLog(this.spreadsheetId);
+    }
+    return this._activity;
+  };
+
+  /**
+   * Limit the Stage column to the configured pipeline's stages
+   * @param {Sheet} sheet - Leads sheet
+   * @param {Object} schema - Lead schema
+   */
+  self.SheetManager.prototype._applyStageValidation = function(sheet, schema) {
+    const stageColumn = this._columnNumber(schema, 'stage');
+    if (!stageColumn) return;
+
+    const stageValidation = SpreadsheetApp.newDataValidation()
+      .requireValueInList(this.getPipeline().stages, true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange(2, stageColumn, sheet.getMaxRows() - 1, 1).setDataValidation(stageValidation);
+  };
+
+  /**
+   * Get the sales pipeline configured in Settings
+   * @returns {LeadPipeline} Pipeline
+   */
+  self.SheetManager.prototype.getPipeline = function() {
+    if (!this._pipeline) {
+      this._pipeline = self.LeadPipeline.fromSetting(this.getSetting('Pipeline Stages'));
+    }
+    return this._pipeline;
+  };
+
+  /**
+   * Get the lead scorer configured in the Scoring sheet
+   * @returns {LeadScorer} Scorer
+   */
+  self.SheetManager.prototype.getScorer = function() {
+    if (!this._scorer) {
+      this._scorer = new self.LeadScorer(this.spreadsheet);
+    }
+    return this._scorer;
+  };
+
+  /**
+   * Get the Companies sheet manager for this spreadsheet
+   * @returns {CompanyManager} Company manager
+   */
+  self.SheetManager.prototype.getCompanies = function() {
+    if (!this._companies) {
+      this._companies = new self.CompanyManager(this.spreadsheetId);
+    }
+    return this._companies;
+  };
+
+  /**
+   * Get all leads from the sheet
+   * @param {Object} filters - Optional filters
+   * @returns {Array} Array of lead objects
+   */
+  self.SheetManager.prototype.getLeads = function(filters = {}) {
+    try {
+      // Apply filters if provided
+      return this._sortLeads(this._applyFilters(this._readLeads(), filters), filters);
+
+    } catch (error) {
+      console.error('Error getting leads:', error);
+      return [];
+    }
+  };
+
+  /**
+   * Filter, sort and page leads, with total and facet counts
+   * @param {Object} query - getLeads filters plus maxScore, location, date
+   *   ranges (addedFrom/To, stageUpdatedFrom/To, enrichedFrom/To), sort
+   *   ("score:desc,name" or a list), page and pageSize or cursor, and facets
+   *   (fields to count; stage, industry, emailStatus and companySize by default)
+   * @returns {Object} { leads, total, page, pageSize, hasMore, nextCursor, facets }
+   */
+  self.SheetManager.prototype.queryLeads = function(query = {}) {
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize) || 25));
+    const facetFields = query.facets ? [].concat(query.facets) : DEFAULT_FACETS;
+    facetFields.forEach(field => this._validateField(field, 'facet', ['companySize']));
+    Object.keys(DATE_FILTERS).forEach(name => {
+      [name + 'From', name + 'To'].forEach(key => {
+        if (query[key] && this._time(query[key]) === null) {
+          throw new self.ValidationError(`"${key}" must be a date, got "${query[key]}"`);
+        }
+      });
+    });
+
+    // A cursor only continues the query it came from
+    const signature = this._querySignature(query);
+    let offset = (Math.max(1, parseInt(query.page) || 1) - 1) * pageSize;
+    if (query.cursor) {
+      const cursor = this._decodeCursor(query.cursor);
+      if (cursor.q !== signature) {
+        throw new self.ValidationError('The cursor belongs to a different query; start again without it');
+      }
+      offset = cursor.o;
+    }
+
+    const matching = this._sortLeads(this._applyFilters(this._readLeads(), query), query);
+    const leads = matching.slice(offset, offset + pageSize);
+    const hasMore = offset + leads.length < matching.length;
+
+    return {
+      leads: leads,
+      total: matching.length,
+      page: Math.floor(offset / pageSize) + 1,
+      pageSize: pageSize,
+      hasMore: hasMore,
+      nextCursor: hasMore ? this._encodeCursor({ o: offset + leads.length, q: signature }) : '',
+      facets: this._facets(matching, facetFields)
+    };
+  };
+
+  /**
+   * Read every lead in sheet order
+   * @returns {Array} Lead objects
+   */
+  self.SheetManager.prototype._readLeads = function() {
+    const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return [];
+    }
+
+    const schema = this._getLeadSchema(sheet);
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, schema.width).getValues();
+    return data.map(row => this._rowToLead(row, schema));
+  };
+
+  /**
+   * Count leads per value of each facet field
+   * @param {Array} leads - Matching leads (before paging)
+   * @param {Array} fields - Lead fields, or companySize for size buckets
+   * @returns {Object} Field -> value -> count
+   */
+  self.SheetManager.prototype._facets = function(leads, fields) {
+    const facets = {};
+    fields.forEach(field => {
+      const counts = {};
+      leads.forEach(lead => {
+        const raw = field === 'companySize' ? (lead.employees ? this._getCompanySize(lead.employees) : '') : lead[field];
+        const value = raw === '' || raw === undefined || raw === null ? 'Unknown' : String(raw);
+        counts[value] = (counts[value] || 0) + 1;
+      });
+      facets[field] = counts;
+    });
+    return facets;
+  };
+
+  /**
+   * Apply filters to leads
+   * @param {Array} leads - Leads to filter
+   * @param {Object} filters - Filter criteria
+   * @returns {Array} Filtered leads
+   */
+  self.SheetManager.prototype._applyFilters = function(leads, filters) {
+    if (!filters || Object.keys(filters).length === 0) {
+      return leads;
+    }
+
+    const pipeline = this.getPipeline();
+    const contacted = this._contactedFilter(filters.contacted);
+
+    return leads.filter(lead => {
+      // Filter by industry
+      if (filters.industry && lead.industry !== filters.industry) {
+        return false;
+      }
+
+      // Filter by title
+      if (filters.title && lead.title !== filters.title) {
+        return false;
+      }
+
+      // Filter by company size
+      if (filters.companySize) {
+        const size = this._getCompanySize(lead.employees);
+        if (size !== filters.companySize) {
+          return false;
+        }
+      }
+
+      // Filter by contacted status
+      if (contacted !== null && pipeline.isContactedFlag(lead.contacted) !== contacted) {
+        return false;
+      }
+
+      // Filter by pipeline stage (one stage or a list)
+      if (filters.stage) {
+        const stages = (Array.isArray(filters.stage) ? filters.stage : [filters.stage])
+          .map(stage => String(stage).toLowerCase());
+        if (stages.indexOf(String(lead.stage).toLowerCase()) === -1) {
+          return false;
+        }
+      }
+
+      // Filter by email status (one status or a list)
+      if (filters.emailStatus) {
+        const statuses = Array.isArray(filters.emailStatus) ? filters.emailStatus : [filters.emailStatus];
+        if (statuses.indexOf(lead.emailStatus) === -1) {
+          return false;
+        }
+      }
+
+      // Filter by company (account)
+      if (filters.companyId && lead.companyId !== filters.companyId) {
+        return false;
+      }
+
+      // Filter by minimum fit score (unscored leads have no score to compare)
+      if (filters.minScore !== undefined && filters.minScore !== '' &&
+          !(this._hasScore(lead) && Number(lead.score) >= Number(filters.minScore))) {
+        return false;
+      }
+
+      // Filter by maximum fit score (unscored leads have no score to compare)
+      if (filters.maxScore !== undefined && filters.maxScore !== '' &&
+          !(this._hasScore(lead) && Number(lead.score) <= Number(filters.maxScore))) {
+        return false;
+      }
+
+      // Filter by location (any part of it, ignoring case)
+      if (filters.location &&
+          String(lead.location).toLowerCase().indexOf(String(filters.location).toLowerCase()) === -1) {
+        return false;
+      }
+
+      // Filter by date ranges
+      if (!this._inDateRanges(lead, filters)) {
+        return false;
+      }
+
+      // Filter by search term
+      if (filters.search) {
+        const searchTerm = filters.search.toLowerCase();
+        const searchableFields = [
+          lead.name, lead.title, lead.company, lead.industry, lead.email
+        ].join(' ').toLowerCase();
+        
+        if (!searchableFields.includes(searchTerm)) {
+          return false;
+        }
+      }
+
+      return true;
+    });
+  };
+
+  /**
+   * Read the contacted filter: google.script.run and query strings send
+   * "true"/"false", only the doPost router coerces them to booleans
+   * @param {*} value - Filter value
+   * @returns {Boolean|null} Contacted status to match, or null for no filter
+   */
+  self.SheetManager.prototype._contactedFilter = function(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (['true', 'false'].indexOf(String(value).trim().toLowerCase()) === -1) {
+      throw new self.ValidationError(`"contacted" must be true or false, got "${value}"`);
+    }
+    return this.getPipeline().isContactedFlag(String(value).trim());
+  };
+
+  /**
+   * Sort leads, best fit first unless another order is requested. Numbers
+   * and dates compare by value, text ignoring case; blanks always go last.
+   * @param {Array} leads - Leads to sort
+   * @param {Object} filters - { sort } ("score:desc,name" or a list) or { sortBy, sortOrder }
+   * @returns {Array} Sorted leads
+   */
+  self.SheetManager.prototype._sortLeads = function(leads, filters) {
+    const keys = this._sortKeys(filters);
+    const value = (lead, field) => {
+      const raw = lead[field];
+      if (raw === undefined || raw === null || raw === '') return null;
+      if (NUMERIC_FIELDS.indexOf(field) !== -1) return isNaN(raw) ? null : Number(raw);
+      if (DATE_FIELDS.indexOf(field) !== -1) return this._time(raw);
+      return String(raw);
+    };
+
+    // Array.prototype.sort is stable, so ties keep sheet order
+    return leads.slice().sort((a, b) => {
+      for (let i = 0; i < keys.length; i++) {
+        const left = value(a, keys[i].field);
+        const right = value(b, keys[i].field);
+        if (left === right) continue;
+        if (left === null) return 1;
+        if (right === null) return -1;
+
+        const order = typeof left === 'number' ? left - right :
+          left.localeCompare(right, undefined, { numeric: true, sensitivity: 'base' });
+        if (order !== 0) return order * keys[i].direction;
+      }
+      return 0;
+    });
+  };
+
+  /**
+   * Parse the sort order of a query
+   * @param {Object} filters - { sort } or the older { sortBy, sortOrder }
+   * @returns {Array} { field, direction } with direction 1 (asc) or -1 (desc)
+   */
+  self.SheetManager.prototype._sortKeys = function(filters = {}) {
+    const spec = filters.sort ||
+      (filters.sortBy ? [filters.sortBy + ':' + (filters.sortOrder === 'asc' ? 'asc' : 'desc')] : ['score:desc']);
+
+    return (Array.isArray(spec) ? spec : String(spec).split(','))
+      .map(item => String(item).trim())
+      .filter(item => item)
+      .map(item => {
+        const parts = item.split(':');
+        const direction = (parts[1] || 'asc').toLowerCase();
+        if (direction !== 'asc' && direction !== 'desc') {
+          throw new self.ValidationError(`Sort direction must be asc or desc, got "${parts[1]}"`);
+        }
+        return { field: this._validateField(parts[0], 'sort'), direction: direction === 'asc' ? 1 : -1 };
+      });
+  };
+
+  /**
+   * Throw unless a name is a lead field
+   * @param {String} field - Field name
+   * @param {String} use - What the field is for, for the message
+   * @param {Array} extra - Other accepted names
+   * @returns {String} Field name
+   */
+  self.SheetManager.prototype._validateField = function(field, use, extra = []) {
+    const fields = LEAD_COLUMNS.map(column => column.key).concat(extra);
+    if (fields.indexOf(field) === -1) {
+      throw new self.ValidationError(`Unknown ${use} field "${field}". Use one of: ${fields.join(', ')}`);
+    }
+    return field;
+  };
+
+  /**
+   * Whether a lead falls inside every requested date range. A bare date
+   * (yyyy-MM-dd) as the end of a range includes that whole day.
+   * @param {Object} lead - Lead object
+   * @param {Object} filters - addedFrom/To, stageUpdatedFrom/To, enrichedFrom/To
+   * @returns {Boolean} In range
+   */
+  self.SheetManager.prototype._inDateRanges = function(lead, filters) {
+    return Object.keys(DATE_FILTERS).every(name => {
+      const from = filters[name + 'From'];
+      const to = filters[name + 'To'];
+      if (!from && !to) return true;
+
+      const time = this._time(lead[DATE_FILTERS[name]]);
+      if (time === null) return false;
+      if (from && time < this._time(from)) return false;
+      if (to && time >= this._time(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 : 1)) return false;
+      return true;
+    });
+  };
+
+  /**
+   * Milliseconds since the epoch of a Date or date string
+   * @param {Date|String} value - Date value
+   * @returns {Number|null} Time, or null when blank or unreadable
+   */
+  self.SheetManager.prototype._time = function(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  };
+
+  /**
+   * Short hash of what a query selects and how it is sorted (not which page)
+   * @param {Object} query - Query
+   * @returns {String} Signature
+   */
+  self.SheetManager.prototype._querySignature = function(query) {
+    const selecting = Object.keys(query)
+      .filter(key => ['page', 'pageSize', 'cursor', 'facets'].indexOf(key) === -1)
+      .sort()
+      .map(key => [key, query[key]]);
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(selecting));
+    return Utilities.base64EncodeWebSafe(digest).slice(0, 12);
+  };
+
+  /**
+   * Encode a paging cursor
+   * @param {Object} cursor - { o: offset, q: query signature }
+   * @returns {String} Opaque cursor
+   */
+  self.SheetManager.prototype._encodeCursor = function(cursor) {
+    return Utilities.base64EncodeWebSafe(JSON.stringify(cursor)).replace(/=+$/, '');
+  };
+
+  /**
+   * Decode a paging cursor
+   * @param {String} value - Opaque cursor
+   * @returns {Object} { o: offset, q: query signature }
+   */
+  self.SheetManager.prototype._decodeCursor = function(value) {
+    try {
+      const padded = value + '='.repeat((4 - value.length % 4) % 4);
+      const cursor = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(padded)).getDataAsString());
+      if (typeof cursor.o !== 'number' || cursor.o < 0) throw new Error('bad offset');
+      return cursor;
+    } catch (error) {
+      throw new self.ValidationError('Invalid cursor');
+    }
+  };
+
+  /**
+   * Get company size category from employee count
+   * @param {Number} employees - Number of employees
+   * @returns {String} Size category
+   */
+  self.SheetManager.prototype._getCompanySize = function(employees) {
+    if (employees <= 10) return '1-10';
+    if (employees <= 50) return '11-50';
+    if (employees <= 200) return '51-200';
+    if (employees <= 500) return '201-500';
+    if (employees <= 1000) return '501-1000';
+    return '1000+';
+  };
+
+  /**
+   * Update a lead's contacted status
+   * @param {String} email - Lead email
+   * @param {Boolean} contacted - Contacted status
+   * @returns {Boolean} Success status
+   */
+  self.SheetManager.prototype.updateLeadContactedStatus = function(email, contacted) {
+    try {
+      const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
+      const schema = this._getLeadSchema(sheet);
+      const data = sheet.getDataRange().getValues();
+      
+      for (let i = 1; i < data.length; i++) {
+        if (data[i][schema.columns.email] === email) {
+          this._changeLeadStage(i + 1, lead => this._stageForContactedFlag(lead, contacted));
+          return true;
+        }
+      }
+      
+      return false;
+    } catch (error) {
+      console.error('Error updating lead status:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Map the legacy contacted flag onto a pipeline stage
+   * @param {Object} lead - Lead object
+   * @param {Boolean} contacted - Contacted status
+   * @returns {String} Target stage
+   */
+  self.SheetManager.prototype._stageForContactedFlag = function(lead, contacted) {
+    const pipeline = this.getPipeline();
+    if (pipeline.isContactedFlag(contacted) === lead.contacted) {
+      return lead.stage;
+    }
+    return contacted ? pipeline.contactedStage() : pipeline.initialStage;
+  };
+
+  /**
+   * Move the lead in a row to a new stage and log the transition
+   * @param {Number} rowNumber - Sheet row number
+   * @param {Function} getStage - Receives the lead, returns the target stage
+   * @returns {Object} Updated lead
+   */
+  self.SheetManager.prototype._changeLeadStage = function(rowNumber, getStage) {
+    const pipeline = this.getPipeline();
+    let previous;
+
+    const lead = this._updateLeadRow(rowNumber, current => {
+      previous = current.stage;
+      const stage = pipeline.resolveStage(getStage(current));
+      return stage === current.stage ? current : pipeline.transition(current, stage);
+    });
+
+    if (previous !== lead.stage) {
+      this._activityLog().record(lead.id, 'status_change',
+        `Stage changed from ${previous} to ${lead.stage}`, { from: previous, to: lead.stage });
+    }
+    return lead;
+  };
+
+  /**
+   * Read a lead row, apply an update and write its managed cells back
+   * @param {Number} rowNumber - Sheet row number
+   * @param {Function} updater - Receives the lead, returns the updated lead
+   * @returns {Object} Updated lead
+   */
+  self.SheetManager.prototype._updateLeadRow = function(rowNumber, updater) {
+    const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
+    const schema = this._getLeadSchema(sheet);
+    const row = sheet.getRange(rowNumber, 1, 1, schema.width).getValues()[0];
+    const updated = updater(this._rowToLead(row, schema));
+
+    this._writeManagedCells(sheet, rowNumber, schema, this._leadToRow(updated, schema, row));
+    this._leadsChanged();
+    return updated;
+  };
+
+  /**
+   * Mark cached stats and lead pages stale after a Leads sheet write
+   */
+  self.SheetManager.prototype._leadsChanged = function() {
+    try {
+      new self.CacheManager(this.spreadsheetId).invalidateLeads();
+    } catch (error) {
+      // A stale cache is better than a failed write
+      console.error('Error invalidating lead caches:', error);
+    }
+  };
+
+  /**
+   * Find the sheet row number for a lead ID
+   * @param {String} leadId - Lead ID
+   * @returns {Number} Row number, or -1 when not found
+   */
+  self.SheetManager.prototype._findLeadRow = function(leadId) {
+    const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
+    const lastRow = sheet ? sheet.getLastRow() : 0;
+    if (!leadId || lastRow <= 1) {
+      return -1;
+    }
+
+    const idColumn = this._columnNumber(this._getLeadSchema(sheet), 'id');
+    if (!idColumn) {
+      return -1;
+    }
+
+    const ids = sheet.getRange(2, idColumn, lastRow - 1, 1).getValues();
+    for (let i = 0; i < ids.length; i++) {
+      if (ids[i][0] === leadId) {
+        return i + 2;
+      }
+    }
+
+    return -1;
+  };
+
+  /**
+   * Get a single lead by ID
+   * @param {String} leadId - Lead ID
+   * @returns {Object|null} Lead object
+   */
+  self.SheetManager.prototype.getLeadById = function(leadId) {
+    try {
+      const rowNumber = this._findLeadRow(leadId);
+      if (rowNumber === -1) {
+        return null;
+      }
+
+      const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
+      const schema = this._getLeadSchema(sheet);
+      const row = sheet.getRange(rowNumber, 1, 1, schema.width).getValues()[0];
+      return this._rowToLead(row, schema);
+    } catch (error) {
+      console.error('Error getting lead:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Overwrite a lead's managed cells by ID
+   * @param {Object} lead - Lead object with an existing ID
+   * @returns {Boolean} Success status
+   */
+  self.SheetManager.prototype.saveLead = function(lead) {
+    try {
+      const rowNumber = this._findLeadRow(lead.id);
+      if (rowNumber === -1) {
+        return false;
+      }
+
+      this._updateLeadRow(rowNumber, () => lead);
+      return true;
+    } catch (error) {
+      console.error('Error saving lead:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Apply an update to a lead as its row reads now, so changes made since
+   * the caller read the lead (stage, contacted, notes) are kept
+   * @param {String} leadId - Lead ID
+   * @param {Function} updater - Receives the current lead, returns the updated lead
+   * @returns {Object|null} Updated lead, or null when not found or not saved
+   */
+  self.SheetManager.prototype.updateLeadById = function(leadId, updater) {
+    try {
+      const rowNumber = this._findLeadRow(leadId);
+      if (rowNumber === -1) {
+        return null;
+      }
+
+      return this._updateLeadRow(rowNumber, updater);
+    } catch (error) {
+      console.error('Error updating lead:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Update a lead's contacted status by ID
+   * @param {String} leadId - Lead ID
+   * @param {Boolean} contacted - Contacted status
+   * @returns {Boolean} Success status
+   */
+  self.SheetManager.prototype.updateLeadContactedStatusById = function(leadId, contacted) {
+    try {
+      const rowNumber = this._findLeadRow(leadId);
+      if (rowNumber === -1) {
+        return false;
+      }
+
+      this._changeLeadStage(rowNumber, lead => this._stageForContactedFlag(lead, contacted));
+      return true;
+    } catch (error) {
+      console.error('Error updating lead status:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Move a lead to a pipeline stage by ID
+   * @param {String} leadId - Lead ID
+   * @param {String} stage - Target stage
+   * @returns {Object} Result object
+   */
+  self.SheetManager.prototype.updateLeadStage = function(leadId, stage) {
+    try {
+      const rowNumber = this._findLeadRow(leadId);
+      if (rowNumber === -1) {
+        return { success: false, message: 'Lead not found' };
+      }
+
+      const pipeline = this.getPipeline();
+      if (!pipeline.resolveStage(stage)) {
+        return { success: false, message: `Unknown pipeline stage "${stage}". Valid stages: ${pipeline.stages.join(', ')}` };
+      }
+
+      const lead = this._changeLeadStage(rowNumber, () => stage);
+      return { success: true, message: 'Lead moved to ' + lead.stage, lead: lead };
+    } catch (error) {
+      console.error('Error updating lead stage:', error);
+      return { success: false, message: error.message };
+    }
+  };
+
+  /**
+   * Delete a lead by ID
+   * @param {String} leadId - Lead ID
+   * @returns {Boolean} Success status
+   */
+  self.SheetManager.prototype.deleteLeadById = function(leadId) {
+    try {
+      const rowNumber = this._findLeadRow(leadId);
+      if (rowNumber === -1) {
+        return false;
+      }
+
+      const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
+      sheet.deleteRow(rowNumber);
+      this._leadsChanged();
+      this.updateSetting('Total Leads', sheet.getLastRow() - 1);
+      this._activityLog().record(leadId, 'edit', 'Lead deleted');
+      return true;
     } catch (error) {
-      console.error('Error initializing settings sheet:', error);
+      console.error('Error deleting lead:', error);
       return false;
     }
   };
 
   /**
-   * Initialize both sheets
+   * One-time migration: add the ID columns to an existing Leads sheet and
+   * backfill a Lead ID for every row that lacks one
    * @returns {Object} Result object
    */
-  self.SheetManager.prototype.initSheets = function() {
+  self.SheetManager.prototype.migrateLeadIds = function() {
     try {
-      const leadsSuccess = this.initializeLeadsSheet();
-      const settingsSuccess = this.initializeSettingsSheet();
+      const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
       
+      if (!sheet) {
+        throw new Error('Leads sheet not found. Please initialize the sheet first.');
+      }
+
+      // Adds the ID columns (at the end) when the sheet predates them
+      const schema = this._ensureLeadColumns(sheet);
+
+      const lastRow = sheet.getLastRow();
+      let backfilled = 0;
+
+      if (lastRow > 1) {
+        const idRange = sheet.getRange(2, this._columnNumber(schema, 'id'), lastRow - 1, 1);
+        const ids = idRange.getValues().map(row => {
+          if (row[0]) return row;
+          backfilled++;
+          return [self.DataProcessor.prototype.generateLeadId()];
+        });
+        idRange.setValues(ids);
+        this._leadsChanged();
+      }
+
+      console.log(`Lead ID migration complete: ${backfilled} IDs backfilled`);
       return {
-        success: leadsSuccess && settingsSuccess,
-        leadsSheet: leadsSuccess,
-        settingsSheet: settingsSuccess,
-        message: leadsSuccess && settingsSuccess ? 
-          'Sheets initialized successfully' : 
-          'Some sheets may not have been initialized properly'
+        success: true,
+        backfilled: backfilled,
+        message: `Lead IDs migrated (${backfilled} backfilled)`
       };
+
     } catch (error) {
-      console.error('Error initializing sheets:', error);
+      console.error('Error migrating lead IDs:', error);
       return { success: false, error: error.message };
     }
   };
 
   /**
-   * Append leads to the sheet
-   * @param {Array} leads - Leads to append
-   * @returns {Boolean} Success status
+   * One-time migration: fill the Stage column from legacy TRUE/FALSE
+   * Contacted values (TRUE -> Contacted, FALSE -> New)
+   * @returns {Object} Result object
    */
-  self.SheetManager.prototype.appendLeads = function(leads) {
+  self.SheetManager.prototype.migratePipelineStages = function() {
     try {
       const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
       
@@ -167,184 +1464,168 @@ var LeadLib = (function(ns) {
         throw new Error('Leads sheet not found. Please initialize the sheet first.');
       }
 
-      if (!leads || leads.length === 0) {
-        console.log('No leads to append');
-        return true;
-      }
+      const schema = this._ensureLeadColumns(sheet);
+      const pipeline = this.getPipeline();
+      const lastRow = sheet.getLastRow();
+      let migrated = 0;
 
-      // Prepare data for sheet
-      const sheetData = leads.map(lead => [
-        lead.lastUpdated || new Date(),
-        lead.name || '',
-        lead.title || '',
-        lead.company || '',
-        lead.industry || '',
-        lead.employees || 0,
-        lead.foundedYear || '',
-        lead.email || '',
-        lead.phone || '',
-        lead.location || '',
-        lead.linkedin || '',
-        lead.website || '',
-        lead.description || '',
-        lead.contacted || false,
-        lead.source || 'Apollo.io'
-      ]);
+      if (lastRow > 1) {
+        const stageColumn = this._columnNumber(schema, 'stage');
+        const contactedColumn = this._columnNumber(schema, 'contacted');
+        const stages = sheet.getRange(2, stageColumn, lastRow - 1, 1).getValues();
+        const flags = contactedColumn ?
+          sheet.getRange(2, contactedColumn, lastRow - 1, 1).getValues() :
+          stages.map(() => ['']);
 
-      // Append data to sheet
-      const lastRow = sheet.getLastRow();
-      const range = sheet.getRange(lastRow + 1, 1, sheetData.length, sheetData[0].length);
-      range.setValues(sheetData);
+        const migratedStages = stages.map((row, i) => {
+          if (pipeline.resolveStage(row[0])) return [pipeline.resolveStage(row[0])];
+          migrated++;
+          return [pipeline.stageOf({ contacted: flags[i][0] })];
+        });
 
-      // Update total leads count in settings
-      this.updateSetting('Total Leads', sheet.getLastRow() - 1);
-      this.updateSetting('Last Updated', new Date().toISOString());
+        sheet.getRange(2, stageColumn, lastRow - 1, 1).setValues(migratedStages);
+        if (contactedColumn) {
+          sheet.getRange(2, contactedColumn, lastRow - 1, 1)
+            .setValues(migratedStages.map(row => [pipeline.isContacted(row[0])]));
+        }
+        this._leadsChanged();
+      }
 
-      console.log(`Appended ${leads.length} leads to sheet`);
-      return true;
+      console.log(`Pipeline migration complete: ${migrated} leads migrated`);
+      return {
+        success: true,
+        migrated: migrated,
+        message: `Pipeline stages migrated (${migrated} leads updated)`
+      };
 
     } catch (error) {
-      console.error('Error appending leads:', error);
-      return false;
+      console.error('Error migrating pipeline stages:', error);
+      return { success: false, error: error.message };
     }
   };
 
   /**
-   * Get all leads from the sheet
-   * @param {Object} filters - Optional filters
-   * @returns {Array} Array of lead objects
+   * Recompute every lead's score with the current Scoring rules
+   * @returns {Object} Result object
    */
-  self.SheetManager.prototype.getLeads = function(filters = {}) {
+  self.SheetManager.prototype.rescoreLeads = function() {
     try {
       const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
       
       if (!sheet) {
-        return [];
+        throw new Error('Leads sheet not found. Please initialize the sheet first.');
       }
 
+      const schema = this._ensureLeadColumns(sheet);
       const lastRow = sheet.getLastRow();
-      if (lastRow <= 1) {
-        return [];
-      }
-
-      // Get all data except header
-      const data = sheet.getRange(2, 1, lastRow - 1, 15).getValues();
-      
-      // Convert to lead objects
-      const leads = data.map(row => ({
-        timestamp: row[0],
-        name: row[1],
-        title: row[2],
-        company: row[3],
-        industry: row[4],
-        employees: row[5],
-        foundedYear: row[6],
-        email: row[7],
-        phone: row[8],
-        location: row[9],
-        linkedin: row[10],
-        website: row[11],
-        description: row[12],
-        contacted: row[13],
-        source: row[14]
-      }));
+      let changed = 0;
 
-      // Apply filters if provided
-      return this._applyFilters(leads, filters);
+      if (lastRow > 1) {
+        const scorer = this.getScorer();
+        const data = sheet.getRange(2, 1, lastRow - 1, schema.width).getValues();
+        const scores = data.map(row => {
+          const lead = this._rowToLead(row, schema);
+          const score = scorer.score(lead).score;
+          if (lead.score !== score) changed++;
+          return [score];
+        });
+        sheet.getRange(2, this._columnNumber(schema, 'score'), scores.length, 1).setValues(scores);
+        this._leadsChanged();
+      }
+
+      console.log(`Rescored ${lastRow - 1} leads (${changed} changed)`);
+      return {
+        success: true,
+        rescored: Math.max(0, lastRow - 1),
+        changed: changed,
+        message: `Rescored ${Math.max(0, lastRow - 1)} leads (${changed} changed)`
+      };
 
     } catch (error) {
-      console.error('Error getting leads:', error);
-      return [];
+      console.error('Error rescoring leads:', error);
+      return { success: false, error: error.message };
     }
   };
 
   /**
-   * Apply filters to leads
-   * @param {Array} leads - Leads to filter
-   * @param {Object} filters - Filter criteria
-   * @returns {Array} Filtered leads
+   * One-time migration: create Companies rows for existing leads and fill
+   * their Company ID column
+   * @returns {Object} Result object
    */
-  self.SheetManager.prototype._applyFilters = function(leads, filters) {
-    if (!filters || Object.keys(filters).length === 0) {
-      return leads;
-    }
-
-    return leads.filter(lead => {
-      // Filter by industry
-      if (filters.industry && lead.industry !== filters.industry) {
-        return false;
-      }
-
-      // Filter by title
-      if (filters.title && lead.title !== filters.title) {
-        return false;
-      }
-
-      // Filter by company size
-      if (filters.companySize) {
-        const size = this._getCompanySize(lead.employees);
-        if (size !== filters.companySize) {
-          return false;
-        }
+  self.SheetManager.prototype.migrateCompanies = function() {
+    try {
+      const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
+      
+      if (!sheet) {
+        throw new Error('Leads sheet not found. Please initialize the sheet first.');
       }
 
-      // Filter by contacted status
-      if (filters.contacted !== undefined && lead.contacted !== filters.contacted) {
-        return false;
-      }
+      const schema = this._ensureLeadColumns(sheet);
+      const lastRow = sheet.getLastRow();
+      const companies = this.getCompanies();
+      const before = companies.list().length;
+      let linked = 0;
 
-      // Filter by search term
-      if (filters.search) {
-        const searchTerm = filters.search.toLowerCase();
-        const searchableFields = [
-          lead.name, lead.title, lead.company, lead.industry, lead.email
-        ].join(' ').toLowerCase();
-        
-        if (!searchableFields.includes(searchTerm)) {
-          return false;
-        }
+      if (lastRow > 1) {
+        const data = sheet.getRange(2, 1, lastRow - 1, schema.width).getValues();
+        const leads = data.map(row => this._rowToLead(row, schema));
+        const ids = companies.linkLeads(leads).map((lead, i) => {
+          if (lead.companyId && lead.companyId !== leads[i].companyId) linked++;
+          return [lead.companyId || ''];
+        });
+        sheet.getRange(2, this._columnNumber(schema, 'companyId'), ids.length, 1).setValues(ids);
+        this._leadsChanged();
       }
 
-      return true;
-    });
-  };
+      const created = companies.list().length - before;
+      console.log(`Company migration complete: ${created} companies created, ${linked} leads linked`);
+      return {
+        success: true,
+        created: created,
+        linked: linked,
+        message: `Created ${created} companies and linked ${linked} leads`
+      };
 
-  /**
-   * Get company size category from employee count
-   * @param {Number} employees - Number of employees
-   * @returns {String} Size category
-   */
-  self.SheetManager.prototype._getCompanySize = function(employees) {
-    if (employees <= 10) return '1-10';
-    if (employees <= 50) return '11-50';
-    if (employees <= 200) return '51-200';
-    if (employees <= 500) return '201-500';
-    if (employees <= 1000) return '501-1000';
-    return '1000+';
+    } catch (error) {
+      console.error('Error migrating companies:', error);
+      return { success: false, error: error.message };
+    }
   };
 
   /**
-   * Update a lead's contacted status
-   * @param {String} email - Lead email
-   * @param {Boolean} contacted - Contacted status
-   * @returns {Boolean} Success status
+   * One-time migration: move an API key stored in the Settings sheet into
+   * script properties and delete the row. The sheet key was shared by
+   * everyone, so it stays shared rather than going to the admin running this.
+   * @returns {Object} Result object
    */
-  self.SheetManager.prototype.updateLeadContactedStatus = function(email, contacted) {
+  self.SheetManager.prototype.migrateApiKey = function() {
     try {
-      const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
-      const data = sheet.getDataRange().getValues();
-      
-      for (let i = 1; i < data.length; i++) {
-        if (data[i][7] === email) { // Email is in column 8 (index 7)
-          sheet.getRange(i + 1, 14).setValue(contacted); // Contacted is in column 14
-          return true;
-        }
+      const sheet = this.spreadsheet.getSheetByName(this.settingsSheetName);
+      const data = sheet ? sheet.getDataRange().getValues() : [];
+      const row = data.findIndex((values, i) => i > 0 && values[0] === API_KEY_SETTING);
+
+      if (row === -1) {
+        return { success: true, moved: false, message: 'No API key in the Settings sheet' };
       }
-      
-      return false;
+
+      // A shared key already in properties was saved more recently, so it wins
+      const apiKey = String(data[row][1] || '').trim();
+      const moved = !!apiKey && !self.getApolloApiKey(true);
+      if (moved) {
+        self.setApolloApiKey(apiKey, true);
+      }
+
+      sheet.deleteRow(row + 1);
+
+      return {
+        success: true,
+        moved: moved,
+        message: moved ? 'API key moved to script properties (shared by all users and their triggers) and removed from the Settings sheet' :
+          'API key removed from the Settings sheet'
+      };
     } catch (error) {
-      console.error('Error updating lead status:', error);
-      return false;
+      console.error('Error migrating API key:', error);
+      return { success: false, error: error.message };
     }
   };
 
@@ -409,8 +1690,12 @@ var LeadLib = (function(ns) {
       for (let i = 1; i < data.length; i++) {
         settings[data[i][0]] = data[i][1];
       }
+
+      // The key itself never leaves the server, even if an old sheet still holds it
+      const apiKey = self.getApolloApiKey() || settings[API_KEY_SETTING];
+      settings[API_KEY_SETTING] = self.maskApiKey(apiKey);
       
-      return { success: true, settings: settings };
+      return { success: true, settings: settings, apiKeySet: !!apiKey };
     } catch (error) {
       console.error('Error getting settings:', error);
       return { success: false, error: error.message };
@@ -424,9 +1709,34 @@ var LeadLib = (function(ns) {
    */
   self.SheetManager.prototype.saveSettings = function(settings) {
     try {
+      // The API key goes to properties, never the sheet; ignore the mask echoed back
+      const apiKey = String(settings[API_KEY_SETTING] || '').trim();
+      if (apiKey && apiKey !== self.maskApiKey(self.getApolloApiKey())) {
+        self.setApolloApiKey(apiKey);
+      }
+
       Object.keys(settings).forEach(key => {
-        this.updateSetting(key, settings[key]);
+        if (key !== API_KEY_SETTING) {
+          this.updateSetting(key, settings[key]);
+        }
       });
+
+      // The Stage dropdown was built from the old stages
+      if (settings['Pipeline Stages'] !== undefined) {
+        this._pipeline = null;
+        const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
+        if (sheet) {
+          this._applyStageValidation(sheet, this._ensureLeadColumns(sheet));
+        }
+      }
+
+      // Auto Refresh runs the scheduled saved searches from an hourly trigger
+      if (settings['Auto Refresh'] !== undefined) {
+        new self.SavedSearches(this.spreadsheetId).setScheduled(String(settings['Auto Refresh']).toUpperCase() === 'TRUE');
+      }
+
+      // Pipeline stages and the cache duration both shape what is cached
+      this._leadsChanged();
       
       return { success: true, message: 'Settings saved successfully' };
     } catch (error) {
@@ -444,8 +1754,9 @@ var LeadLib = (function(ns) {
       const sheet = this.spreadsheet.getSheetByName(this.leadsSheetName);
       
       if (sheet.getLastRow() > 1) {
-        sheet.getRange(2, 1, sheet.getLastRow() - 1, 15).clear();
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).clearContent();
       }
+      this._leadsChanged();
       
       this.updateSetting('Total Leads', '0');
       console.log('Leads data cleared');
@@ -470,42 +1781,61 @@ var LeadLib = (function(ns) {
           totalLeads: 0,
           contactedLeads: 0,
           notContactedLeads: 0,
+          companies: 0,
+          byStage: {},
+          byEmailStatus: {},
           byIndustry: {},
           byTitle: {},
           byCompanySize: {}
         };
       }
 
+      const schema = this._getLeadSchema(sheet);
       const data = sheet.getDataRange().getValues();
-      const leads = data.slice(1); // Skip header
+      const leads = data.slice(1).map(row => this._rowToLead(row, schema)); // Skip header
       
       const stats = {
         totalLeads: leads.length,
         contactedLeads: 0,
         notContactedLeads: 0,
+        companies: new Set(leads.map(lead => lead.companyId || lead.company).filter(key => key)).size,
+        byStage: {},
+        byEmailStatus: {},
         byIndustry: {},
         byTitle: {},
         byCompanySize: {}
       };
 
+      // Every configured stage shows up, even when empty
+      this.getPipeline().stages.forEach(stage => {
+        stats.byStage[stage] = 0;
+      });
+
       leads.forEach(lead => {
-        // Contacted status (column 14, index 13)
-        if (lead[13] === true || lead[13] === 'TRUE') {
+        // Contacted status
+        if (lead.contacted) {
           stats.contactedLeads++;
         } else {
           stats.notContactedLeads++;
         }
 
-        // Industry (column 5, index 4)
-        const industry = lead[4] || 'Unknown';
+        // Pipeline stage
+        stats.byStage[lead.stage] = (stats.byStage[lead.stage] || 0) + 1;
+
+        // Email deliverability
+        const emailStatus = lead.emailStatus || 'unverified';
+        stats.byEmailStatus[emailStatus] = (stats.byEmailStatus[emailStatus] || 0) + 1;
+
+        // Industry
+        const industry = lead.industry || 'Unknown';
         stats.byIndustry[industry] = (stats.byIndustry[industry] || 0) + 1;
 
-        // Title (column 3, index 2)
-        const title = lead[2] || 'Unknown';
+        // Title
+        const title = lead.title || 'Unknown';
         stats.byTitle[title] = (stats.byTitle[title] || 0) + 1;
 
-        // Company size (column 6, index 5)
-        const employees = lead[5] || 0;
+        // Company size
+        const employees = lead.employees || 0;
         let sizeCategory = 'Unknown';
         if (employees === 0) sizeCategory = 'Unknown';
         else if (employees <= 10) sizeCategory = '1-10';
@@ -547,6 +1877,22 @@ var LeadLib = (function(ns) {
     return manager.getLeads(filters);
   };
 
+  /**
+   * Query leads with default manager
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Object} query - Filters, sort, paging and facets (see SheetManager.queryLeads)
+   * @returns {Object} Result object with leads, total, paging and facets
+   */
+  self.queryLeads = function(spreadsheetId, query) {
+    try {
+      const manager = new self.SheetManager(spreadsheetId);
+      return Object.assign({ success: true }, manager.queryLeads(query || {}));
+    } catch (error) {
+      console.error('Error querying leads:', error);
+      return Object.assign(self.toErrorResult(error), { success: false });
+    }
+  };
+
   /**
    * Append leads with default manager
    * @param {String} spreadsheetId - Spreadsheet ID
@@ -558,6 +1904,17 @@ var LeadLib = (function(ns) {
     return manager.appendLeads(leads);
   };
 
+  /**
+   * Upsert leads with default manager
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {Array} leads - Leads to upsert
+   * @returns {Object} Result object with inserted/updated/unchanged counts
+   */
+  self.upsertLeads = function(spreadsheetId, leads) {
+    const manager = new self.SheetManager(spreadsheetId);
+    return manager.upsertLeads(leads);
+  };
+
   /**
    * Update lead status with default manager
    * @param {String} spreadsheetId - Spreadsheet ID
@@ -571,6 +1928,63 @@ var LeadLib = (function(ns) {
     return { success: success, message: success ? 'Lead status updated successfully' : 'Lead not found' };
   };
 
+  /**
+   * Update lead status by lead ID with default manager
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} leadId - Lead ID
+   * @param {Boolean} contacted - Contacted status
+   * @returns {Object} Result object
+   */
+  self.updateLeadStatusById = function(spreadsheetId, leadId, contacted) {
+    const manager = new self.SheetManager(spreadsheetId);
+    const success = manager.updateLeadContactedStatusById(leadId, contacted);
+    return { success: success, message: success ? 'Lead status updated successfully' : 'Lead not found' };
+  };
+
+  /**
+   * Get a single lead's details with default manager
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} leadId - Lead ID
+   * @returns {Object} Result object
+   */
+  self.getLeadDetails = function(spreadsheetId, leadId) {
+    const manager = new self.SheetManager(spreadsheetId);
+    const lead = manager.getLeadById(leadId);
+    return lead ? { success: true, lead: lead } : { success: false, message: 'Lead not found' };
+  };
+
+  /**
+   * Delete a lead with default manager
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @param {String} leadId - Lead ID
+   * @returns {Object} Result object
+   */
+  self.deleteLead = function(spreadsheetId, leadId) {
+    const manager = new self.SheetManager(spreadsheetId);
+    const success = manager.deleteLeadById(leadId);
+    return { success: success, message: success ? 'Lead deleted successfully' : 'Lead not found' };
+  };
+
+  /**
+   * Backfill lead IDs on an existing sheet with default manager
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.migrateLeadIds = function(spreadsheetId) {
+    const manager = new self.SheetManager(spreadsheetId);
+    return manager.migrateLeadIds();
+  };
+
+  /**
+   * Move the API key out of the Settings sheet with default manager
+   * @param {String} spreadsheetId - Spreadsheet ID
+   * @returns {Object} Result object
+   */
+  self.migrateApiKey = function(spreadsheetId) {
+    const manager = new self.SheetManager(spreadsheetId);
+    return manager.migrateApiKey();
+  };
+
   /**
    * Get settings with default manager
    * @param {String} spreadsheetId - Spreadsheet ID
@@ -619,16 +2033,22 @@ var LeadLib = (function(ns) {
    * @param {Object} params - Export parameters
    * @returns {Object} Result object
    */
-  self.exportToCSV = function(spreadsheetId, params) {
+  self.exportToCSV = function(spreadsheetId, params = {}) {
     try {
       const manager = new self.SheetManager(spreadsheetId);
-      const leads = manager.getLeads(params.filters);
+      const matching = manager.getLeads(params.filters);
+
+      // Export gate: only leads whose email status is allowed go out
+      const allowed = params.emailStatus ?
+        (Array.isArray(params.emailStatus) ? params.emailStatus : [params.emailStatus]) : null;
+      const leads = allowed ? matching.filter(lead => allowed.indexOf(lead.emailStatus) !== -1) : matching;
       
       if (leads.length === 0) {
         return { success: false, message: 'No leads to export' };
       }
 
-      const csvContent = self.exportToCSV(leads);
+      const processor = new self.DataProcessor();
+      const csvContent = processor.exportToCSV(leads);
       
       // Create a temporary file
       const fileName = `SMB_Leads_${new Date().toISOString().split('T')[0]}.csv`;
@@ -641,6 +2061,8 @@ var LeadLib = (function(ns) {
       return { 
         success: true, 
         message: 'CSV exported successfully',
+        exported: leads.length,
+        skipped: matching.length - leads.length,
         fileName: fileName,
         fileUrl: fileUrl
       };
@@ -651,86 +2073,97 @@ var LeadLib = (function(ns) {
   };
 
   /**
-   * Test Apollo connection
-   * @param {String} apiKey - API key to test
+   * Test Apollo connection against the auth endpoint
+   * @param {String} apiKey - API key to test, the stored key when omitted
    * @returns {Object} Test result
    */
   self.testApolloConnection = function(apiKey) {
     try {
-      if (!apiKey) {
+      const api = new self.ApolloAPI({ apiKey: apiKey });
+      if (!api.apiKey) {
         return { success: false, message: 'API key is required' };
       }
 
-      // Test with a simple API call
-      const api = new self.ApolloAPI();
-      api.apiKey = apiKey;
-      
-      const testFilters = {
-        roles: ['CEO'],
-        perPage: 1
-      };
+      if (!api.testConnection()) {
+        return { success: false, code: 'auth_error', message: 'Connection failed: Apollo did not accept the API key', retryable: false };
+      }
 
-      const leads = api.fetchLeads(testFilters);
-      
-      return { 
-        success: true, 
-        message: 'Connection successful',
-        leadsCount: leads ? leads.length : 0
-      };
+      return { success: true, message: 'Connection successful' };
     } catch (error) {
       console.error('Error testing Apollo connection:', error);
-      return { success: false, message: 'Connection failed: ' + error.message };
+      return Object.assign(self.toErrorResult(error), { success: false, message: 'Connection failed: ' + error.message });
     }
   };
 
   /**
-   * Fetch leads from Apollo and save to sheet
+   * Fetch leads from Apollo and save to sheet as a resumable job
    * @param {String} spreadsheetId - Spreadsheet ID
-   * @param {Object} filters - Filter criteria
-   * @param {String} apiKey - Apollo API key
-   * @returns {Object} Result object
+   * @param {Object} filters - Filter criteria (totalLeads sets the target)
+   * @param {String} apiKey - Apollo API key to save first; the stored key when omitted
+   * @returns {Object} Result object with the fetch job ID
    */
   self.fetchLeads = function(spreadsheetId, filters, apiKey) {
     try {
       // Validate API key
-      if (!apiKey) {
+      if (!apiKey && !self.getApolloApiKey()) {
         return { success: false, message: 'Please set your Apollo API key in Settings' };
       }
 
-      // Set the API key
-      PropertiesService.getUserProperties().setProperty('APOLLO_API_KEY', apiKey);
+      // Reject unknown or invalid filters before spending any credits
+      try {
+        self.mapFilters(filters);
+      } catch (filterError) {
+        return { success: false, code: 'validation_error', message: filterError.message, retryable: false };
+      }
 
-      // Fetch leads from Apollo
-      const api = new self.ApolloAPI();
-      const rawLeads = api.fetchLeads(filters);
-      
-      if (!rawLeads || rawLeads.length === 0) {
-        return { success: false, message: 'No leads found with the specified criteria' };
+      // Set the API key
+      if (apiKey) {
+        self.setApolloApiKey(apiKey);
       }
 
-      // Clean and validate leads
-      const cleanedLeads = self.cleanLeads(rawLeads);
-      
-      if (cleanedLeads.length === 0) {
-        return { success: false, message: 'No valid leads found after cleaning' };
+      // Pre-flight: don't start a job that can't make a single call
+      const budget = self.checkCreditBudget(spreadsheetId, 1);
+      if (!budget.success) {
+        return budget;
       }
 
-      // Append to sheet
-      const appendSuccess = self.appendLeads(spreadsheetId, cleanedLeads);
-      
-      if (appendSuccess) {
-        return { 
-          success: true, 
-          message: `Successfully fetched and added ${cleanedLeads.length} leads`,
-          leadsCount: cleanedLeads.length
+      // Start the job; anything left after the first slice runs on a trigger
+      const job = self.startFetchJob(spreadsheetId, filters);
+
+      if (job.status === 'failed') {
+        return {
+          success: false,
+          code: job.errorCode || 'internal_error',
+          message: 'Error fetching leads: ' + job.error,
+          retryable: job.retryable,
+          jobId: job.jobId,
+          job: job
         };
-      } else {
-        return { success: false, message: 'Failed to save leads to sheet' };
       }
 
+      if (job.status === 'completed' && job.leadsFetched === 0) {
+        return { success: false, jobId: job.jobId, job: job, message: 'No leads found with the specified criteria' };
+      }
+
+      const counts = `${job.inserted} new, ${job.updated} updated, ${job.unchanged} unchanged, ${job.rejected} rejected`;
+      return {
+        success: true,
+        jobId: job.jobId,
+        job: job,
+        leadsCount: job.leadsWritten,
+        inserted: job.inserted,
+        updated: job.updated,
+        unchanged: job.unchanged,
+        rejected: job.rejected,
+        rejectedByReason: job.rejectedByReason,
+        message: job.status === 'completed' ?
+          `Successfully fetched ${job.leadsWritten} leads (${counts})` :
+          `Fetch job started: ${job.leadsWritten} of ${job.totalRequested} leads processed so far (${counts})`
+      };
+
     } catch (error) {
       console.error('Error fetching leads:', error);
-      return { success: false, message: 'Error fetching leads: ' + error.message };
+      return Object.assign(self.toErrorResult(error), { success: false, message: 'Error fetching leads: ' + error.message });
     }
   };
 
@@ -27,8 +27,21 @@ function getWebAppUrl() {
 
 // ===== WEB APP ENTRY POINT =====
 
+/**
+ * Serve the web interface, or a JSON API response for ?path=/v1/...
+ */
 function doGet(e) {
   try {
+    const query = (e && e.parameter) || {};
+    if (query.path) {
+      return jsonOutput(getApiRouter().handle({
+        method: 'GET',
+        path: query.path,
+        params: queryParams(query),
+        token: query.token
+      }));
+    }
+
     return HtmlService.createHtmlOutputFromFile('index')
       .setTitle('SMB Lead Automator - Modern Lead Generation')
       .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.DEFAULT);
@@ -40,104 +53,346 @@ function doGet(e) {
 
 /**
  * XMLHttpRequest API Handler
- * Provides async, non-blocking API for client-side XMLHttpRequest calls
+ * Provides async, non-blocking API for client-side XMLHttpRequest calls.
+ * Send { path: '/v1/...', params, token } (or ?path= in the URL) for the
+ * versioned API and its { ok, data, error, meta } envelope, or the legacy
+ * { action, params, token } for the old response shapes. Callers
+ * authenticate with an API token or as an allowlisted Google account.
  */
 function doPost(e) {
   try {
-    let requestData;
+    const query = e.parameter || {};
+    let requestData = {};
     
     // Parse incoming JSON request
     if (e.postData && e.postData.contents) {
       try {
         requestData = JSON.parse(e.postData.contents);
       } catch (parseError) {
-        return ContentService.createTextOutput(JSON.stringify({
+        return jsonOutput({
           success: false,
           error: 'Invalid JSON in request body'
-        })).setMimeType(ContentService.MimeType.JSON);
+        });
       }
-    } else {
-      return ContentService.createTextOutput(JSON.stringify({
+    } else if (!query.path) {
+      return jsonOutput({
         success: false,
         error: 'No request data provided'
-      })).setMimeType(ContentService.MimeType.JSON);
-    }
-    
-    const action = requestData.action;
-    const params = requestData.params || {};
-    
-    // Route to appropriate handler
-    let result;
-    switch(action) {
-      // Dashboard & Stats
-      case 'getStats':
-        result = getCachedStatsApi();
-        break;
-      case 'getQuickStats':
-        result = getQuickStatsApi();
-        break;
-        
-      // Leads
-      case 'listLeads':
-        result = listLeadsApi(params);
-        break;
-      case 'fetchLeads':
-        result = fetchLeadsApi(params);
-        break;
-      case 'updateLeadStatus':
-        result = updateLeadStatusApi(params.email, params.contacted);
-        break;
-        
-      // Settings
-      case 'getSettings':
-        result = getSettingsApi();
-        break;
-      case 'saveSettings':
-        result = saveSettingsApi(params.settings);
-        break;
-      case 'testApolloConnection':
-        result = testApolloConnectionApi(params.apiKey);
-        break;
-        
-      // Export
-      case 'exportToCSV':
-        result = exportToCSVApi(params);
-        break;
-        
-      // Cache Management
-      case 'clearCache':
-        result = clearCacheApi(params.cacheType);
-        break;
-      case 'warmCache':
-        result = warmCacheApi();
-        break;
-        
-      // Admin
-      case 'initSheets':
-        result = initSheetsApi();
-        break;
-      case 'clearAllLeads':
-        result = clearAllLeadsApi();
-        break;
-        
-      default:
-        result = {
-          success: false,
-          error: 'Unknown action: ' + action
-        };
+      });
     }
-    
-    // Return JSON response
-    return ContentService.createTextOutput(JSON.stringify(result))
-      .setMimeType(ContentService.MimeType.JSON);
+
+    const path = query.path || requestData.path;
+    const token = requestData.token || query.token;
+
+    if (path) {
+      return jsonOutput(getApiRouter().handle({
+        method: 'POST',
+        path: path,
+        params: Object.assign(queryParams(query), requestData.params || {}),
+        token: token
+      }));
+    }
+
+    // Legacy action names are aliases for the v1 routes
+    return jsonOutput(getApiRouter().handleAction(requestData.action, requestData.params || {}, token));
       
   } catch (error) {
     console.error('doPost error:', error);
-    return ContentService.createTextOutput(JSON.stringify({
+    return jsonOutput({
       success: false,
-      error: error.message || 'Server error'
-    })).setMimeType(ContentService.MimeType.JSON);
+      code: error.code || 'internal_error',
+      error: error.message || 'Server error',
+      retryable: !!error.retryable
+    });
+  }
+}
+
+/**
+ * Serialize an API response
+ */
+function jsonOutput(payload) {
+  return ContentService.createTextOutput(JSON.stringify(payload))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Query string parameters other than routing and auth
+ */
+function queryParams(query) {
+  const params = Object.assign({}, query);
+  delete params.path;
+  delete params.token;
+  return params;
+}
+
+/**
+ * Versioned API routes. Each route declares the least role it needs
+ * (viewer < rep < admin), its parameters, and the legacy action name
+ * that still reaches it through doPost.
+ */
+function getApiRouter() {
+  if (typeof LeadLib === 'undefined' || !LeadLib.ApiRouter) {
+    throw new Error('LeadLib not available');
   }
+
+  const router = new LeadLib.ApiRouter({ version: 'v1', authorize: LeadLib.authorizeApiRequest });
+  const leadId = { type: 'string', required: true, description: 'Lead ID' };
+
+  router
+    // Discovery
+    .add({ method: 'GET', path: '/v1/actions', action: 'listActions', role: null,
+      description: 'List every route with its parameters and required role',
+      handler: () => ({ success: true, version: 'v1', actions: router.describe() }) })
+
+    // Dashboard & Stats
+    .add({ method: 'GET', path: '/v1/stats', action: 'getStats', role: 'viewer',
+      description: 'Lead statistics (cached)',
+      handler: () => getCachedStatsApi() })
+    .add({ method: 'GET', path: '/v1/stats/quick', action: 'getQuickStats', role: 'viewer',
+      description: 'Lead counts only',
+      handler: () => getQuickStatsApi() })
+    .add({ method: 'GET', path: '/v1/credits', action: 'getCreditUsage', role: 'viewer',
+      description: 'Apollo credits used versus the daily and monthly caps',
+      handler: () => getCreditUsageApi() })
+
+    // Leads
+    .add({ method: 'GET', path: '/v1/leads', action: 'listLeads', role: 'viewer', paged: true,
+      description: 'Filter, sort and page leads, with total and facet counts',
+      params: {
+        page: { type: 'integer', min: 1, default: 1 },
+        pageSize: { type: 'integer', min: 1, max: 500, default: 10 },
+        cursor: { type: 'string', description: 'nextCursor from the previous page; replaces page' },
+        sort: { type: 'array', description: 'Fields with optional :asc or :desc, e.g. score:desc,name' },
+        search: { type: 'string', description: 'Matches name, company, email or title' },
+        title: { type: 'string' },
+        industry: { type: 'string' },
+        companySize: { type: 'string' },
+        contacted: { type: 'boolean' },
+        stage: { type: 'string' },
+        emailStatus: { type: 'string' },
+        companyId: { type: 'string' },
+        minScore: { type: 'number' },
+        maxScore: { type: 'number' },
+        location: { type: 'string', description: 'Matches any part of the location' },
+        addedFrom: { type: 'string', description: 'Date or ISO timestamp' },
+        addedTo: { type: 'string', description: 'Date (inclusive) or ISO timestamp' },
+        stageUpdatedFrom: { type: 'string' },
+        stageUpdatedTo: { type: 'string' },
+        enrichedFrom: { type: 'string' },
+        enrichedTo: { type: 'string' },
+        facets: { type: 'array', description: 'Fields to count; stage, industry, emailStatus and companySize by default' },
+        forceRefresh: { type: 'boolean', description: 'Bypass the cached lead list' }
+      },
+      handler: params => listLeadsApi(params) })
+    .add({ method: 'GET', path: '/v1/leads/:leadId', action: 'getLeadDetails', role: 'viewer',
+      description: 'A lead with its notes and activity',
+      params: { leadId: leadId },
+      handler: params => getLeadDetailsApi(params.leadId) })
+    .add({ method: 'POST', path: '/v1/leads/fetch', action: 'fetchLeads', role: 'rep', additionalParams: true,
+      description: 'Start a fetch job; other parameters are search filters (roles, locations, companySize, ...)',
+      params: {
+        totalLeads: { type: 'integer', min: 1 },
+        perPage: { type: 'integer', min: 1, max: 100 }
+      },
+      handler: params => fetchLeadsApi(params) })
+    .add({ method: 'GET', path: '/v1/jobs/:jobId', action: 'getFetchJobStatus', role: 'viewer',
+      description: 'Progress of a fetch or enrichment job',
+      params: { jobId: { type: 'string', required: true } },
+      handler: params => getFetchJobStatusApi(params.jobId) })
+    .add({ method: 'POST', path: '/v1/leads/enrich', action: 'enrichLeads', role: 'rep',
+      description: 'Start an enrichment job for selected or stale leads',
+      params: {
+        leadIds: { type: 'array', description: 'Leads to enrich; stale leads when omitted' },
+        creditBudget: { type: 'integer', min: 1 },
+        maxLeads: { type: 'integer', min: 1 }
+      },
+      handler: params => enrichLeadsApi(params) })
+    .add({ method: 'POST', path: '/v1/leads/refresh', action: 'refreshLeads', role: 'rep',
+      description: 'Start a refresh job that re-checks selected or all leads against Apollo',
+      params: {
+        leadIds: { type: 'array', description: 'Leads to refresh; every matchable lead when omitted' },
+        creditBudget: { type: 'integer', min: 1 },
+        maxLeads: { type: 'integer', min: 1 }
+      },
+      handler: params => refreshLeadsApi(params) })
+    .add({ method: 'POST', path: '/v1/leads/:leadId/enrich', action: 'enrichLead', role: 'rep',
+      description: 'Enrich one lead now',
+      params: { leadId: leadId },
+      handler: params => enrichLeadApi(params.leadId) })
+    .add({ method: 'POST', path: '/v1/leads/:leadId/status', action: 'updateLeadStatus', role: 'rep',
+      description: 'Mark a lead contacted or not (legacy callers may send email instead of leadId)',
+      params: {
+        leadId: { type: 'string' },
+        email: { type: 'string' },
+        contacted: { type: 'boolean', required: true }
+      },
+      handler: params => params.leadId ?
+        updateLeadStatusByIdApi(params.leadId, params.contacted) :
+        updateLeadStatusApi(params.email, params.contacted) })
+    .add({ method: 'POST', path: '/v1/leads/:leadId/stage', action: 'updateLeadStage', role: 'rep',
+      description: 'Move a lead to a pipeline stage',
+      params: { leadId: leadId, stage: { type: 'string', required: true } },
+      handler: params => updateLeadStageApi(params.leadId, params.stage) })
+    .add({ method: 'POST', path: '/v1/leads/:leadId/notes', action: 'addLeadNote', role: 'rep',
+      description: 'Add a note to a lead',
+      params: { leadId: leadId, note: { type: 'string', required: true } },
+      handler: params => addLeadNoteApi(params.leadId, params.note) })
+    .add({ method: 'GET', path: '/v1/leads/:leadId/timeline', action: 'getLeadTimeline', role: 'viewer',
+      description: 'Stage changes, notes and activity for a lead',
+      params: { leadId: leadId },
+      handler: params => getLeadTimelineApi(params.leadId) })
+    .add({ method: 'POST', path: '/v1/leads/:leadId/activities', action: 'logActivity', role: 'rep',
+      description: 'Log an activity (call, email, meeting, ...) on a lead',
+      params: {
+        leadId: leadId,
+        type: { type: 'string', required: true },
+        summary: { type: 'string', required: true },
+        details: { type: 'object' }
+      },
+      handler: params => logLeadActivityApi(params.leadId, params.type, params.summary, params.details) })
+    .add({ method: 'POST', path: '/v1/leads/:leadId/delete', action: 'deleteLead', role: 'admin',
+      description: 'Delete a lead',
+      params: { leadId: leadId },
+      handler: params => deleteLeadApi(params.leadId) })
+    .add({ method: 'POST', path: '/v1/leads/merge', action: 'mergeLeads', role: 'rep',
+      description: 'Merge duplicate leads into a primary lead',
+      params: {
+        primaryId: { type: 'string', required: true },
+        duplicateIds: { type: 'array', required: true }
+      },
+      handler: params => mergeLeadsApi(params.primaryId, params.duplicateIds) })
+    .add({ method: 'GET', path: '/v1/duplicates', action: 'findDuplicates', role: 'rep',
+      description: 'Find duplicate clusters and write the Duplicates report',
+      params: { threshold: { type: 'number', min: 0, max: 1 } },
+      handler: params => findDuplicatesApi(params) })
+    .add({ method: 'GET', path: '/v1/rejected', action: 'getRejectedLeads', role: 'viewer',
+      description: 'Leads quarantined by validation',
+      handler: () => getRejectedLeadsApi() })
+    .add({ method: 'POST', path: '/v1/rejected/promote', action: 'promoteRejectedLeads', role: 'rep',
+      description: 'Re-validate quarantined leads and promote the ones that pass',
+      handler: () => promoteRejectedLeadsApi() })
+    .add({ method: 'POST', path: '/v1/leads/rescore', action: 'rescoreAll', role: 'admin',
+      description: 'Recompute every lead score',
+      handler: () => rescoreAllLeadsApi() })
+
+    // Saved Searches
+    .add({ method: 'GET', path: '/v1/searches', action: 'getSavedSearches', role: 'viewer',
+      description: 'Saved searches with their schedules and last run',
+      handler: () => getSavedSearchesApi() })
+    .add({ method: 'POST', path: '/v1/searches', action: 'saveSearch', role: 'rep',
+      description: 'Create a saved search, or update one when id is given',
+      params: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        filters: { type: 'object', description: 'Fetch filters (roles, locations, companySize, ...)' },
+        leadCap: { type: 'integer', min: 1 },
+        schedule: { type: 'string', enum: ['manual', 'hourly', 'daily', 'weekly'] },
+        enabled: { type: 'boolean' }
+      },
+      handler: params => saveSearchApi(params) })
+    .add({ method: 'POST', path: '/v1/searches/:searchId/run', action: 'runSavedSearch', role: 'rep',
+      description: 'Run a saved search now',
+      params: { searchId: { type: 'string', required: true } },
+      handler: params => runSavedSearchApi(params.searchId) })
+    .add({ method: 'POST', path: '/v1/searches/:searchId/delete', action: 'deleteSavedSearch', role: 'rep',
+      description: 'Delete a saved search',
+      params: { searchId: { type: 'string', required: true } },
+      handler: params => deleteSavedSearchApi(params.searchId) })
+
+    // Pipeline & Accounts
+    .add({ method: 'GET', path: '/v1/pipeline/stages', action: 'getPipelineStages', role: 'viewer',
+      description: 'Configured pipeline stages',
+      handler: () => getPipelineStagesApi() })
+    .add({ method: 'GET', path: '/v1/accounts', action: 'getAccounts', role: 'viewer',
+      description: 'Companies with contact counts, best stage and last activity',
+      handler: () => getAccountsApi() })
+    .add({ method: 'GET', path: '/v1/accounts/:companyId', action: 'getAccount', role: 'viewer',
+      description: 'A company with its contacts',
+      params: { companyId: { type: 'string', required: true } },
+      handler: params => getAccountApi(params.companyId) })
+
+    // Settings
+    .add({ method: 'GET', path: '/v1/settings', action: 'getSettings', role: 'admin',
+      description: 'Settings (the API key is masked)',
+      handler: () => getSettingsApi() })
+    .add({ method: 'POST', path: '/v1/settings', action: 'saveSettings', role: 'admin',
+      description: 'Save settings',
+      params: { settings: { type: 'object', required: true } },
+      handler: params => saveSettingsApi(params.settings) })
+    .add({ method: 'POST', path: '/v1/settings/test-connection', action: 'testApolloConnection', role: 'admin',
+      description: 'Check an Apollo API key (the saved key when omitted)',
+      params: { apiKey: { type: 'string' } },
+      handler: params => testApolloConnectionApi(params.apiKey) })
+
+    // Export
+    .add({ method: 'POST', path: '/v1/export', action: 'exportToCSV', role: 'viewer',
+      description: 'Export leads to a CSV file in Drive',
+      params: {
+        filters: { type: 'object' },
+        emailStatus: { type: 'array', description: 'Only export leads with these email statuses' }
+      },
+      handler: params => exportToCSVApi(params) })
+
+    // Cache Management
+    .add({ method: 'POST', path: '/v1/cache/clear', action: 'clearCache', role: 'admin',
+      description: 'Clear cached data: one region, "leads" for everything derived from leads, or "all"',
+      params: { cacheType: { type: 'string', enum: ['stats', 'quick', 'leads', 'apollo', 'enrichment', 'all'], default: 'all' } },
+      handler: params => clearCacheApi(params.cacheType) })
+    .add({ method: 'POST', path: '/v1/cache/warm', action: 'warmCache', role: 'rep',
+      description: 'Pre-load caches',
+      handler: () => warmCacheApi() })
+
+    // Admin
+    .add({ method: 'POST', path: '/v1/admin/init-sheets', action: 'initSheets', role: 'admin',
+      description: 'Create or reset the sheets',
+      handler: () => initSheetsApi() })
+    .add({ method: 'POST', path: '/v1/admin/clear-leads', action: 'clearAllLeads', role: 'admin',
+      description: 'Delete every lead',
+      handler: () => clearAllLeadsApi() })
+    .add({ method: 'POST', path: '/v1/admin/migrate-lead-ids', action: 'migrateLeadIds', role: 'admin',
+      description: 'Backfill lead IDs',
+      handler: () => migrateLeadIdsApi() })
+    .add({ method: 'POST', path: '/v1/admin/migrate-pipeline-stages', action: 'migratePipelineStages', role: 'admin',
+      description: 'Move the Contacted flag into pipeline stages',
+      handler: () => migratePipelineStagesApi() })
+    .add({ method: 'POST', path: '/v1/admin/migrate-companies', action: 'migrateCompanies', role: 'admin',
+      description: 'Create companies for existing leads and link them',
+      handler: () => migrateCompaniesApi() })
+    .add({ method: 'POST', path: '/v1/admin/migrate-api-key', action: 'migrateApiKey', role: 'admin',
+      description: 'Move an API key out of the Settings sheet',
+      handler: () => migrateApiKeyApi() })
+    .add({ method: 'GET', path: '/v1/admin/ui-contracts', action: 'checkUiContracts', role: 'admin',
+      description: 'Check web UI endpoint responses against the DTO contracts',
+      handler: () => checkUiContractsApi() })
+
+    // API Access
+    .add({ method: 'GET', path: '/v1/access', action: 'listApiAccess', role: 'admin',
+      description: 'API tokens (without secrets) and allowed accounts',
+      handler: () => LeadLib.listApiAccess() })
+    .add({ method: 'POST', path: '/v1/access/tokens', action: 'createApiToken', role: 'admin',
+      description: 'Create an API token; the token is only returned once',
+      params: {
+        name: { type: 'string', required: true },
+        role: { type: 'string', required: true, enum: ['viewer', 'rep', 'admin'] }
+      },
+      handler: params => LeadLib.createApiToken(params.name, params.role) })
+    .add({ method: 'POST', path: '/v1/access/tokens/:tokenId/revoke', action: 'revokeApiToken', role: 'admin',
+      description: 'Revoke an API token',
+      params: { tokenId: { type: 'string', required: true } },
+      handler: params => LeadLib.revokeApiToken(params.tokenId) })
+    .add({ method: 'POST', path: '/v1/access/users', action: 'allowApiUser', role: 'admin',
+      description: 'Allow a Google account, or change its role',
+      params: {
+        email: { type: 'string', required: true },
+        role: { type: 'string', required: true, enum: ['viewer', 'rep', 'admin'] }
+      },
+      handler: params => LeadLib.allowApiUser(params.email, params.role) })
+    .add({ method: 'POST', path: '/v1/access/users/remove', action: 'removeApiUser', role: 'admin',
+      description: 'Remove a Google account from the allowlist',
+      params: { email: { type: 'string', required: true } },
+      handler: params => LeadLib.removeApiUser(params.email) });
+
+  return router;
 }
 
 /**
@@ -151,11 +406,23 @@ function onOpen() {
     .addSeparator()
     .addItem('Fetch Leads', 'showFetchLeadsDialog')
     .addItem('Refresh All Leads', 'refreshAllLeads')
+    .addItem('Enrich Stale Leads', 'enrichStaleLeads')
     .addSeparator()
     .addItem('Open Web Interface', 'openWebInterface')
     .addItem('Export to CSV', 'exportToCSV')
     .addSeparator()
+    .addItem('Migrate Lead IDs', 'migrateLeadIds')
+    .addItem('Migrate Pipeline Stages', 'migratePipelineStages')
+    .addItem('Migrate Companies', 'migrateCompanies')
+    .addItem('Migrate API Key', 'migrateApiKey')
+    .addItem('Rescore All Leads', 'rescoreAllLeads')
+    .addItem('Promote Rejected Leads', 'promoteRejectedLeads')
+    .addItem('Find Duplicates', 'findDuplicates')
     .addItem('Clear All Leads', 'clearAllLeads')
+    .addItem('Watch Sheet Edits', 'watchSheetEdits')
+    .addSeparator()
+    .addItem('Create API Token', 'createApiToken')
+    .addItem('Allow API User', 'allowApiUser')
     .addItem('Settings', 'showSettingsDialog')
     .addToUi();
 }
@@ -194,9 +461,17 @@ function initSheetsFallback(spreadsheetId) {
     leadsSheet.clear();
     
     const leadsHeaders = [
-      'Timestamp', 'Lead Name', 'Title', 'Company Name', 'Industry',
-      'Employees', 'Founded Year', 'Email', 'Phone', 'Location',
-      'LinkedIn', 'Website', 'Description', 'Contacted', 'Source'
+      'Timestamp', 'Lead Name', 'Honorific', 'First Name', 'Last Name', 'Title', 'Company Name', 'Industry',
+      'Employees', 'Founded Year', 'Email', 'Phone', 'Phone Display',
+      'Phone Type', 'Phone Extension', 'Phone Status', 'Phone (Unparsed)', 'Location',
+      'LinkedIn', 'Website', 'Description', 'Contacted', 'Source',
+      'Lead ID', 'Apollo Person ID', 'Apollo Organization ID',
+      'Stage', 'Stage Updated', 'Stage History', 'Score',
+      'Email Status', 'Email Suggestion', 'Company ID',
+      'Annual Revenue', 'Total Funding', 'Funding Stage', 'Technologies', 'Keywords',
+      'Company Phone', 'Twitter', 'Facebook', 'GitHub',
+      'Company LinkedIn', 'Company Twitter', 'Company Facebook', 'Enriched At',
+      'Refresh Status', 'Refreshed At', 'Apollo Values'
     ];
     leadsSheet.getRange(1, 1, 1, leadsHeaders.length).setValues([leadsHeaders]);
     
@@ -216,10 +491,15 @@ function initSheetsFallback(spreadsheetId) {
     
     const settingsData = [
       ['Setting', 'Value', 'Description'],
-      ['Apollo API Key', '', 'Your Apollo.io API key'],
       ['Default Page Size', '25', 'Number of leads to fetch per request'],
-      ['Cache Duration', '3600', 'Cache duration in seconds'],
-      ['Auto Refresh', 'FALSE', 'Automatically refresh leads'],
+      ['Cache Duration', '3600', 'Cache duration in seconds (at most 21600; 0 turns caching off)'],
+      ['Auto Refresh', 'FALSE', 'Run scheduled saved searches (Searches sheet) every hour'],
+      ['Pipeline Stages', 'New, Contacted, Replied, Meeting Booked, Qualified, Won, Lost, Unsubscribed', 'Comma-separated sales pipeline stages, first is the initial stage'],
+      ['Default Phone Region', 'US', 'Country code (e.g. US, GB) for phone numbers without a country'],
+      ['Enrichment Stale Days', '90', 'Re-enrich leads whose last enrichment is older than this'],
+      ['Enrichment Credit Budget', '100', 'Maximum Apollo credits one enrichment job may spend'],
+      ['Daily Credit Cap', '500', 'Maximum Apollo credits (API calls) per day, 0 for no cap'],
+      ['Monthly Credit Cap', '10000', 'Maximum Apollo credits (API calls) per month, 0 for no cap'],
       ['Last Updated', '', 'Last successful data fetch'],
       ['Total Leads', '0', 'Total number of leads in database']
     ];
@@ -277,7 +557,7 @@ function getStatsApi() {
 }
 
 /**
- * Get cached dashboard stats (1-hour cache, much faster than getStatsApi)
+ * Get cached dashboard stats (kept for the Cache Duration setting until leads change)
  */
 function getCachedStatsApi() {
   try {
@@ -313,392 +593,891 @@ function getQuickStatsApi() {
 // ===== LEADS API =====
 
 /**
- * List leads with caching for better performance
+ * Filter, sort and page leads, with caching for better performance
+ * (see SheetManager.queryLeads for the query)
  */
 function listLeadsApi(params) {
   try {
     const spreadsheetId = getSheetId();
     
-    // Try to use cached full list first
-    const cacheKey = 'leads_full_list';
-    const cache = CacheService.getScriptCache();
-    let leads;
+    // Pages are cached per filter set and invalidated whenever leads are written
+    if (typeof LeadLib !== 'undefined' && LeadLib.getLeadPage) {
+      return LeadLib.getLeadPage(spreadsheetId, params || {});
+    }
     
-    const cached = cache.get(cacheKey);
-    if (cached && !params.forceRefresh) {
-      leads = JSON.parse(cached);
-      console.log('Leads loaded from cache');
-    } else {
-      // Fetch from sheet using LeadLib
-      if (typeof LeadLib !== 'undefined' && LeadLib.getLeads) {
-        leads = LeadLib.getLeads(spreadsheetId, params);
-      } else {
-        // Fallback to direct sheet access
-        const ss = SpreadsheetApp.openById(spreadsheetId);
-        const sheet = ss.getSheetByName('Leads');
-        
-        if (!sheet || sheet.getLastRow() < 2) {
-          return { rows: [], total: 0 };
-        }
-        
-        const data = sheet.getDataRange().getValues();
-        const headers = data[0];
-        const rows = data.slice(1);
-        
-        leads = rows.map(function(row) {
-          const obj = {};
-          headers.forEach(function(header, idx) {
-            obj[header] = row[idx];
-          });
-          return obj;
-        });
-      }
-      
-      // Cache for 10 minutes
-      try {
-        cache.put(cacheKey, JSON.stringify(leads), 600);
-      } catch (e) {
-        console.warn('Could not cache leads:', e);
-      }
+    // Fallback to direct sheet access
+    const ss = SpreadsheetApp.openById(spreadsheetId);
+    const sheet = ss.getSheetByName('Leads');
+    
+    if (!sheet || sheet.getLastRow() < 2) {
+      return { rows: [], total: 0 };
     }
     
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const leads = data.slice(1).map(function(row) {
+      const obj = {};
+      headers.forEach(function(header, idx) {
+        obj[header] = row[idx];
+      });
+      return obj;
+    });
+    
     const page = params.page || 1;
     const pageSize = params.pageSize || 10;
     const start = (page - 1) * pageSize;
-    const end = start + pageSize;
     
     return {
-      rows: leads.slice(start, end),
+      rows: leads.slice(start, start + pageSize),
       total: leads.length,
       page: page,
       pageSize: pageSize
     };
   } catch (error) {
     console.error('listLeadsApi error:', error);
-    return { rows: [], total: 0, error: error.message };
+    return {
+      rows: [],
+      total: 0,
+      error: error.message,
+      code: error.code || 'internal_error',
+      status: error.code === 'validation_error' ? 400 : 500
+    };
   }
 }
 
-function fetchLeadsApi(params) {
+/**
+ * A page of leads and the dashboard statistics for the web UI, as LeadsData
+ * DTOs (see contracts.js)
+ */
+function getLeadsDataApi(query) {
   try {
     const spreadsheetId = getSheetId();
     
-    // Validate API key
-    const apiKey = PropertiesService.getUserProperties().getProperty('APOLLO_API_KEY');
-    if (!apiKey) {
-      return { success: false, message: 'Please set your Apollo API key in Settings' };
+    if (typeof LeadLib !== 'undefined' && LeadLib.getLeadPage) {
+      const page = LeadLib.getLeadPage(spreadsheetId, query || {});
+      return {
+        success: true,
+        leads: page.rows,
+        total: page.total,
+        page: page.page,
+        pageSize: page.pageSize,
+        hasMore: page.hasMore,
+        facets: page.facets,
+        statistics: LeadLib.toStatsDto(LeadLib.getCachedStats(spreadsheetId, false))
+      };
+    } else {
+      return { success: false, message: 'LeadLib not available' };
     }
+  } catch (error) {
+    console.error('getLeadsDataApi error:', error);
+    return { success: false, message: 'Error loading leads: ' + error.message };
+  }
+}
+
+function fetchLeadsApi(params) {
+  try {
+    const spreadsheetId = getSheetId();
 
-    // Use LeadLib to fetch leads
+    // Use LeadLib to fetch leads with the stored API key
     if (typeof LeadLib !== 'undefined' && LeadLib.fetchLeads) {
-      const result = LeadLib.fetchLeads(spreadsheetId, params, apiKey);
-      
-      // Invalidate cache after new data
-      CacheService.getScriptCache().remove('leads_full_list');
-      
-      return result;
+      return LeadLib.fetchLeads(spreadsheetId, params);
     } else {
       return { success: false, message: 'LeadLib not available' };
     }
   } catch (error) {
     console.error('fetchLeadsApi error:', error);
-    return { success: false, message: 'Error fetching leads: ' + error.message };
+    return {
+      success: false,
+      code: error.code || 'internal_error',
+      message: 'Error fetching leads: ' + error.message,
+      retryable: !!error.retryable
+    };
   }
 }
 
-function updateLeadStatusApi(email, contacted) {
+/**
+ * Start an enrichment job for selected (params.leadIds) or stale leads
+ */
+function enrichLeadsApi(params) {
   try {
     const spreadsheetId = getSheetId();
     
-    if (typeof LeadLib !== 'undefined' && LeadLib.updateLeadStatus) {
-      const result = LeadLib.updateLeadStatus(spreadsheetId, email, contacted);
-      
-      // Invalidate cache after update
-      CacheService.getScriptCache().remove('leads_full_list');
-      
-      return result;
+    if (typeof LeadLib !== 'undefined' && LeadLib.enrichLeads) {
+      return LeadLib.enrichLeads(spreadsheetId, params || {});
     } else {
       return { success: false, message: 'LeadLib not available' };
     }
   } catch (error) {
-    console.error('updateLeadStatusApi error:', error);
-    return { success: false, message: 'Error updating lead status: ' + error.message };
+    console.error('enrichLeadsApi error:', error);
+    return { success: false, message: 'Error enriching leads: ' + error.message };
   }
 }
 
-// ===== SETTINGS API =====
-
-function getSettingsApi() {
+/**
+ * Start a refresh job for selected (params.leadIds) or all leads
+ */
+function refreshLeadsApi(params) {
   try {
     const spreadsheetId = getSheetId();
     
-    if (typeof LeadLib !== 'undefined' && LeadLib.getSettings) {
-      return LeadLib.getSettings(spreadsheetId);
+    if (typeof LeadLib !== 'undefined' && LeadLib.refreshLeads) {
+      return LeadLib.refreshLeads(spreadsheetId, params || {});
     } else {
-      // Fallback to direct sheet access
-      const ss = SpreadsheetApp.openById(spreadsheetId);
-      const sheet = ss.getSheetByName('Settings');
-      
-      if (!sheet || sheet.getLastRow() < 2) {
-        return { success: true, settings: {} };
-      }
-      
-      const data = sheet.getDataRange().getValues();
-      const settings = {};
-      
-      for (let i = 1; i < data.length; i++) {
-        settings[data[i][0]] = data[i][1];
-      }
-      
-      return { success: true, settings: settings };
+      return { success: false, message: 'LeadLib not available' };
     }
   } catch (error) {
-    console.error('getSettingsApi error:', error);
-    return { success: false, error: error.message };
+    console.error('refreshLeadsApi error:', error);
+    return { success: false, message: 'Error refreshing leads: ' + error.message };
   }
 }
 
-function saveSettingsApi(settings) {
+function enrichLeadApi(leadId) {
   try {
     const spreadsheetId = getSheetId();
     
-    if (typeof LeadLib !== 'undefined' && LeadLib.saveSettings) {
-      const result = LeadLib.saveSettings(spreadsheetId, settings);
-      
-      // If API key is being updated, also update in PropertiesService
-      if (settings['Apollo API Key']) {
-        PropertiesService.getUserProperties().setProperty('APOLLO_API_KEY', settings['Apollo API Key']);
-      }
-      
-      return result;
+    if (typeof LeadLib !== 'undefined' && LeadLib.enrichLead) {
+      const result = LeadLib.enrichLead(spreadsheetId, leadId);
+      return result.lead ? Object.assign(result, { lead: LeadLib.toLeadDto(result.lead) }) : result;
     } else {
       return { success: false, message: 'LeadLib not available' };
     }
   } catch (error) {
-    console.error('saveSettingsApi error:', error);
-    return { success: false, error: error.message };
+    console.error('enrichLeadApi error:', error);
+    return { success: false, message: 'Error enriching lead: ' + error.message };
   }
 }
 
-function testApolloConnectionApi(apiKey) {
+/**
+ * Poll progress of a paginated fetch job
+ */
+function getFetchJobStatusApi(jobId) {
   try {
-    if (!apiKey) {
-      return { success: false, message: 'API key is required' };
+    if (!jobId) {
+      return { success: false, message: 'Job ID is required' };
     }
 
-    // Set the API key temporarily
-    PropertiesService.getUserProperties().setProperty('APOLLO_API_KEY', apiKey);
-    
-    // Test with LeadLib
-    if (typeof LeadLib !== 'undefined' && LeadLib.testApolloConnection) {
-      return LeadLib.testApolloConnection(apiKey);
+    if (typeof LeadLib !== 'undefined' && LeadLib.getFetchJobStatus) {
+      return LeadLib.getFetchJobStatus(jobId);
     } else {
       return { success: false, message: 'LeadLib not available' };
     }
   } catch (error) {
-    console.error('testApolloConnectionApi error:', error);
-    return { success: false, message: 'Connection failed: ' + error.message };
+    console.error('getFetchJobStatusApi error:', error);
+    return { success: false, message: 'Error getting job status: ' + error.message };
   }
 }
 
-// ===== EXPORT API =====
-
-function exportToCSVApi(params) {
+/**
+ * Apollo credits used today and this month versus the Settings caps
+ */
+function getCreditUsageApi() {
   try {
     const spreadsheetId = getSheetId();
-    
-    if (typeof LeadLib !== 'undefined' && LeadLib.exportToCSV) {
-      return LeadLib.exportToCSV(spreadsheetId, params);
+
+    if (typeof LeadLib !== 'undefined' && LeadLib.getCreditUsage) {
+      return LeadLib.getCreditUsage(spreadsheetId);
     } else {
       return { success: false, message: 'LeadLib not available' };
     }
   } catch (error) {
-    console.error('exportToCSVApi error:', error);
-    return { success: false, error: error.message };
+    console.error('getCreditUsageApi error:', error);
+    return { success: false, message: 'Error getting credit usage: ' + error.message };
   }
 }
 
-// ===== CACHE MANAGEMENT API =====
-
 /**
- * Warm cache - preload frequently accessed data for instant performance
+ * Time-driven trigger handler that resumes paused fetch jobs
  */
-function warmCacheApi() {
+function continueFetchJobs() {
   try {
-    const startTime = new Date().getTime();
-    const spreadsheetId = getSheetId();
-    
-    console.log('Warming all caches...');
-    
-    // Warm library caches
-    if (typeof LeadLib !== 'undefined' && LeadLib.warmCache) {
-      LeadLib.warmCache(spreadsheetId);
-    }
-    
-    // Preload list caches
-    listLeadsApi({ page: 1, pageSize: 10 });
-    console.log('✓ Leads list cached');
-    
-    const endTime = new Date().getTime();
-    const totalTime = endTime - startTime;
-    
-    console.log('All caches warmed in ' + totalTime + 'ms');
-    
-    return { 
-      success: true, 
-      message: 'All caches warmed successfully', 
-      executionTime: totalTime 
-    };
+    const result = LeadLib.resumeFetchJobs();
+    console.log('Resumed ' + result.resumed + ' fetch jobs, ' + result.pending + ' still pending');
   } catch (error) {
-    console.error('warmCacheApi error:', error);
-    return { success: false, error: error.message };
+    console.error('continueFetchJobs error:', error);
   }
 }
 
 /**
- * Clear cache by type
+ * Installable edit/change trigger handler that drops cached leads and stats
+ * after hand edits; installed by Initialize Sheets or Watch Sheet Edits
  */
-function clearCacheApi(cacheType) {
+function onSheetEdit(e) {
   try {
-    if (typeof LeadLib !== 'undefined' && LeadLib.clearCache) {
-      return LeadLib.clearCache(cacheType || 'all');
-    }
-    
-    // Fallback to direct cache clearing
-    const cache = CacheService.getScriptCache();
-    
-    switch(cacheType) {
-      case 'leads':
-        cache.remove('leads_full_list');
-        break;
-      case 'all':
-        cache.remove('leads_full_list');
-        break;
-    }
-    
-    return { success: true, message: 'Cache cleared successfully' };
+    LeadLib.handleSheetEdit(getSheetId(), e);
   } catch (error) {
-    console.error('clearCacheApi error:', error);
-    return { success: false, error: error.message };
+    console.error('onSheetEdit error:', error);
   }
 }
 
-// ===== ADMIN API =====
+// ===== SAVED SEARCHES API =====
 
-function clearAllLeadsApi() {
+/**
+ * Saved searches from the Searches sheet, with last-run status
+ */
+function getSavedSearchesApi() {
   try {
     const spreadsheetId = getSheetId();
-    
-    if (typeof LeadLib !== 'undefined' && LeadLib.clearAllLeads) {
-      const result = LeadLib.clearAllLeads(spreadsheetId);
-      
-      // Invalidate cache after clearing
-      CacheService.getScriptCache().remove('leads_full_list');
-      
-      return result;
+
+    if (typeof LeadLib !== 'undefined' && LeadLib.getSavedSearches) {
+      return LeadLib.getSavedSearches(spreadsheetId);
     } else {
       return { success: false, message: 'LeadLib not available' };
     }
   } catch (error) {
-    console.error('clearAllLeadsApi error:', error);
-    return { success: false, error: error.message };
+    console.error('getSavedSearchesApi error:', error);
+    return { success: false, message: 'Error getting saved searches: ' + error.message };
   }
 }
 
-// ===== UI DIALOG FUNCTIONS =====
-
 /**
- * Show fetch leads dialog
+ * Create a saved search, or update one when search.id is given
  */
-function showFetchLeadsDialog() {
+function saveSearchApi(search) {
   try {
-    const html = HtmlService.createHtmlOutputFromFile('index')
-      .setWidth(600)
-      .setHeight(500);
-    
-    SpreadsheetApp.getUi().showModalDialog(html, 'Fetch Leads');
+    const spreadsheetId = getSheetId();
+
+    if (typeof LeadLib !== 'undefined' && LeadLib.saveSearch) {
+      return LeadLib.saveSearch(spreadsheetId, search || {});
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
   } catch (error) {
-    console.error('Error showing fetch leads dialog:', error);
-    // Fallback: open web interface
-    openWebInterface();
+    console.error('saveSearchApi error:', error);
+    return { success: false, message: 'Error saving search: ' + error.message };
   }
 }
 
-/**
- * Open web interface
- */
-function openWebInterface() {
+function deleteSavedSearchApi(searchId) {
   try {
-    // Try modal dialog first
-    const html = HtmlService.createHtmlOutputFromFile('index')
-      .setWidth(1200)
-      .setHeight(800);
-    
-    SpreadsheetApp.getUi().showModalDialog(html, 'SMB Leads - Web Interface');
-  } catch (error) {
-    console.error('Modal dialog failed, trying alternative approach:', error);
-    
-    try {
-      // Alternative: Open in new tab/window using web app URL
-      const webAppUrl = getWebAppUrl();
-      if (webAppUrl) {
-        SpreadsheetApp.getUi().alert(
-          'Open Web Interface',
-          'Please click OK to open the web interface in a new tab:\n\n' + webAppUrl,
-          SpreadsheetApp.getUi().ButtonSet.OK
-        );
-      } else {
-        throw new Error('Web app URL not available');
-      }
-    } catch (altError) {
-      console.error('Alternative approach also failed:', altError);
-      SpreadsheetApp.getUi().alert(
-        'Error', 
-        'Failed to open web interface. Please check the script permissions and try again.\n\nError: ' + error.message, 
-        SpreadsheetApp.getUi().ButtonSet.OK
-      );
+    const spreadsheetId = getSheetId();
+
+    if (typeof LeadLib !== 'undefined' && LeadLib.deleteSavedSearch) {
+      return LeadLib.deleteSavedSearch(spreadsheetId, searchId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
     }
+  } catch (error) {
+    console.error('deleteSavedSearchApi error:', error);
+    return { success: false, message: 'Error deleting saved search: ' + error.message };
   }
 }
 
 /**
- * Export leads to CSV
+ * Run a saved search now, whatever its schedule
  */
-function exportToCSV() {
+function runSavedSearchApi(searchId) {
   try {
-    const result = exportToCSVApi({});
-    
-    if (result.success) {
-      SpreadsheetApp.getUi().alert(
-        'Export Complete',
-        `CSV file exported successfully!\n\nFile: ${result.fileName}\nURL: ${result.fileUrl}`,
-        SpreadsheetApp.getUi().ButtonSet.OK
-      );
+    const spreadsheetId = getSheetId();
+
+    if (typeof LeadLib !== 'undefined' && LeadLib.runSavedSearch) {
+      return LeadLib.runSavedSearch(spreadsheetId, searchId);
     } else {
-      SpreadsheetApp.getUi().alert('Error', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+      return { success: false, message: 'LeadLib not available' };
     }
   } catch (error) {
-    console.error('Error exporting CSV:', error);
-    SpreadsheetApp.getUi().alert('Error', 'Failed to export CSV: ' + error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    console.error('runSavedSearchApi error:', error);
+    return { success: false, message: 'Error running saved search: ' + error.message };
   }
 }
 
 /**
- * Clear all leads
+ * Hourly time-driven trigger handler that runs due saved searches; installed
+ * and removed by saving the Auto Refresh setting
  */
-function clearAllLeads() {
+function runSavedSearches() {
   try {
-    const response = SpreadsheetApp.getUi().alert(
-      'Clear All Leads',
-      'This will permanently delete all leads. This action cannot be undone. Continue?',
-      SpreadsheetApp.getUi().ButtonSet.YES_NO
-    );
+    const result = LeadLib.runDueSearches(getSheetId());
+    console.log(result.message);
+  } catch (error) {
+    console.error('runSavedSearches error:', error);
+  }
+}
 
-    if (response === SpreadsheetApp.getUi().Button.YES) {
-      const result = clearAllLeadsApi();
-      
-      if (result.success) {
-        SpreadsheetApp.getUi().alert('Success', 'All leads cleared successfully', SpreadsheetApp.getUi().ButtonSet.OK);
+function updateLeadStatusApi(email, contacted) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.updateLeadStatus) {
+      return LeadLib.updateLeadStatus(spreadsheetId, email, contacted);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('updateLeadStatusApi error:', error);
+    return { success: false, message: 'Error updating lead status: ' + error.message };
+  }
+}
+
+function updateLeadStatusByIdApi(leadId, contacted) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.updateLeadStatusById) {
+      return LeadLib.updateLeadStatusById(spreadsheetId, leadId, contacted);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('updateLeadStatusByIdApi error:', error);
+    return { success: false, message: 'Error updating lead status: ' + error.message };
+  }
+}
+
+function updateLeadStageApi(leadId, stage) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.updateLeadStage) {
+      return LeadLib.updateLeadStage(spreadsheetId, leadId, stage);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('updateLeadStageApi error:', error);
+    return { success: false, message: 'Error updating lead stage: ' + error.message };
+  }
+}
+
+function getPipelineStagesApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.getPipelineStages) {
+      return LeadLib.getPipelineStages(spreadsheetId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('getPipelineStagesApi error:', error);
+    return { success: false, message: 'Error getting pipeline stages: ' + error.message };
+  }
+}
+
+function addLeadNoteApi(leadId, note) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.addLeadNote) {
+      return LeadLib.addLeadNote(spreadsheetId, leadId, note);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('addLeadNoteApi error:', error);
+    return { success: false, message: 'Error adding note: ' + error.message };
+  }
+}
+
+function getLeadTimelineApi(leadId) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.getLeadTimeline) {
+      return LeadLib.getLeadTimeline(spreadsheetId, leadId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('getLeadTimelineApi error:', error);
+    return { success: false, message: 'Error getting timeline: ' + error.message };
+  }
+}
+
+function getAccountsApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.getAccounts) {
+      return LeadLib.getAccounts(spreadsheetId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('getAccountsApi error:', error);
+    return { success: false, message: 'Error getting accounts: ' + error.message };
+  }
+}
+
+function getAccountApi(companyId) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.getAccount) {
+      const result = LeadLib.getAccount(spreadsheetId, companyId);
+      if (result.success) {
+        result.account.contactList = result.account.contactList.map(LeadLib.toLeadDto);
+      }
+      return result;
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('getAccountApi error:', error);
+    return { success: false, message: 'Error getting account: ' + error.message };
+  }
+}
+
+function logLeadActivityApi(leadId, type, summary, details) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.logLeadActivity) {
+      return LeadLib.logLeadActivity(spreadsheetId, leadId, type, summary, details);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('logLeadActivityApi error:', error);
+    return { success: false, message: 'Error recording activity: ' + error.message };
+  }
+}
+
+function getLeadDetailsApi(leadId) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.getLeadDetails) {
+      const result = LeadLib.getLeadDetails(spreadsheetId, leadId);
+      return result.success ? Object.assign(result, { lead: LeadLib.toLeadDto(result.lead) }) : result;
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('getLeadDetailsApi error:', error);
+    return { success: false, message: 'Error getting lead details: ' + error.message };
+  }
+}
+
+function deleteLeadApi(leadId) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.deleteLead) {
+      return LeadLib.deleteLead(spreadsheetId, leadId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('deleteLeadApi error:', error);
+    return { success: false, message: 'Error deleting lead: ' + error.message };
+  }
+}
+
+// ===== SETTINGS API =====
+
+function getSettingsApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.getSettings) {
+      const result = LeadLib.getSettings(spreadsheetId);
+      return result.success ? Object.assign({ success: true }, LeadLib.toSettingsDto(result)) : result;
+    } else {
+      // Fallback to direct sheet access
+      const ss = SpreadsheetApp.openById(spreadsheetId);
+      const sheet = ss.getSheetByName('Settings');
+      
+      if (!sheet || sheet.getLastRow() < 2) {
+        return { success: true, settings: {} };
+      }
+      
+      const data = sheet.getDataRange().getValues();
+      const settings = {};
+      
+      for (let i = 1; i < data.length; i++) {
+        // Never echo an API key left over in the sheet
+        if (data[i][0] !== 'Apollo API Key') {
+          settings[data[i][0]] = data[i][1];
+        }
+      }
+      
+      return { success: true, settings: settings };
+    }
+  } catch (error) {
+    console.error('getSettingsApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function saveSettingsApi(settings) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.saveSettings) {
+      // Stores any API key in user properties, not the sheet
+      return LeadLib.saveSettings(spreadsheetId, settings);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('saveSettingsApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Test an API key (the stored key when omitted) without saving it
+ */
+function testApolloConnectionApi(apiKey) {
+  try {
+    if (typeof LeadLib !== 'undefined' && LeadLib.testApolloConnection) {
+      return LeadLib.testApolloConnection(apiKey);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('testApolloConnectionApi error:', error);
+    return { success: false, message: 'Connection failed: ' + error.message };
+  }
+}
+
+// ===== EXPORT API =====
+
+function exportToCSVApi(params) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.exportToCSV) {
+      return LeadLib.exportToCSV(spreadsheetId, params);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('exportToCSVApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ===== CACHE MANAGEMENT API =====
+
+/**
+ * Warm cache - preload frequently accessed data for instant performance
+ */
+function warmCacheApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.warmCache) {
+      const result = LeadLib.warmCache(spreadsheetId);
+      console.log(result.message || result.error);
+      return result;
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('warmCacheApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Clear cache by type
+ */
+function clearCacheApi(cacheType) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.clearCache) {
+      return LeadLib.clearCache(spreadsheetId, cacheType || 'all');
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('clearCacheApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Clear cached Apollo API responses (the web UI's "Clear Cache")
+ */
+function clearApolloCacheApi() {
+  try {
+    if (typeof LeadLib !== 'undefined' && LeadLib.clearApolloCache) {
+      LeadLib.clearApolloCache();
+      return { success: true, message: 'Apollo cache cleared' };
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('clearApolloCacheApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ===== ADMIN API =====
+
+function clearAllLeadsApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.clearAllLeads) {
+      return LeadLib.clearAllLeads(spreadsheetId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('clearAllLeadsApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function migrateLeadIdsApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.migrateLeadIds) {
+      return LeadLib.migrateLeadIds(spreadsheetId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('migrateLeadIdsApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function migratePipelineStagesApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.migratePipelineStages) {
+      return LeadLib.migratePipelineStages(spreadsheetId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('migratePipelineStagesApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function migrateCompaniesApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.migrateCompanies) {
+      return LeadLib.migrateCompanies(spreadsheetId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('migrateCompaniesApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function migrateApiKeyApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.migrateApiKey) {
+      return LeadLib.migrateApiKey(spreadsheetId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('migrateApiKeyApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Check what the web UI endpoints return against contracts.js, so a
+ * renamed field shows up here instead of as "undefined" in the UI
+ */
+function checkUiContractsApi() {
+  try {
+    if (typeof LeadLib !== 'undefined' && LeadLib.validateContract) {
+      const checks = {
+        LeadsData: LeadLib.validateContract('LeadsData', getLeadsDataApi({})),
+        Settings: LeadLib.validateContract('Settings', getSettingsApi())
+      };
+      const errors = Object.keys(checks).reduce((all, name) => all.concat(checks[name].errors), []);
+      
+      return {
+        success: errors.length === 0,
+        checks: checks,
+        message: errors.length === 0 ? 'UI contracts match' : errors.map(error => error.message).join('; ')
+      };
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('checkUiContractsApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function rescoreAllLeadsApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.rescoreAllLeads) {
+      return LeadLib.rescoreAllLeads(spreadsheetId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('rescoreAllLeadsApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function getRejectedLeadsApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.getRejectedLeads) {
+      return LeadLib.getRejectedLeads(spreadsheetId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('getRejectedLeadsApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function promoteRejectedLeadsApi() {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.promoteRejectedLeads) {
+      return LeadLib.promoteRejectedLeads(spreadsheetId);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('promoteRejectedLeadsApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function findDuplicatesApi(params = {}) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.findDuplicates) {
+      return LeadLib.findDuplicates(spreadsheetId, params);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('findDuplicatesApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function mergeLeadsApi(primaryId, duplicateIds) {
+  try {
+    const spreadsheetId = getSheetId();
+    
+    if (typeof LeadLib !== 'undefined' && LeadLib.mergeDuplicateLeads) {
+      return LeadLib.mergeDuplicateLeads(spreadsheetId, primaryId, duplicateIds);
+    } else {
+      return { success: false, message: 'LeadLib not available' };
+    }
+  } catch (error) {
+    console.error('mergeLeadsApi error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ===== UI DIALOG FUNCTIONS =====
+
+/**
+ * Show fetch leads dialog
+ */
+function showFetchLeadsDialog() {
+  try {
+    const html = HtmlService.createHtmlOutputFromFile('index')
+      .setWidth(600)
+      .setHeight(500);
+    
+    SpreadsheetApp.getUi().showModalDialog(html, 'Fetch Leads');
+  } catch (error) {
+    console.error('Error showing fetch leads dialog:', error);
+    // Fallback: open web interface
+    openWebInterface();
+  }
+}
+
+/**
+ * Open web interface
+ */
+function openWebInterface() {
+  try {
+    // Try modal dialog first
+    const html = HtmlService.createHtmlOutputFromFile('index')
+      .setWidth(1200)
+      .setHeight(800);
+    
+    SpreadsheetApp.getUi().showModalDialog(html, 'SMB Leads - Web Interface');
+  } catch (error) {
+    console.error('Modal dialog failed, trying alternative approach:', error);
+    
+    try {
+      // Alternative: Open in new tab/window using web app URL
+      const webAppUrl = getWebAppUrl();
+      if (webAppUrl) {
+        SpreadsheetApp.getUi().alert(
+          'Open Web Interface',
+          'Please click OK to open the web interface in a new tab:\n\n' + webAppUrl,
+          SpreadsheetApp.getUi().ButtonSet.OK
+        );
+      } else {
+        throw new Error('Web app URL not available');
+      }
+    } catch (altError) {
+      console.error('Alternative approach also failed:', altError);
+      SpreadsheetApp.getUi().alert(
+        'Error', 
+        'Failed to open web interface. Please check the script permissions and try again.\n\nError: ' + error.message, 
+        SpreadsheetApp.getUi().ButtonSet.OK
+      );
+    }
+  }
+}
+
+/**
+ * Export leads to CSV
+ */
+function exportToCSV() {
+  try {
+    const result = exportToCSVApi({});
+    
+    if (result.success) {
+      SpreadsheetApp.getUi().alert(
+        'Export Complete',
+        `CSV file exported successfully!\n\nFile: ${result.fileName}\nURL: ${result.fileUrl}`,
+        SpreadsheetApp.getUi().ButtonSet.OK
+      );
+    } else {
+      SpreadsheetApp.getUi().alert('Error', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    }
+  } catch (error) {
+    console.error('Error exporting CSV:', error);
+    SpreadsheetApp.getUi().alert('Error', 'Failed to export CSV: ' + error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Clear all leads
+ */
+function clearAllLeads() {
+  try {
+    const response = SpreadsheetApp.getUi().alert(
+      'Clear All Leads',
+      'This will permanently delete all leads. This action cannot be undone. Continue?',
+      SpreadsheetApp.getUi().ButtonSet.YES_NO
+    );
+
+    if (response === SpreadsheetApp.getUi().Button.YES) {
+      const result = clearAllLeadsApi();
+      
+      if (result.success) {
+        SpreadsheetApp.getUi().alert('Success', 'All leads cleared successfully', SpreadsheetApp.getUi().ButtonSet.OK);
       } else {
         SpreadsheetApp.getUi().alert('Error', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
       }
@@ -709,6 +1488,214 @@ function clearAllLeads() {
   }
 }
 
+/**
+ * Add the ID columns and backfill lead IDs on an existing sheet
+ */
+function migrateLeadIds() {
+  try {
+    const result = migrateLeadIdsApi();
+    
+    if (result.success) {
+      SpreadsheetApp.getUi().alert('Success', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    } else {
+      SpreadsheetApp.getUi().alert('Error', 'Failed to migrate lead IDs: ' + result.error, SpreadsheetApp.getUi().ButtonSet.OK);
+    }
+  } catch (error) {
+    console.error('Error migrating lead IDs:', error);
+    SpreadsheetApp.getUi().alert('Error', 'Failed to migrate lead IDs: ' + error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Convert legacy TRUE/FALSE Contacted values into pipeline stages
+ */
+function migratePipelineStages() {
+  try {
+    const result = migratePipelineStagesApi();
+    
+    if (result.success) {
+      SpreadsheetApp.getUi().alert('Success', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    } else {
+      SpreadsheetApp.getUi().alert('Error', 'Failed to migrate pipeline stages: ' + result.error, SpreadsheetApp.getUi().ButtonSet.OK);
+    }
+  } catch (error) {
+    console.error('Error migrating pipeline stages:', error);
+    SpreadsheetApp.getUi().alert('Error', 'Failed to migrate pipeline stages: ' + error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Enrich every lead whose last enrichment is older than Enrichment Stale Days
+ */
+function enrichStaleLeads() {
+  try {
+    const result = enrichLeadsApi({});
+    
+    if (result.success) {
+      SpreadsheetApp.getUi().alert('Success', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    } else {
+      SpreadsheetApp.getUi().alert('Error', 'Failed to enrich leads: ' + (result.error || result.message), SpreadsheetApp.getUi().ButtonSet.OK);
+    }
+  } catch (error) {
+    console.error('Error enriching leads:', error);
+    SpreadsheetApp.getUi().alert('Error', 'Failed to enrich leads: ' + error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Create Companies rows for existing leads and link each lead to its company
+ */
+function migrateCompanies() {
+  try {
+    const result = migrateCompaniesApi();
+    
+    if (result.success) {
+      SpreadsheetApp.getUi().alert('Success', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    } else {
+      SpreadsheetApp.getUi().alert('Error', 'Failed to migrate companies: ' + (result.error || result.message), SpreadsheetApp.getUi().ButtonSet.OK);
+    }
+  } catch (error) {
+    console.error('Error migrating companies:', error);
+    SpreadsheetApp.getUi().alert('Error', 'Failed to migrate companies: ' + error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Install the triggers that refresh cached leads after hand edits (for
+ * sheets initialized before they existed)
+ */
+function watchSheetEdits() {
+  try {
+    const result = typeof LeadLib !== 'undefined' && LeadLib.watchSheetEdits ?
+      LeadLib.watchSheetEdits(getSheetId()) : { success: false, message: 'LeadLib not available' };
+    
+    if (result.success) {
+      SpreadsheetApp.getUi().alert('Success', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    } else {
+      SpreadsheetApp.getUi().alert('Error', 'Failed to watch sheet edits: ' + (result.error || result.message), SpreadsheetApp.getUi().ButtonSet.OK);
+    }
+  } catch (error) {
+    console.error('Error installing sheet edit triggers:', error);
+    SpreadsheetApp.getUi().alert('Error', 'Failed to watch sheet edits: ' + error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Move an API key out of the Settings sheet into the script's shared key
+ */
+function migrateApiKey() {
+  try {
+    const result = migrateApiKeyApi();
+    
+    if (result.success) {
+      SpreadsheetApp.getUi().alert('Success', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    } else {
+      SpreadsheetApp.getUi().alert('Error', 'Failed to migrate API key: ' + (result.error || result.message), SpreadsheetApp.getUi().ButtonSet.OK);
+    }
+  } catch (error) {
+    console.error('Error migrating API key:', error);
+    SpreadsheetApp.getUi().alert('Error', 'Failed to migrate API key: ' + error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Recompute lead scores after the Scoring rules change
+ */
+function rescoreAllLeads() {
+  try {
+    const result = rescoreAllLeadsApi();
+    
+    if (result.success) {
+      SpreadsheetApp.getUi().alert('Success', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    } else {
+      SpreadsheetApp.getUi().alert('Error', 'Failed to rescore leads: ' + (result.error || result.message), SpreadsheetApp.getUi().ButtonSet.OK);
+    }
+  } catch (error) {
+    console.error('Error rescoring leads:', error);
+    SpreadsheetApp.getUi().alert('Error', 'Failed to rescore leads: ' + error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Re-validate hand-fixed rows in the Rejected sheet and move them to Leads
+ */
+function promoteRejectedLeads() {
+  try {
+    const result = promoteRejectedLeadsApi();
+    
+    if (result.success) {
+      SpreadsheetApp.getUi().alert('Success', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    } else {
+      SpreadsheetApp.getUi().alert('Error', 'Failed to promote rejected leads: ' + (result.error || result.message), SpreadsheetApp.getUi().ButtonSet.OK);
+    }
+  } catch (error) {
+    console.error('Error promoting rejected leads:', error);
+    SpreadsheetApp.getUi().alert('Error', 'Failed to promote rejected leads: ' + error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Scan the Leads sheet for duplicates and list them in the Duplicates sheet
+ */
+function findDuplicates() {
+  try {
+    const result = findDuplicatesApi();
+    
+    if (result.success) {
+      SpreadsheetApp.getUi().alert('Success', result.message + '\n\nReview them in the Duplicates sheet and merge with the mergeLeads action.', SpreadsheetApp.getUi().ButtonSet.OK);
+    } else {
+      SpreadsheetApp.getUi().alert('Error', 'Failed to find duplicates: ' + (result.error || result.message), SpreadsheetApp.getUi().ButtonSet.OK);
+    }
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    SpreadsheetApp.getUi().alert('Error', 'Failed to find duplicates: ' + error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Prompt for a name and role and show the new API token once
+ */
+function createApiToken() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const name = ui.prompt('Create API Token', 'Who or what is this token for?', ui.ButtonSet.OK_CANCEL);
+    if (name.getSelectedButton() !== ui.Button.OK) return;
+
+    const role = ui.prompt('Create API Token', 'Role (viewer, rep or admin):', ui.ButtonSet.OK_CANCEL);
+    if (role.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = LeadLib.createApiToken(name.getResponseText(), role.getResponseText().trim().toLowerCase());
+    if (result.success) {
+      ui.alert('API Token Created', result.message + '. Copy it now, it will not be shown again:\n\n' + result.token, ui.ButtonSet.OK);
+    } else {
+      ui.alert('Error', 'Failed to create token: ' + result.error, ui.ButtonSet.OK);
+    }
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    ui.alert('Error', 'Failed to create token: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Prompt for a Google account and role to allow on the JSON API
+ */
+function allowApiUser() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const email = ui.prompt('Allow API User', 'Google account email:', ui.ButtonSet.OK_CANCEL);
+    if (email.getSelectedButton() !== ui.Button.OK) return;
+
+    const role = ui.prompt('Allow API User', 'Role (viewer, rep or admin):', ui.ButtonSet.OK_CANCEL);
+    if (role.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = LeadLib.allowApiUser(email.getResponseText().trim(), role.getResponseText().trim().toLowerCase());
+    ui.alert(result.success ? 'Success' : 'Error', result.message || result.error, ui.ButtonSet.OK);
+  } catch (error) {
+    console.error('Error allowing API user:', error);
+    ui.alert('Error', 'Failed to allow user: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
 /**
  * Show settings dialog
  */
@@ -727,37 +1714,24 @@ function showSettingsDialog() {
 }
 
 /**
- * Refresh all leads (re-fetch with current filters)
+ * Re-check every lead against Apollo and update it in place (nothing is deleted)
  */
 function refreshAllLeads() {
   try {
     const response = SpreadsheetApp.getUi().alert(
       'Refresh All Leads',
-      'This will clear all existing leads and fetch new ones. Continue?',
+      'This re-checks every lead against Apollo (about 1 credit per lead) and updates changed titles, companies and ' +
+        'contact details in place. No leads or your own notes are deleted. Continue?',
       SpreadsheetApp.getUi().ButtonSet.YES_NO
     );
 
     if (response === SpreadsheetApp.getUi().Button.YES) {
-      // Clear existing leads
-      const clearResult = clearAllLeadsApi();
-      
-      if (!clearResult.success) {
-        SpreadsheetApp.getUi().alert('Error', 'Failed to clear existing leads: ' + clearResult.message, SpreadsheetApp.getUi().ButtonSet.OK);
-        return;
-      }
-
-      // Fetch with default filters
-      const defaultFilters = {
-        roles: ['CEO', 'Owner', 'Founder', 'President'],
-        perPage: 50
-      };
-
-      const result = fetchLeadsApi(defaultFilters);
+      const result = refreshLeadsApi({});
       
       if (result.success) {
         SpreadsheetApp.getUi().alert('Success', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
       } else {
-        SpreadsheetApp.getUi().alert('Error', result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+        SpreadsheetApp.getUi().alert('Error', 'Failed to refresh leads: ' + (result.error || result.message), SpreadsheetApp.getUi().ButtonSet.OK);
       }
     }
   } catch (error) {
@@ -0,0 +1,348 @@
+/**
+ * UI contract tests: run the *Api functions from src/sheet/main.js against
+ * fake Apps Script services and check what they return against
+ * src/library/contracts.js, then check every field index.html reads is
+ * declared there.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadApp, ROOT } = require('./support/appsScript');
+
+const INDEX_HTML = fs.readFileSync(path.join(ROOT, 'src', 'sheet', 'index.html'), 'utf8');
+
+// Fields every response envelope may carry besides its contract
+const ENVELOPE = ['success', 'message', 'error', 'code', 'status'];
+
+const SAMPLE_LEADS = [
+  {
+    name: 'Ada Lovelace',
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    title: 'CTO',
+    company: 'Analytical Engines Ltd',
+    email: 'ada@analytical.example',
+    phone: '+49 30 1234567',
+    industry: 'Software',
+    employees: 42,
+    foundedYear: 1843,
+    revenue: 1000000,
+    location: 'Berlin, Germany',
+    linkedin: 'https://www.linkedin.com/in/ada',
+    website: 'https://analytical.example',
+    apolloId: 'person-ada',
+    organizationId: 'org-analytical',
+    technologies: ['Apps Script'],
+    keywords: ['computing'],
+    source: 'Apollo'
+  },
+  {
+    name: 'Grace Hopper',
+    firstName: 'Grace',
+    lastName: 'Hopper',
+    title: 'Engineering Manager',
+    company: 'Analytical Engines Ltd',
+    email: 'grace@analytical.example',
+    industry: 'Software',
+    apolloId: 'person-grace',
+    organizationId: 'org-analytical',
+    source: 'Apollo'
+  },
+  {
+    name: 'Alan Turing',
+    title: 'Founder',
+    company: 'Bletchley Labs',
+    email: 'alan@gmail.com',
+    industry: 'Research',
+    source: 'Manual'
+  }
+];
+
+/**
+ * Load the app with the sheets initialized and the sample leads written
+ * @param {Object} options - loadApp options
+ * @returns {Object} loadApp result
+ */
+function seededApp(options = {}) {
+  const app = loadApp(Object.assign({ main: true }, options));
+  const { LeadLib, getSheetId } = app.context;
+
+  assert.ok(LeadLib.initSheets(getSheetId()).success, 'initSheets failed');
+  const upsert = LeadLib.upsertLeads(getSheetId(), SAMPLE_LEADS);
+  assert.ok(upsert.success, 'upsertLeads failed: ' + upsert.message);
+  return app;
+}
+
+/**
+ * Assert a value matches a contract, listing every mismatch on failure
+ * @param {Object} app - loadApp result
+ * @param {String} name - Contract name
+ * @param {*} value - Value to check
+ */
+function assertContract(app, name, value) {
+  const result = app.context.LeadLib.validateContract(name, value);
+  // Array.from copies the vm context's array into this realm for deepStrictEqual
+  assert.deepStrictEqual(Array.from(result.errors, error => error.message), [], `${name} contract mismatch`);
+}
+
+/**
+ * Paths of Date objects in a value (google.script.run refuses to return them)
+ * @param {*} value - Value to walk
+ * @param {String} at - Path so far
+ * @returns {Array} Paths
+ */
+function datePaths(value, at) {
+  // Dates made in the vm context are not instanceof this realm's Date
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    return [at];
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((paths, key) => paths.concat(datePaths(value[key], `${at}.${key}`)), []);
+  }
+  return [];
+}
+
+/**
+ * Source of a function in index.html, from its declaration to the matching
+ * closing brace
+ * @param {String} name - Function name
+ * @returns {String} Function source
+ */
+function uiFunction(name) {
+  const start = INDEX_HTML.indexOf(`function ${name}(`);
+  assert.notStrictEqual(start, -1, `index.html has no function ${name}`);
+
+  let depth = 0;
+  for (let i = INDEX_HTML.indexOf('{', start); i < INDEX_HTML.length; i++) {
+    if (INDEX_HTML[i] === '{') depth++;
+    if (INDEX_HTML[i] === '}' && --depth === 0) {
+      return INDEX_HTML.slice(start, i + 1);
+    }
+  }
+  throw new Error(`Unbalanced braces in index.html function ${name}`);
+}
+
+/**
+ * Distinct property names read off a variable, e.g. lead.score -> score
+ * @param {String} source - Script source
+ * @param {String} variable - Variable name
+ * @returns {Array} Property names
+ */
+function fieldReads(source, variable) {
+  const pattern = new RegExp(`\\b${variable}\\.([A-Za-z_$][\\w$]*)`, 'g');
+  const fields = new Set();
+  let match;
+  while ((match = pattern.exec(source))) {
+    fields.add(match[1]);
+  }
+  return Array.from(fields).sort();
+}
+
+/**
+ * Names of the leads in a response, in order
+ * @param {Object} response - getLeadsDataApi response
+ * @returns {Array} Lead names
+ */
+function leadNames(response) {
+  return Array.from(response.leads, lead => lead.name);
+}
+
+/**
+ * Assert every field read is declared by a contract or the envelope
+ * @param {Array} reads - Field names read by the UI
+ * @param {Object} contract - Field map from getContract
+ * @param {Array} extra - Other allowed names
+ * @param {String} what - Description for the message
+ */
+function assertDeclared(reads, contract, extra, what) {
+  const undeclared = reads.filter(field => !(field in contract) && extra.indexOf(field) === -1);
+  assert.ok(reads.length > 0, `index.html no longer reads ${what}; update this test`);
+  assert.deepStrictEqual(undeclared, [], `index.html reads ${what} fields missing from contracts.js`);
+}
+
+test('getLeadsDataApi returns LeadsData on an empty sheet', () => {
+  const app = loadApp({ main: true });
+  app.context.LeadLib.initSheets(app.context.getSheetId());
+
+  const response = app.context.getLeadsDataApi({});
+  assert.strictEqual(response.success, true, response.message);
+  assert.strictEqual(response.total, 0);
+  assert.strictEqual(response.leads.length, 0);
+  assertContract(app, 'LeadsData', response);
+});
+
+test('getLeadsDataApi returns the matching leads for filtered, sorted and paged queries', () => {
+  const app = seededApp();
+  const cases = [
+    { query: { sortBy: 'name', sortOrder: 'asc' }, names: ['Ada Lovelace', 'Alan Turing', 'Grace Hopper'], total: 3 },
+    { query: { sortBy: 'name', sortOrder: 'desc' }, names: ['Grace Hopper', 'Alan Turing', 'Ada Lovelace'], total: 3 },
+    { query: { sort: 'company:desc,name' }, names: ['Alan Turing', 'Ada Lovelace', 'Grace Hopper'], total: 3 },
+    { query: { sort: 'name', pageSize: 2 }, names: ['Ada Lovelace', 'Alan Turing'], total: 3, page: 1, hasMore: true },
+    { query: { sort: 'name', pageSize: 2, page: 2 }, names: ['Grace Hopper'], total: 3, page: 2, hasMore: false },
+    { query: { search: 'analytical', sort: 'name' }, names: ['Ada Lovelace', 'Grace Hopper'], total: 2 },
+    { query: { title: 'CTO' }, names: ['Ada Lovelace'], total: 1 },
+    { query: { industry: 'Research', contacted: false }, names: ['Alan Turing'], total: 1 },
+    { query: { contacted: true }, names: [], total: 0 },
+    // google.script.run hands the query over as the UI built it
+    { query: { industry: 'Research', contacted: 'false' }, names: ['Alan Turing'], total: 1 },
+    { query: { contacted: 'true' }, names: [], total: 0 }
+  ];
+
+  cases.forEach(({ query, names, total, page = 1, hasMore = false }) => {
+    const label = JSON.stringify(query);
+    const response = app.context.getLeadsDataApi(query);
+    assert.strictEqual(response.success, true, `${label}: ${response.message}`);
+    assertContract(app, 'LeadsData', response);
+    assert.deepStrictEqual(leadNames(response), names, `leads for ${label}`);
+    assert.strictEqual(response.total, total, `total for ${label}`);
+    assert.strictEqual(response.page, page, `page for ${label}`);
+    assert.strictEqual(response.hasMore, hasMore, `hasMore for ${label}`);
+    assert.strictEqual(response.statistics.totalLeads, SAMPLE_LEADS.length);
+  });
+
+  // Facets count every matching lead, not just the page
+  const facets = app.context.getLeadsDataApi({ search: 'analytical', pageSize: 1 }).facets;
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(facets.industry)), { Software: 2 });
+});
+
+test('getLeadsDataApi keeps its contract after stage, status and note changes', () => {
+  const app = seededApp();
+  const { context } = app;
+  const id = context.getLeadsDataApi({}).leads[0].id;
+
+  assert.ok(context.updateLeadStageApi(id, 'Contacted').success);
+  assert.ok(context.updateLeadStatusByIdApi(id, true).success);
+  assert.ok(context.addLeadNoteApi(id, 'Called, follow up next week').success);
+
+  const response = context.getLeadsDataApi({ pageSize: 50 });
+  assertContract(app, 'LeadsData', response);
+  const lead = response.leads.find(candidate => candidate.id === id);
+  assert.strictEqual(lead.contacted, true);
+  assert.strictEqual(lead.stage, 'Contacted');
+
+  [true, 'true', 'TRUE'].forEach(contacted => {
+    assert.deepStrictEqual(Array.from(context.getLeadsDataApi({ contacted: contacted }).leads, found => found.id), [id]);
+  });
+  assert.strictEqual(context.getLeadsDataApi({ contacted: 'false' }).total, SAMPLE_LEADS.length - 1);
+});
+
+test('getLeadsDataApi rejects a contacted filter that is not true or false', () => {
+  const app = seededApp();
+  const response = app.context.getLeadsDataApi({ contacted: 'sometimes' });
+  assert.strictEqual(response.success, false);
+  assert.match(response.message, /"contacted" must be true or false/);
+});
+
+test('getSettingsApi returns Settings with string values', () => {
+  const app = seededApp();
+  const { context } = app;
+
+  assert.ok(context.saveSettingsApi({ 'Auto Refresh': 'TRUE', 'Max Leads Per Search': '50' }).success);
+
+  const response = context.getSettingsApi();
+  assert.strictEqual(response.success, true, response.message);
+  assertContract(app, 'Settings', response);
+  Object.keys(response.settings).forEach(name => {
+    assert.strictEqual(typeof response.settings[name], 'string', `setting "${name}" is not a string`);
+  });
+  assert.strictEqual(response.settings['Auto Refresh'], 'TRUE');
+});
+
+test('getLeadDetailsApi returns a Lead', () => {
+  const app = seededApp();
+  const id = app.context.getLeadsDataApi({}).leads[0].id;
+
+  const response = app.context.getLeadDetailsApi(id);
+  assert.strictEqual(response.success, true, response.message);
+  assertContract(app, 'Lead', response.lead);
+});
+
+test('getAccountApi returns its contacts as Leads', () => {
+  const app = seededApp();
+  const { context } = app;
+  const lead = context.getLeadsDataApi({ search: 'Ada' }).leads[0];
+  assert.ok(lead.companyId, 'sample lead was not linked to a company');
+
+  const response = context.getAccountApi(lead.companyId);
+  assert.strictEqual(response.success, true, response.message);
+  assert.strictEqual(response.account.contactList.length, 2);
+  response.account.contactList.forEach(contact => assertContract(app, 'Lead', contact));
+});
+
+test('enrichLeadApi returns the enriched lead as a Lead', () => {
+  const app = seededApp({
+    fetch: url => {
+      if (url.indexOf('/organizations/enrich') !== -1) {
+        return { body: { organization: { id: 'org-analytical', name: 'Analytical Engines Ltd', industry: 'Software', estimated_num_employees: 120, founded_year: 1843 } } };
+      }
+      if (url.indexOf('/people/match') !== -1) {
+        return { body: { person: { id: 'person-ada', name: 'Ada Lovelace', title: 'CTO', email: 'ada@analytical.example' } } };
+      }
+      return { status: 404, body: {} };
+    }
+  });
+  const { context } = app;
+  context.LeadLib.setApolloApiKey('test-key');
+  const id = context.getLeadsDataApi({ search: 'Ada' }).leads[0].id;
+
+  const response = context.enrichLeadApi(id);
+  assert.strictEqual(response.success, true, response.message);
+  assertContract(app, 'Lead', response.lead);
+});
+
+test('getCachedStatsApi returns Stats once converted for the UI', () => {
+  const app = seededApp();
+  const stats = app.context.getCachedStatsApi();
+  assertContract(app, 'Stats', app.context.LeadLib.toStatsDto(stats));
+  assert.strictEqual(stats.totalLeads, SAMPLE_LEADS.length);
+});
+
+test('checkUiContractsApi reports the contracts as matching', () => {
+  const app = seededApp();
+  const response = app.context.checkUiContractsApi();
+  assert.strictEqual(response.success, true, response.message || response.error);
+});
+
+test('the responses index.html loads carry no Date objects', () => {
+  const app = seededApp();
+  const { context } = app;
+  const lead = context.getLeadsDataApi({}).leads[0];
+  context.addLeadNoteApi(lead.id, 'Intro email sent');
+  context.saveSearchApi({ name: 'Software CTOs', filters: { titles: ['CTO'] } });
+
+  const responses = {
+    getLeadsDataApi: context.getLeadsDataApi({}),
+    getSettingsApi: context.getSettingsApi(),
+    getLeadDetailsApi: context.getLeadDetailsApi(lead.id),
+    getLeadTimelineApi: context.getLeadTimelineApi(lead.id),
+    getAccountsApi: context.getAccountsApi(),
+    getAccountApi: context.getAccountApi(lead.companyId),
+    getPipelineStagesApi: context.getPipelineStagesApi(),
+    getSavedSearchesApi: context.getSavedSearchesApi(),
+    getCreditUsageApi: context.getCreditUsageApi()
+  };
+
+  Object.keys(responses).forEach(name => {
+    assert.strictEqual(responses[name].success, true, `${name}: ${responses[name].message || responses[name].error}`);
+    assert.deepStrictEqual(datePaths(responses[name], name), [], `${name} returns Date objects`);
+  });
+});
+
+test('index.html reads only declared Lead and Stats fields', () => {
+  const { LeadLib } = loadApp().context;
+
+  assertDeclared(fieldReads(INDEX_HTML, 'lead'), LeadLib.getContract('Lead'), [], 'lead');
+  assertDeclared(fieldReads(INDEX_HTML, 'stats'), LeadLib.getContract('Stats'), [], 'stats');
+});
+
+test('index.html reads only declared LeadsData and Settings response fields', () => {
+  const { LeadLib } = loadApp().context;
+  const leadsData = uiFunction('onDataLoaded') + uiFunction('updatePaging');
+
+  assertDeclared(fieldReads(leadsData, 'response'), LeadLib.getContract('LeadsData'), ENVELOPE, 'LeadsData response');
+  assertDeclared(fieldReads(uiFunction('onSettingsLoaded'), 'response'), LeadLib.getContract('Settings'), ENVELOPE, 'Settings response');
+});
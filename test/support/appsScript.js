@@ -0,0 +1,463 @@
+/**
+ * In-memory stand-ins for the Apps Script services the library touches,
+ * and a loader that runs src/library (and optionally src/sheet/main.js) in a
+ * vm context against them, the way Apps Script runs every file in one
+ * global scope.
+ *
+ * The fakes keep what matters for the UI contracts: Sheets turns "TRUE" /
+ * "FALSE" into booleans, numeric text into numbers and yyyy-MM-dd text into
+ * Dates, and hands Date objects back from date cells. Formatting calls are
+ * accepted and ignored; any other unknown method throws, so a missing stub
+ * shows up as a failure instead of passing silently.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FORMATTING = /^(set(Background|Font\w*|HorizontalAlignment|VerticalAlignment|NumberFormat|Wrap\w*|Border\w*|ColumnWidth|RowHeight\w*|FrozenRows|FrozenColumns|TabColor|Note)|autoResize\w*|hide\w*|showColumns|showRows|setDataValidation|protect|activate)$/;
+
+/**
+ * Wrap a fake so formatting calls are no-ops and unknown methods throw
+ * @param {Object} target - Fake object
+ * @param {String} kind - Name for error messages
+ * @returns {Proxy} Strict fake
+ */
+function strict(target, kind) {
+  return new Proxy(target, {
+    get(object, property, receiver) {
+      if (property in object || typeof property === 'symbol') {
+        return Reflect.get(object, property, receiver);
+      }
+      if (FORMATTING.test(property)) {
+        return () => receiver;
+      }
+      if (property === 'then' || property === 'toJSON') {
+        return undefined;
+      }
+      throw new Error(`Fake ${kind} has no method "${property}"; add it to test/support/appsScript.js`);
+    }
+  });
+}
+
+/**
+ * What a Sheets cell holds after a value is written to it
+ * @param {*} value - Written value
+ * @returns {*} Stored value
+ */
+function toCell(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return new Date(value.getTime());
+  if (typeof value !== 'string') return value;
+
+  if (/^(true|false)$/i.test(value)) return value.toUpperCase() === 'TRUE';
+  if (/^-?\d+(\.\d+)?$/.test(value) && !/^-?0\d/.test(value)) return Number(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(value + 'T00:00:00Z');
+  return value;
+}
+
+function copyCell(value) {
+  return value instanceof Date ? new Date(value.getTime()) : value;
+}
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`Invalid range: row ${row}, column ${column}, ${numRows}x${numColumns}`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getSheet() { return this.sheet; }
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getLastRow() { return this.row + this.numRows - 1; }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const source = this.sheet.data[this.row - 1 + r] || [];
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        const value = source[this.column - 1 + c];
+        row.push(value === undefined ? '' : copyCell(value));
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(value => value instanceof Date ? value.toISOString() : String(value)));
+  }
+
+  getValue() { return this.getValues()[0][0]; }
+
+  setValues(values) {
+    if (!Array.isArray(values) || values.length !== this.numRows ||
+        values.some(row => !Array.isArray(row) || row.length !== this.numColumns)) {
+      throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numColumns})`);
+    }
+    values.forEach((row, r) => {
+      const target = this.sheet._row(this.row - 1 + r);
+      row.forEach((value, c) => {
+        target[this.column - 1 + c] = toCell(value);
+      });
+    });
+    return this;
+  }
+
+  setValue(value) { return this.setValues([[value]]); }
+
+  clearContent() {
+    for (let r = 0; r < this.numRows; r++) {
+      const target = this.sheet._row(this.row - 1 + r);
+      for (let c = 0; c < this.numColumns; c++) {
+        target[this.column - 1 + c] = '';
+      }
+    }
+    return this;
+  }
+
+  clear() { return this.clearContent(); }
+}
+
+class FakeSheet {
+  constructor(spreadsheet, name) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.data = [];
+    this.maxRows = 1000;
+  }
+
+  getName() { return this.name; }
+  getParent() { return this.spreadsheet; }
+  getMaxRows() { return Math.max(this.maxRows, this.data.length); }
+  getMaxColumns() { return Math.max(26, this.getLastColumn()); }
+
+  _row(index) {
+    while (this.data.length <= index) this.data.push([]);
+    return this.data[index];
+  }
+
+  _filled(value) {
+    return value !== '' && value !== undefined && value !== null;
+  }
+
+  getLastRow() {
+    for (let r = this.data.length - 1; r >= 0; r--) {
+      if (this.data[r].some(value => this._filled(value))) return r + 1;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    return this.data.reduce((last, row) => {
+      for (let c = row.length - 1; c >= 0; c--) {
+        if (this._filled(row[c])) return Math.max(last, c + 1);
+      }
+      return last;
+    }, 0);
+  }
+
+  getRange(row, column, numRows = 1, numColumns = 1) {
+    if (typeof row === 'string') {
+      throw new Error('A1 notation is not supported by the fake sheet');
+    }
+    return strict(new FakeRange(this, row, column, numRows, numColumns), 'Range');
+  }
+
+  getDataRange() {
+    return this.getRange(1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn()));
+  }
+
+  appendRow(values) {
+    this.getRange(this.getLastRow() + 1, 1, 1, values.length).setValues([values]);
+    return this;
+  }
+
+  deleteRow(row) {
+    this.data.splice(row - 1, 1);
+    return this;
+  }
+
+  deleteRows(row, count) {
+    this.data.splice(row - 1, count);
+    return this;
+  }
+
+  clear() {
+    this.data = [];
+    return this;
+  }
+
+  clearContents() { return this.clear(); }
+}
+
+class FakeSpreadsheet {
+  constructor(id) {
+    this.id = id;
+    this.sheets = [];
+  }
+
+  getId() { return this.id; }
+  getName() { return 'Test Spreadsheet'; }
+  getUrl() { return 'https://docs.google.com/spreadsheets/d/' + this.id; }
+  getSpreadsheetTimeZone() { return 'UTC'; }
+  getSheets() { return this.sheets.slice(); }
+  getSheetByName(name) { return this.sheets.find(sheet => sheet.getName() === name) || null; }
+
+  insertSheet(name) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists`);
+    }
+    const sheet = strict(new FakeSheet(this, name), 'Sheet');
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(candidate => candidate !== sheet);
+  }
+
+  toast() {}
+}
+
+function fakeProperties() {
+  const store = {};
+  return {
+    getProperty: key => Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null,
+    setProperty(key, value) { store[key] = String(value); return this; },
+    getProperties: () => Object.assign({}, store),
+    setProperties(values) { Object.keys(values).forEach(key => { store[key] = String(values[key]); }); return this; },
+    deleteProperty(key) { delete store[key]; return this; },
+    deleteAllProperties() { Object.keys(store).forEach(key => delete store[key]); return this; },
+    getKeys: () => Object.keys(store)
+  };
+}
+
+function fakeCache() {
+  const store = new Map();
+  const check = (key, value) => {
+    if (String(key).length > 250) throw new Error('Cache key too long: ' + key);
+    if (Buffer.byteLength(String(value)) > 100 * 1024) throw new Error('Argument too large: value');
+  };
+  return {
+    get: key => store.has(key) ? store.get(key) : null,
+    getAll: keys => keys.reduce((all, key) => {
+      if (store.has(key)) all[key] = store.get(key);
+      return all;
+    }, {}),
+    put(key, value) { check(key, value); store.set(key, String(value)); },
+    putAll(values) { Object.keys(values).forEach(key => this.put(key, values[key])); },
+    remove: key => { store.delete(key); },
+    removeAll: keys => keys.forEach(key => store.delete(key))
+  };
+}
+
+function toBytes(value) {
+  const buffer = Array.isArray(value) ? Buffer.from(value.map(byte => byte & 0xff)) : Buffer.from(String(value), 'utf8');
+  return buffer;
+}
+
+function toSignedBytes(buffer) {
+  return Array.from(buffer).map(byte => byte > 127 ? byte - 256 : byte);
+}
+
+/**
+ * Build a fresh set of fake services with one active spreadsheet
+ * @param {Object} options - { user (email), spreadsheetId, fetch (url, params) -> { status, body } }
+ * @returns {Object} { globals, spreadsheet, triggers, services }
+ */
+function createServices(options = {}) {
+  const user = options.user || 'owner@example.com';
+  const spreadsheets = {};
+  const active = new FakeSpreadsheet(options.spreadsheetId || 'test-spreadsheet');
+  spreadsheets[active.getId()] = active;
+
+  const scriptProperties = fakeProperties();
+  const userProperties = fakeProperties();
+  const documentProperties = fakeProperties();
+  const scriptCache = fakeCache();
+  const triggers = [];
+
+  const validationBuilder = () => {
+    const builder = {};
+    ['requireValueInList', 'requireCheckbox', 'setAllowInvalid', 'setHelpText'].forEach(name => {
+      builder[name] = () => builder;
+    });
+    builder.build = () => ({});
+    return builder;
+  };
+
+  const triggerBuilder = handler => {
+    const trigger = { handler: handler, getHandlerFunction: () => handler, getUniqueId: () => crypto.randomUUID() };
+    const builder = {};
+    ['timeBased', 'after', 'everyHours', 'everyMinutes', 'everyDays', 'atHour', 'forSpreadsheet', 'onEdit', 'onChange', 'onOpen', 'onFormSubmit']
+      .forEach(name => { builder[name] = () => builder; });
+    builder.create = () => {
+      triggers.push(trigger);
+      return trigger;
+    };
+    return builder;
+  };
+
+  const Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+
+  const globals = {
+    SpreadsheetApp: {
+      openById: id => {
+        if (!spreadsheets[id]) throw new Error('Spreadsheet not found: ' + id);
+        return spreadsheets[id];
+      },
+      getActiveSpreadsheet: () => active,
+      newDataValidation: validationBuilder,
+      getUi: () => ({
+        alert: () => Button.YES,
+        prompt: () => ({ getSelectedButton: () => Button.CANCEL, getResponseText: () => '' }),
+        showModalDialog() {},
+        showSidebar() {},
+        createMenu: () => {
+          const menu = { addItem: () => menu, addSeparator: () => menu, addToUi() {} };
+          return menu;
+        },
+        Button: Button,
+        ButtonSet: { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' }
+      }),
+      flush() {}
+    },
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties,
+      getUserProperties: () => userProperties,
+      getDocumentProperties: () => documentProperties
+    },
+    CacheService: {
+      getScriptCache: () => scriptCache,
+      getUserCache: () => scriptCache,
+      getDocumentCache: () => scriptCache
+    },
+    LockService: {
+      getScriptLock: () => ({ tryLock: () => true, waitLock() {}, releaseLock() {}, hasLock: () => true }),
+      getUserLock: () => ({ tryLock: () => true, waitLock() {}, releaseLock() {}, hasLock: () => true }),
+      getDocumentLock: () => ({ tryLock: () => true, waitLock() {}, releaseLock() {}, hasLock: () => true })
+    },
+    ScriptApp: {
+      getProjectTriggers: () => triggers.slice(),
+      newTrigger: triggerBuilder,
+      deleteTrigger: trigger => {
+        const index = triggers.indexOf(trigger);
+        if (index !== -1) triggers.splice(index, 1);
+      },
+      getScriptId: () => 'test-script'
+    },
+    Session: {
+      getActiveUser: () => ({ getEmail: () => user }),
+      getEffectiveUser: () => ({ getEmail: () => user }),
+      getScriptTimeZone: () => 'UTC'
+    },
+    Utilities: {
+      getUuid: () => crypto.randomUUID(),
+      sleep() {},
+      DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256' },
+      Charset: { UTF_8: 'utf8' },
+      computeDigest: (algorithm, value) => toSignedBytes(crypto.createHash(algorithm).update(toBytes(value)).digest()),
+      base64EncodeWebSafe: value => toBytes(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+      base64DecodeWebSafe: value => toSignedBytes(Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+      newBlob: (data, contentType, name) => ({
+        getDataAsString: () => toBytes(data).toString('utf8'),
+        getBytes: () => toSignedBytes(toBytes(data)),
+        getName: () => name || '',
+        getContentType: () => contentType || ''
+      }),
+      formatDate: (date, timeZone, format) => {
+        const iso = new Date(date).toISOString();
+        return format
+          .replace('yyyy', iso.slice(0, 4))
+          .replace('MM', iso.slice(5, 7))
+          .replace('dd', iso.slice(8, 10))
+          .replace('HH', iso.slice(11, 13))
+          .replace('mm', iso.slice(14, 16))
+          .replace('ss', iso.slice(17, 19));
+      }
+    },
+    UrlFetchApp: {
+      fetch: (url, params) => {
+        if (!options.fetch) {
+          throw new Error('Network access is not available in tests: ' + url);
+        }
+        const reply = options.fetch(url, params || {});
+        const body = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body || {});
+        return {
+          getResponseCode: () => reply.status || 200,
+          getContentText: () => body,
+          getHeaders: () => reply.headers || {},
+          getAllHeaders: () => reply.headers || {}
+        };
+      }
+    },
+    DriveApp: {
+      createFile: (name) => ({ getUrl: () => 'https://drive.google.com/file/' + name, getName: () => name })
+    },
+    HtmlService: {
+      createHtmlOutputFromFile: () => {
+        const output = { setTitle: () => output, setXFrameOptionsMode: () => output, setWidth: () => output, setHeight: () => output };
+        return output;
+      },
+      createHtmlOutput: () => {
+        const output = { setTitle: () => output, setXFrameOptionsMode: () => output, setWidth: () => output, setHeight: () => output };
+        return output;
+      },
+      XFrameOptionsMode: { DEFAULT: 'DEFAULT', ALLOWALL: 'ALLOWALL' }
+    },
+    ContentService: {
+      createTextOutput: text => {
+        const output = { text: text, setMimeType: () => output, getContent: () => text };
+        return output;
+      },
+      MimeType: { JSON: 'JSON', TEXT: 'TEXT', CSV: 'CSV' }
+    },
+    Logger: { log() {} }
+  };
+
+  return { globals: globals, spreadsheet: active, triggers: triggers, scriptCache: scriptCache };
+}
+
+/**
+ * Load the library (and optionally the sheet script) into a fresh context
+ * @param {Object} options - { main (also load src/sheet/main.js), verbose (keep console output), plus createServices options }
+ * @returns {Object} { context (globals: LeadLib and main.js functions), spreadsheet, triggers, logs }
+ */
+function loadApp(options = {}) {
+  const services = createServices(options);
+  const logs = [];
+  const quiet = (...args) => logs.push(args.map(String).join(' '));
+  const sandbox = Object.assign({
+    console: options.verbose ? console : { log: quiet, info: quiet, warn: quiet, error: quiet }
+  }, services.globals);
+  const context = vm.createContext(sandbox);
+
+  const libraryDir = path.join(ROOT, 'src', 'library');
+  const files = fs.readdirSync(libraryDir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => path.join(libraryDir, file));
+  if (options.main) {
+    files.push(path.join(ROOT, 'src', 'sheet', 'main.js'));
+  }
+
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: path.relative(ROOT, file) });
+  });
+
+  return { context: context, spreadsheet: services.spreadsheet, triggers: services.triggers, logs: logs };
+}
+
+module.exports = { loadApp, createServices, toCell, ROOT };